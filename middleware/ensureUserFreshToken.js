@@ -1,4 +1,24 @@
 // middleware/ensureUserFreshToken.js
+// res.locals.userTokens = the user's delegated Graph tokens, refreshed first when they have expired
+// (utils/o365Tokens.js). When the refresh token no longer works the user signs in to Office 365 again
+// and comes back to the page they asked for.
+const { isExpired, refreshTokensOnce, saveUserTokens } = require('../utils/o365Tokens');
+
+function sendToLogin(req, res, next) {
+  delete req.session.userTokens;
+  res.locals.userTokens = null;
+
+  if (req.method !== 'GET') return res.status(401).send('Your Office 365 session expired. Reload the page to sign in again.');
+
+  // the O365 callback (routes/auth.js) needs the org, and returns to the original page
+  req.session.joinOrgId = String(req.user?.org?._id || '');
+  req.session.returnTo = req.originalUrl;
+  return req.session.save((err) => {
+    if (err) return next(err);
+    return res.redirect('/auth/office365');
+  });
+}
+
 module.exports = async function ensureUserFreshToken(req, res, next) {
   try {
     const tokens = req.session?.userTokens || null;
@@ -8,12 +28,28 @@ module.exports = async function ensureUserFreshToken(req, res, next) {
       return next();
     }
 
-    // For now, assume token is valid
-    res.locals.userTokens = tokens;
-    return next();
+    if (!isExpired(tokens)) {
+      res.locals.userTokens = tokens;
+      return next();
+    }
+
+    let fresh;
+    try {
+      fresh = await refreshTokensOnce(tokens);
+    } catch (e) {
+      if (!e.reauth) throw e;
+      console.warn('[ensureUserFreshToken] refresh not possible, sending to login:', e.message);
+      return sendToLogin(req, res, next);
+    }
+
+    // rotated tokens are saved before the route uses them (and kept for background sync)
+    req.session.userTokens = fresh;
+    await saveUserTokens(req.user?._id, fresh);
+    res.locals.userTokens = fresh;
+    return req.session.save((err) => (err ? next(err) : next()));
   } catch (e) {
     console.error('[ensureUserFreshToken] error:', e.message);
     res.locals.userTokens = null;
     return next();
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,42 @@
+// models/ActionItem.js
+const mongoose = require('mongoose');
+
+const ActionItemSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Org', required: true, index: true },
+
+    // source meeting
+    transcriptId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transcript', required: true, index: true },
+    eventId: { type: String, default: '' },
+    meetingSubject: { type: String, default: '' },
+    meetingStart: { type: String, default: '' },
+
+    // copied from Transcript so "actions from my meetings" needs no join
+    participantEmails: { type: [String], default: [], index: true },
+
+    text: { type: String, required: true, trim: true },
+
+    ownerName: { type: String, default: '', trim: true },
+    ownerEmail: { type: String, default: '', lowercase: true, trim: true, index: true },
+
+    dueDate: { type: Date, default: null },
+    dueText: { type: String, default: '' }, // as said in the meeting ("next Friday", "Unclear")
+
+    // transcript cues the action was said in (utils/vtt.js ids, e.g. "c12")
+    cues: { type: [String], default: [] },
+
+    status: { type: String, enum: ['open', 'done'], default: 'open', index: true },
+    completedAt: { type: Date, default: null },
+    completedBy: { type: String, default: '' },
+
+    // 'ai' items are replaced when the summary is regenerated, unless a user touched them
+    source: { type: String, enum: ['ai', 'manual'], default: 'ai' },
+    userEdited: { type: Boolean, default: false },
+    updatedBy: { type: String, default: '' },
+  },
+  { timestamps: true }
+);
+
+ActionItemSchema.index({ orgId: 1, ownerEmail: 1, status: 1 });
+
+module.exports = mongoose.model('ActionItem', ActionItemSchema);
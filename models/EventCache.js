@@ -19,15 +19,24 @@ const EventCacheSchema = new mongoose.Schema(
     organizerEmail: { type: String, default: '' },
     attendeeEmails: { type: [String], default: [] },
 
-    // only store if transcript exists
+    // online meetings are cached from the delta sync (utils/calendarSync.js); the calendar lists hasTranscript only
     hasTranscript: { type: Boolean, default: false, index: true },
 
+    joinUrl: { type: String, default: '' },
+    changeKey: { type: String, default: '' }, // Graph event version: unchanged events are not re-checked
+
+    // transcript lookup: when the next one is due (null = result is final until the event changes)
+    transcriptCheckDue: { type: Date, default: null },
+    transcriptCheckedAt: { type: Date, default: null },
+
     // we store the IDs needed to open transcript quickly
+    // (every transcript of the occurrence, earliest first: transcription may be stopped and restarted)
     transcripts: {
       type: [
         {
           meetingId: String,
           transcriptId: String,
+          createdDateTime: String,
         },
       ],
       default: [],
@@ -39,5 +48,6 @@ const EventCacheSchema = new mongoose.Schema(
 );
 
 EventCacheSchema.index({ orgId: 1, userEmail: 1, eventId: 1 }, { unique: true });
+EventCacheSchema.index({ orgId: 1, userEmail: 1, transcriptCheckDue: 1 });
 
 module.exports = mongoose.model('EventCache', EventCacheSchema);
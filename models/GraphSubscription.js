@@ -0,0 +1,34 @@
+// models/GraphSubscription.js
+const mongoose = require('mongoose');
+
+// Graph change-notification subscription of a user, one per kind (utils/graphSubscriptions.js):
+// 'events' = the user's calendar, 'transcripts' = transcripts of meetings the user organizes.
+const GraphSubscriptionSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Org', required: true, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    userEmail: { type: String, required: true, lowercase: true, trim: true },
+
+    kind: { type: String, enum: ['events', 'transcripts'], required: true },
+
+    subscriptionId: { type: String, default: '' }, // Graph subscription id; replaced when it is created again ('local-…' = simulator)
+    resource: { type: String, default: '' },
+    changeType: { type: String, default: '' },
+    expiresAt: { type: Date, default: null },
+
+    // sent back with every notification; notifications that don't carry it are dropped
+    clientState: { type: String, default: '', select: false }, // load with .select('+clientState')
+
+    status: { type: String, enum: ['active', 'error', 'deleted'], default: 'active' },
+    lastError: { type: String, default: '' },
+    renewedAt: { type: Date, default: null },
+    lastNotificationAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+GraphSubscriptionSchema.index({ userId: 1, kind: 1 }, { unique: true });
+GraphSubscriptionSchema.index({ subscriptionId: 1 });
+GraphSubscriptionSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('GraphSubscription', GraphSubscriptionSchema);
@@ -0,0 +1,48 @@
+// models/Job.js
+const mongoose = require('mongoose');
+
+const JobSchema = new mongoose.Schema(
+  {
+    // handler name, e.g. "ai.summary"
+    type: { type: String, required: true, index: true },
+
+    // dedupe key: only one queued/running job per key (e.g. "ai.summary:<transcriptId>")
+    key: { type: String, default: '' },
+
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'done', 'failed'],
+      default: 'queued',
+      index: true,
+    },
+
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 4 },
+
+    // not picked up before this time (used for backoff)
+    runAt: { type: Date, default: Date.now },
+
+    // lock (set while a worker is running the job)
+    lockedAt: { type: Date, default: null },
+    lockedBy: { type: String, default: '' },
+
+    lastError: { type: String, default: '' },
+    finishedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+JobSchema.index({ status: 1, runAt: 1 });
+// one queued/running job per key, also when two instances enqueue at the same time
+// ($in in a partial index needs MongoDB 6.0+)
+JobSchema.index(
+  { key: 1 },
+  { unique: true, partialFilterExpression: { key: { $gt: '' }, status: { $in: ['queued', 'running'] } } }
+);
+
+// finished jobs are only kept around for troubleshooting
+JobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', JobSchema);
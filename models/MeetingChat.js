@@ -0,0 +1,45 @@
+// models/MeetingChat.js
+const mongoose = require('mongoose');
+
+// "Ask this meeting" conversation: one per user per transcript
+const MeetingChatSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Org', required: true, index: true },
+    transcriptId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transcript', required: true },
+    userEmail: { type: String, required: true, lowercase: true, trim: true },
+
+    messages: {
+      type: [
+        {
+          _id: false,
+          role: { type: String, enum: ['user', 'assistant'], required: true },
+          content: { type: String, default: '' },
+
+          // assistant only
+          notDiscussed: { type: Boolean, default: false },
+          quotes: {
+            type: [
+              {
+                _id: false,
+                cue: { type: String, default: '' },      // utils/vtt.js cue id, e.g. "c12"
+                speaker: { type: String, default: '' },
+                text: { type: String, default: '' },
+                start: { type: Number, default: null },  // seconds; null for transcripts without timing
+              },
+            ],
+            default: [],
+          },
+          model: { type: String, default: '' },
+
+          at: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+MeetingChatSchema.index({ transcriptId: 1, userEmail: 1 }, { unique: true });
+
+module.exports = mongoose.model('MeetingChat', MeetingChatSchema);
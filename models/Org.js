@@ -43,11 +43,48 @@ const OrgSchema = new mongoose.Schema(
         message: { type: String, default: null },
         at: { type: Date, default: null },
       },
+      // which beta / v1.0 route answers each lookup in this tenant (utils/graphClient.js FALLBACKS)
+      endpoints: { type: Map, of: String, default: {} },
     },
 
     features: {
       checkTranscripts: { type: Boolean, default: true },
       debugTranscripts: { type: Boolean, default: false },
+      // new transcripts (Graph change notifications) are saved and summarized without anyone opening them
+      autoSummarizeTranscripts: { type: Boolean, default: false },
+    },
+
+    // LLM provider for summaries/notes (keys/secrets stay in env)
+    ai: {
+      provider: { type: String, enum: ['default', 'openai', 'azure', 'local'], default: 'default' },
+      model: { type: String, default: '' },            // overrides OPENAI_SUMMARY_MODEL etc.
+      azureEndpoint: { type: String, default: '' },    // https://<resource>.openai.azure.com
+      azureApiKey: { type: String, default: '' },      // sealed (utils/llm.js); needed with an own azureEndpoint
+      azureDeployment: { type: String, default: '' },
+    },
+
+    // language of generated summaries/notes ('auto' = same as the transcript)
+    language: {
+      output: { type: String, default: 'auto' },
+    },
+
+    // default summary templates (models/SummaryTemplate.js); null = built-in prompt
+    templates: {
+      defaultSummaryId: { type: mongoose.Schema.Types.ObjectId, ref: 'SummaryTemplate', default: null },
+      defaultNotesId: { type: mongoose.Schema.Types.ObjectId, ref: 'SummaryTemplate', default: null },
+    },
+
+    // PII redaction (utils/redaction.js). applyAt: 'ingest' = transcripts are stored redacted,
+    // 'ai' = stored verbatim and redacted for every LLM / embedding call
+    redaction: {
+      enabled: { type: Boolean, default: false },
+      applyAt: { type: String, enum: ['ingest', 'ai'], default: 'ingest' },
+      detectors: { type: [String], default: ['email', 'card', 'iban', 'nationalId', 'phone'] },
+      customPatterns: {
+        type: [{ _id: false, label: { type: String, trim: true, default: '' }, pattern: { type: String, default: '' } }],
+        default: [],
+      },
+      keywords: { type: [String], default: [] },
     },
 
     retention: {
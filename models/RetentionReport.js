@@ -0,0 +1,58 @@
+// models/RetentionReport.js
+const mongoose = require('mongoose');
+
+// One run of the retention purge for an org (utils/retention.js), kept as the deletion report
+const RetentionReportSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Org', required: true },
+
+    trigger: { type: String, enum: ['schedule', 'manual'], default: 'schedule' },
+    requestedBy: { type: String, default: '' },
+
+    // policy in force for this run (Org.retention)
+    policy: {
+      meetingDays: { type: Number, default: 0 },
+      transcriptDays: { type: Number, default: 0 },
+      storeRawTranscript: { type: Boolean, default: false },
+    },
+    meetingCutoff: { type: Date },
+    transcriptCutoff: { type: Date },
+
+    status: { type: String, enum: ['running', 'done', 'error'], default: 'running' },
+    error: { type: String, default: '' },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date },
+
+    counts: {
+      meetingsDeleted: { type: Number, default: 0 },
+      transcriptsStripped: { type: Number, default: 0 },
+      rawVttDropped: { type: Number, default: 0 },
+      eventsDeleted: { type: Number, default: 0 },
+      actionItemsDeleted: { type: Number, default: 0 },
+      versionsDeleted: { type: Number, default: 0 },
+      chunksDeleted: { type: Number, default: 0 },
+      chatsDeleted: { type: Number, default: 0 },
+      editsDeleted: { type: Number, default: 0 }, // transcript corrections (they quote the lines)
+    },
+
+    // affected meetings (capped, see utils/retention.js), for the report page
+    items: {
+      type: [
+        {
+          _id: false,
+          transcriptId: { type: mongoose.Schema.Types.ObjectId },
+          subject: { type: String, default: '' },
+          startDateTime: { type: String, default: '' },
+          action: { type: String, enum: ['deleted', 'stripped', 'raw_dropped'], required: true },
+        },
+      ],
+      default: [],
+    },
+    itemsTruncated: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+RetentionReportSchema.index({ orgId: 1, startedAt: -1 });
+
+module.exports = mongoose.model('RetentionReport', RetentionReportSchema);
@@ -0,0 +1,23 @@
+// models/SpeakerAlias.js
+const mongoose = require('mongoose');
+
+// A transcript speaker label confirmed as a person by someone in the org (utils/speakerIdentity.js).
+// Keyed on the normalized label, so "Sharma, Priya (IT)" and "Priya Sharma" share one mapping,
+// and reused for every meeting of the org. email '' = confirmed as nobody we know (external, room mic).
+const SpeakerAliasSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Org', required: true },
+
+    key: { type: String, required: true }, // speakerKey(label)
+    label: { type: String, default: '' }, // label as it was corrected
+    email: { type: String, default: '', lowercase: true, trim: true },
+    name: { type: String, default: '', trim: true },
+
+    updatedBy: { type: String, default: '' },
+  },
+  { timestamps: true }
+);
+
+SpeakerAliasSchema.index({ orgId: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('SpeakerAlias', SpeakerAliasSchema);
@@ -0,0 +1,34 @@
+// models/SummaryTemplate.js
+const mongoose = require('mongoose');
+
+function cleanList(arr) {
+  return (arr || []).map(s => String(s).trim()).filter(Boolean);
+}
+
+const SummaryTemplateSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Org', required: true, index: true },
+
+    name: { type: String, required: true, trim: true },
+
+    // 'summary' -> AI summary page, 'notes' -> detailed notes page
+    kind: { type: String, enum: ['summary', 'notes'], default: 'summary' },
+
+    // section headings, in order (e.g. "Quick Summary", "Customer objections")
+    headings: { type: [String], default: [], set: cleanList },
+
+    // extra instructions, one rule per line
+    rules: { type: String, default: '' },
+
+    // optional model override for this template ('' = org/server default)
+    model: { type: String, default: '', trim: true },
+
+    // recurring meetings: used automatically when the subject contains one of these (case-insensitive)
+    subjectPatterns: { type: [String], default: [], set: cleanList },
+  },
+  { timestamps: true }
+);
+
+SummaryTemplateSchema.index({ orgId: 1, kind: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('SummaryTemplate', SummaryTemplateSchema);
@@ -0,0 +1,37 @@
+// models/SummaryVersion.js
+const mongoose = require('mongoose');
+
+// One row per generation run of a summary / detailed notes (Transcript.ai holds the canonical one)
+const SummaryVersionSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Org', required: true, index: true },
+    transcriptId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transcript', required: true },
+
+    kind: { type: String, enum: ['summary', 'notes'], required: true },
+    version: { type: Number, required: true }, // 1, 2, 3… per transcript + kind
+
+    content: { type: String, default: '' },
+    model: { type: String, default: '' },
+    templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'SummaryTemplate', default: null },
+    templateName: { type: String, default: '' },
+    language: { type: String, default: '' },
+    coverage: {
+      chunks: { type: Number, default: 0 },
+      totalChars: { type: Number, default: 0 },
+      coveredChars: { type: Number, default: 0 },
+      complete: { type: Boolean, default: false },
+    },
+
+    // who asked for it ('' = unknown, e.g. runs from before versions were kept)
+    createdBy: { type: String, default: '', lowercase: true, trim: true },
+    trigger: { type: String, enum: ['auto', 'regenerate', 'legacy'], default: 'auto' },
+
+    // Transcript.corrections.revision it was generated from (0 = the transcript as received)
+    transcriptRevision: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+SummaryVersionSchema.index({ transcriptId: 1, kind: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('SummaryVersion', SummaryVersionSchema);
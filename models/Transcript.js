@@ -8,32 +8,256 @@ const TranscriptSchema = new mongoose.Schema(
     // ✅ Calendar occurrence ID (unique per recurring occurrence)
     eventId: { type: String, default: '', index: true },
 
-    // Graph identifiers
-    meetingId: { type: String, required: true },
+    // where the transcript came from: Teams via Graph, or a file uploaded by a user
+    source: { type: String, enum: ['graph', 'upload'], default: 'graph' },
+
+    // Graph identifiers (uploads: no meetingId, transcriptId "upload:<id>" so the unique index still holds)
+    meetingId: { type: String, default: '' },
     transcriptId: { type: String, required: true },
 
+    // Graph transcripts of the occurrence, stitched in order into this one (transcription stopped and
+    // restarted mid-meeting). transcriptId above is the one the document was opened with.
+    parts: {
+      type: [
+        {
+          _id: false,
+          meetingId: { type: String, default: '' },
+          transcriptId: { type: String, required: true },
+          createdDateTime: { type: String, default: '' },
+          offset: { type: Number, default: 0 }, // seconds into the stitched transcript
+          firstCueId: { type: String, default: '' },
+          // the part's WebVTT as Graph sent it (redacted when the org redacts before storage); never corrected
+          vtt: { type: String, default: '' },
+        },
+      ],
+      default: [],
+    },
+
+    upload: {
+      filename: { type: String, default: '' },
+      format: { type: String, default: '' }, // utils/transcriptImport.js FORMATS key
+      uploadedBy: { type: String, default: '' },
+      uploadedAt: { type: Date },
+    },
+
     subject: { type: String },
     startDateTime: { type: String },
     endDateTime: { type: String },
 
     participantEmails: { type: [String], default: [], index: true },
+    // organizer + attendees with their calendar display names (speaker labels are matched against these)
+    attendees: {
+      type: [{ _id: false, email: { type: String, default: '' }, name: { type: String, default: '' } }],
+      default: [],
+    },
 
     vtt: { type: String, default: '' },
-    text: { type: String, default: '' },
+    text: { type: String, default: '' }, // "Speaker: text" per turn, derived from segments
+
+    // structured transcript (utils/vtt.js): consecutive cues of one speaker merged into a turn.
+    // cue ids ("c12") are what summaries cite and the transcript view anchors on.
+    segments: {
+      type: [
+        {
+          _id: false,
+          start: { type: Number, default: null }, // seconds; null for transcripts without timing
+          end: { type: Number, default: null },
+          speaker: { type: String, default: '' },
+          text: { type: String, default: '' },
+          cues: {
+            type: [
+              {
+                _id: false,
+                id: { type: String, required: true },
+                start: { type: Number, default: null },
+                end: { type: Number, default: null },
+                text: { type: String, default: '' },
+              },
+            ],
+            default: [],
+          },
+        },
+      ],
+      default: [],
+    },
+
+    // line corrections by attendees (models/TranscriptEdit.js keeps each one); parts[].vtt stays as received
+    corrections: {
+      revision: { type: Number, default: 0 }, // +1 per edit; summaries remember the revision they were made from
+      lastEditedAt: { type: Date },
+      lastEditedBy: { type: String, default: '' },
+    },
+
+    // detected spoken language (utils/language.js)
+    language: {
+      code: { type: String, default: '' },
+      confidence: { type: Number, default: 0 },
+      detectedAt: { type: Date },
+    },
 
     ai: {
       status: { type: String, enum: ['none', 'queued', 'done', 'error'], default: 'none' },
       model: { type: String, default: '' },
       summary: { type: String, default: '' },
       error: { type: String, default: '' },
+
+      // org template used (models/SummaryTemplate.js); null = built-in prompt
+      templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'SummaryTemplate', default: null },
+      templateName: { type: String, default: '' },
+
+      // version history (models/SummaryVersion.js): displayed version, and the pinned one (0 = follow latest)
+      version: { type: Number, default: 0 },
+      pinnedVersion: { type: Number, default: 0 },
+      language: { type: String, default: '' }, // language the summary is written in
+      transcriptRevision: { type: Number, default: 0 }, // corrections.revision the summary was generated from
+
       createdAt: { type: Date },
       updatedAt: { type: Date },
+
+      // how much of the transcript the summary was built from (map-reduce for long meetings)
+      coverage: {
+        chunks: { type: Number, default: 0 },
+        totalChars: { type: Number, default: 0 },
+        coveredChars: { type: Number, default: 0 },
+        complete: { type: Boolean, default: false },
+      },
+      // live progress while a job runs (map step = done/total chunks)
+      progress: {
+        stage: { type: String, default: '' },
+        done: { type: Number, default: 0 },
+        total: { type: Number, default: 0 },
+      },
+
+      // structured action items (models/ActionItem.js) extracted from the summary
+      actionsCount: { type: Number, default: 0 },
+      actionsError: { type: String, default: '' },
+      actionsExtractedAt: { type: Date },
+
       detailedStatus: { type: String, enum: ['none', 'queued', 'done', 'error'], default: 'none' },
       detailedModel: { type: String, default: '' },
       detailedNotes: { type: String, default: '' },
       detailedError: { type: String, default: '' },
+      detailedTemplateId: { type: mongoose.Schema.Types.ObjectId, ref: 'SummaryTemplate', default: null },
+      detailedTemplateName: { type: String, default: '' },
+      detailedVersion: { type: Number, default: 0 },
+      detailedPinnedVersion: { type: Number, default: 0 },
+      detailedLanguage: { type: String, default: '' },
+      detailedTranscriptRevision: { type: Number, default: 0 },
       detailedCreatedAt: { type: Date },
       detailedUpdatedAt: { type: Date },
+      detailedCoverage: {
+        chunks: { type: Number, default: 0 },
+        totalChars: { type: Number, default: 0 },
+        coveredChars: { type: Number, default: 0 },
+        complete: { type: Boolean, default: false },
+      },
+      detailedProgress: {
+        stage: { type: String, default: '' },
+        done: { type: Number, default: 0 },
+        total: { type: Number, default: 0 },
+      },
+    },
+
+    // participation per speaker (utils/speakerStats.js), computed from segments
+    speakerStats: {
+      computedAt: { type: Date },
+      timed: { type: Boolean, default: false },
+      totalSeconds: { type: Number, default: 0 },
+      totalWords: { type: Number, default: 0 },
+      totalTurns: { type: Number, default: 0 },
+      speakers: {
+        type: [
+          {
+            _id: false,
+            speaker: { type: String, default: '' },
+            talkSeconds: { type: Number, default: 0 },
+            timeShare: { type: Number, default: 0 },
+            words: { type: Number, default: 0 },
+            wordShare: { type: Number, default: 0 },
+            turns: { type: Number, default: 0 },
+            longestTurnSeconds: { type: Number, default: 0 },
+            longestTurnWords: { type: Number, default: 0 },
+            questions: { type: Number, default: 0 },
+          },
+        ],
+        default: [],
+      },
+      silent: { type: [String], default: [] }, // participant emails no speaker matched
+    },
+
+    // speaker label -> person (utils/speakerIdentity.js); corrections live in models/SpeakerAlias.js
+    speakerIdentities: {
+      resolvedAt: { type: Date },
+      speakers: {
+        type: [
+          {
+            _id: false,
+            label: { type: String, default: '' },
+            key: { type: String, default: '' },
+            email: { type: String, default: '' },
+            name: { type: String, default: '' },
+            source: { type: String, enum: ['', 'alias', 'attendee', 'directory'], default: '' },
+          },
+        ],
+        default: [],
+      },
+    },
+
+    // semantic search index (models/TranscriptChunk.js, utils/searchIndex.js)
+    search: {
+      status: { type: String, enum: ['none', 'queued', 'done', 'error'], default: 'none' },
+      embedder: { type: String, default: '' }, // "provider:model" the chunks were embedded with
+      chunks: { type: Number, default: 0 },
+      error: { type: String, default: '' },
+      indexedAt: { type: Date },
+    },
+
+    // PII redaction (utils/redaction.js): placeholders like [PHONE_1] and their encrypted originals
+    redaction: {
+      applyAt: { type: String, enum: ['', 'ingest', 'ai'], default: '' }, // '' = never redacted
+      appliedAt: { type: Date },
+      counts: { type: mongoose.Schema.Types.Mixed, default: {} }, // { PHONE: 2, EMAIL: 1 }
+      vault: {
+        type: [
+          {
+            _id: false,
+            token: { type: String, required: true },
+            type: { type: String, default: '' },
+            value: { type: String, default: '' }, // AES-GCM sealed original
+          },
+        ],
+        default: [],
+      },
+      // who revealed the originals, newest last
+      reveals: {
+        type: [{ _id: false, by: { type: String, default: '' }, at: { type: Date } }],
+        default: [],
+      },
+    },
+
+    // retention purge (utils/retention.js): when the raw VTT / the transcript text were removed
+    retention: {
+      rawDroppedAt: { type: Date, default: null },
+      transcriptPurgedAt: { type: Date, default: null },
+    },
+
+    // on-demand translations of the canonical summary / notes (one per kind + language)
+    translations: {
+      type: [
+        {
+          _id: false,
+          kind: { type: String, enum: ['summary', 'notes'], required: true },
+          lang: { type: String, required: true },
+          sourceVersion: { type: Number, default: 0 }, // ai.version / ai.detailedVersion it was made from
+          status: { type: String, enum: ['queued', 'done', 'error'], default: 'queued' },
+          content: { type: String, default: '' },
+          model: { type: String, default: '' },
+          error: { type: String, default: '' },
+          requestedBy: { type: String, default: '' },
+          updatedAt: { type: Date },
+        },
+      ],
+      default: [],
     },
   },
   { timestamps: true }
@@ -43,4 +267,16 @@ const TranscriptSchema = new mongoose.Schema(
 // (eventId might be empty for old records, but new ones will have it)
 TranscriptSchema.index({ orgId: 1, eventId: 1, transcriptId: 1 }, { unique: true });
 
+// Keyword search (utils/keywordSearch.js). No stemming, so names and ticket numbers match as typed;
+// the override field is renamed because `language` above is not a text-index language.
+TranscriptSchema.index(
+  { subject: 'text', text: 'text' },
+  {
+    name: 'transcript_keyword_search',
+    weights: { subject: 5, text: 1 },
+    default_language: 'none',
+    language_override: 'textSearchLanguage',
+  }
+);
+
 module.exports = mongoose.model('Transcript', TranscriptSchema);
@@ -0,0 +1,28 @@
+// models/TranscriptChunk.js
+const mongoose = require('mongoose');
+
+// Search index: one passage of a transcript + its embedding (utils/searchIndex.js)
+const TranscriptChunkSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Org', required: true },
+    transcriptId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transcript', required: true },
+
+    // "provider:model" of the vector (utils/embeddings.js); only vectors with the same key are compared
+    embedder: { type: String, required: true },
+
+    seq: { type: Number, default: 0 },          // position in the transcript
+    cueIds: { type: [String], default: [] },    // utils/vtt.js cue ids covered, e.g. ["c12","c13"]
+    start: { type: Number, default: null },     // seconds; null for transcripts without timing
+    end: { type: Number, default: null },
+    speakers: { type: [String], default: [] },
+    text: { type: String, default: '' },        // "Speaker: text" lines
+
+    vector: { type: [Number], default: [] },
+  },
+  { timestamps: true }
+);
+
+TranscriptChunkSchema.index({ orgId: 1, embedder: 1, transcriptId: 1 });
+TranscriptChunkSchema.index({ transcriptId: 1, seq: 1 });
+
+module.exports = mongoose.model('TranscriptChunk', TranscriptChunkSchema);
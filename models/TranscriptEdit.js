@@ -0,0 +1,24 @@
+// models/TranscriptEdit.js
+const mongoose = require('mongoose');
+
+// One correction of a transcript line (cue). Transcript.segments holds the corrected text;
+// the received WebVTT (Transcript.parts[].vtt, Transcript.vtt for uploads) is never rewritten.
+const TranscriptEditSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Org', required: true, index: true },
+    transcriptId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transcript', required: true },
+
+    cueId: { type: String, required: true },
+    speaker: { type: String, default: '' },
+    before: { type: String, default: '' },
+    after: { type: String, default: '' },
+
+    editedBy: { type: String, default: '', lowercase: true, trim: true },
+    revision: { type: Number, default: 0 }, // Transcript.corrections.revision after this edit
+  },
+  { timestamps: true }
+);
+
+TranscriptEditSchema.index({ transcriptId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TranscriptEdit', TranscriptEditSchema);
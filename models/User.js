@@ -17,6 +17,21 @@ const UserSchema = new mongoose.Schema(
       tid: { type: String, default: null }, // Azure AD tenant id
     },
 
+    // delegated Graph refresh token for background calendar sync (utils/o365Tokens.js), encrypted
+    graphTokens: {
+      refreshToken: { type: String, default: '', select: false }, // load with .select('+graphTokens.refreshToken')
+      scope: { type: String, default: '' },
+      savedAt: { type: Date, default: null },
+      invalidAt: { type: Date, default: null }, // refresh failed for good: background sync waits for the next login
+      error: { type: String, default: '' },
+    },
+
+    // Graph change notifications for this user (utils/graphSubscriptions.js); off = calendar sync only
+    liveUpdates: { type: Boolean, default: true },
+
+    // preferred language for reading summaries/notes ('' = org setting); other languages are translated on demand
+    outputLanguage: { type: String, default: '' },
+
     lastLoginAt: { type: Date, default: null },
   },
   { timestamps: true }
@@ -6,15 +6,31 @@ const UserSyncStateSchema = new mongoose.Schema(
     orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Org', required: true, index: true },
     userEmail: { type: String, required: true, index: true },
 
-    // coverage window (what ranges have been synced at least once)
+    // coverage window (what ranges have been synced at least once): the delta window plus the history
+    // backfilled before it (utils/calendarSync.js)
     syncedFrom: { type: Date, default: null },
     syncedTo: { type: Date, default: null },
 
     // last time any sync ran
     lastSyncedAt: { type: Date, default: null },
 
-    // last time we did an "older backfill sweep" to catch forwarded invites
+    // last time the history before the delta window was listed again (forwarded / late invites included)
     lastBackfillAt: { type: Date, default: null },
+
+    // Graph calendarView delta (utils/calendarSync.js): the link to continue from and the window it covers.
+    // A new round starts when the window runs out or Graph drops the delta state.
+    delta: {
+      link: { type: String, default: '' },
+      complete: { type: Boolean, default: false }, // link is a deltaLink (false = nextLink of an unfinished round)
+      windowStart: { type: Date, default: null },
+      windowEnd: { type: Date, default: null },
+      roundStartedAt: { type: Date, default: null },
+    },
+
+    // background sync (workers/calendarSyncJobs.js): outcome of the last run
+    lastError: { type: String, default: '' },
+    lastErrorAt: { type: Date, default: null },
+    lastTranscriptEvents: { type: Number, default: 0 },
   },
   { timestamps: true }
 );
@@ -4,6 +4,9 @@ const router = express.Router();
 
 const Org = require('../models/Org');
 const User = require('../models/User');
+const { saveUserTokens } = require('../utils/o365Tokens');
+const { queueCalendarSync } = require('../workers/calendarSyncJobs');
+const { queueSubscriptionEnsure } = require('../workers/graphNotificationJobs');
 
 // GET /auth/signup
 router.get('/signup', (req, res) => {
@@ -126,6 +129,14 @@ router.get(
       dbUser.lastLoginAt = new Date();
       await dbUser.save();
 
+      // refresh token for background calendar sync (workers/calendarSyncJobs.js); first sync right away
+      await saveUserTokens(dbUser._id, req.user?.tokens);
+      if (req.user?.tokens?.refresh_token) {
+        await queueCalendarSync(dbUser);
+        // Graph change notifications (GRAPH_NOTIFICATIONS), unless the user turned live updates off
+        if (dbUser.liveUpdates !== false) await queueSubscriptionEnsure(dbUser);
+      }
+
       // stash tokens for Graph usage later
       req.session.userTokens = req.user?.tokens || null;
       
@@ -134,6 +145,9 @@ router.get(
       delete req.session.joinOrgId;
 
       const tokensToStore = req.user?.tokens || null;
+      // sent here by ensureUserFreshToken when a refresh was not possible: back to that page
+      const returnTo = String(req.session.returnTo || '');
+      delete req.session.returnTo;
       req.login(dbUser, (err) => {
         if (err) return next(err);
       
@@ -146,7 +160,7 @@ router.get(
         // ensure it's saved before redirect
         req.session.save((saveErr) => {
           if (saveErr) return next(saveErr);
-          return res.redirect('/user/home');
+          return res.redirect(returnTo.startsWith('/user/') ? returnTo : '/user/home');
         });
       });      
     } catch (e) {
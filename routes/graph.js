@@ -0,0 +1,40 @@
+// routes/graph.js
+// Webhook for Graph change notifications (utils/graphSubscriptions.js). Called by Graph, not by users:
+// no session; each notification is checked against the clientState of its subscription.
+const express = require('express');
+const router = express.Router();
+
+const { subscriptionForNotification } = require('../utils/graphSubscriptions');
+const { queueNotification } = require('../workers/graphNotificationJobs');
+
+// POST /graph/notifications (change and lifecycle notifications)
+router.post('/notifications', express.json({ limit: '1mb' }), async (req, res) => {
+  // subscription create / renew: Graph checks the endpoint by sending a token to echo back within 10 s
+  const validationToken = req.query.validationToken;
+  if (typeof validationToken === 'string') {
+    return res.status(200).type('text/plain').send(validationToken);
+  }
+
+  const notifications = Array.isArray(req.body?.value) ? req.body.value : [];
+
+  try {
+    let accepted = 0;
+    for (const n of notifications) {
+      const sub = await subscriptionForNotification(n);
+      if (!sub) {
+        console.warn('[graph-notifications] dropped notification for unknown subscription or bad clientState:', n?.subscriptionId);
+        continue;
+      }
+      await queueNotification(sub, n);
+      accepted++;
+    }
+
+    // 202 quickly; the work runs in the job queue. Graph retries on 5xx.
+    return res.status(202).json({ accepted });
+  } catch (e) {
+    console.error('[graph-notifications]', e);
+    return res.status(500).send('Notification could not be queued.');
+  }
+});
+
+module.exports = router;
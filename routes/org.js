@@ -3,6 +3,14 @@ const router = express.Router();
 
 const Org = require('../models/Org');
 const User = require('../models/User');
+const SummaryTemplate = require('../models/SummaryTemplate');
+const { LANGUAGES, isLanguage } = require('../utils/language');
+const { DETECTORS, compileCustomPattern } = require('../utils/redaction');
+const { parseAzureEndpoint, sealApiKey } = require('../utils/llm');
+const RetentionReport = require('../models/RetentionReport');
+const { previewRetention } = require('../utils/retention');
+const { queueRetentionPurge } = require('../workers/retentionJobs');
+const { findActiveJob } = require('../utils/jobQueue');
 
 // auth guard (org must be logged in)
 function requireOrg(req, res, next) {
@@ -28,9 +36,46 @@ router.get('/settings', requireOrg, (req, res) => {
   res.render('org/settings', {
     title: 'Update details',
     org: req.user,
+    languages: LANGUAGES,
+    redactionDetectors: DETECTORS,
   });
 });
 
+// "Label: regex" lines -> [{ label, pattern }]; the first invalid line is reported
+function redactionPatternsFromBody(raw) {
+  const patterns = [];
+  const lines = String(raw || '').split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+
+  for (const line of lines) {
+    const i = line.indexOf(':');
+    const label = i > 0 ? line.slice(0, i).trim() : 'Custom';
+    const pattern = i > 0 ? line.slice(i + 1).trim() : line;
+
+    const { error } = compileCustomPattern(pattern);
+    if (error) return { error: `Redaction pattern "${line}": ${error}` };
+    patterns.push({ label, pattern });
+  }
+  return { patterns };
+}
+
+/**
+ * Azure endpoint + key from the form -> { azureEndpoint, azureApiKey } or { error }.
+ * An endpoint other than the server's needs the resource's own key; a blank key field keeps the stored
+ * one as long as the endpoint stays the same.
+ */
+function azureSettingsFromBody(body, current = {}) {
+  const { endpoint, error } = parseAzureEndpoint(body.azureEndpoint);
+  if (error) return { error };
+
+  const serverEndpoint = String(process.env.AZURE_OPENAI_ENDPOINT || '').trim().replace(/\/+$/, '');
+  if (!endpoint || endpoint === serverEndpoint) return { azureEndpoint: endpoint, azureApiKey: '' };
+
+  const typed = String(body.azureApiKey || '').trim();
+  if (typed) return { azureEndpoint: endpoint, azureApiKey: sealApiKey(typed) };
+  if (current.azureApiKey && current.azureEndpoint === endpoint) return { azureEndpoint: endpoint, azureApiKey: current.azureApiKey };
+  return { error: 'Enter the API key of your Azure OpenAI resource: the server\'s key is only used with the server\'s endpoint.' };
+}
+
 // POST /org/settings
 router.post('/settings', requireOrg, async (req, res, next) => {
   try {
@@ -42,6 +87,19 @@ router.post('/settings', requireOrg, async (req, res, next) => {
       .replace(/\s+/g, '-')
       .replace(/[^a-z0-9-]/g, '');
 
+    const redactionPatterns = redactionPatternsFromBody(req.body.redactionPatterns);
+    const azure = azureSettingsFromBody(req.body, req.user.ai || {});
+    const error = redactionPatterns.error || azure.error;
+    if (error) {
+      return res.status(400).render('org/settings', {
+        title: 'Update details',
+        org: req.user,
+        languages: LANGUAGES,
+        redactionDetectors: DETECTORS,
+        error,
+      });
+    }
+
     const domains = String(req.body.allowedDomains || '')
       .split(',')
       .map(d => d.trim().toLowerCase().replace(/^@/, ''))
@@ -60,6 +118,27 @@ router.post('/settings', requireOrg, async (req, res, next) => {
       features: {
         checkTranscripts: !!req.body.checkTranscripts,
         debugTranscripts: !!req.body.debugTranscripts,
+        autoSummarizeTranscripts: !!req.body.autoSummarizeTranscripts,
+      },
+
+      ai: {
+        provider: ['default', 'openai', 'azure', 'local'].includes(req.body.aiProvider) ? req.body.aiProvider : 'default',
+        model: String(req.body.aiModel || '').trim(),
+        azureEndpoint: azure.azureEndpoint,
+        azureApiKey: azure.azureApiKey,
+        azureDeployment: String(req.body.azureDeployment || '').trim(),
+      },
+
+      language: {
+        output: isLanguage(req.body.outputLanguage) ? req.body.outputLanguage : 'auto',
+      },
+
+      redaction: {
+        enabled: !!req.body.redactionEnabled,
+        applyAt: req.body.redactionApplyAt === 'ai' ? 'ai' : 'ingest',
+        detectors: Object.keys(DETECTORS).filter(k => [].concat(req.body.redactionDetectors || []).includes(k)),
+        customPatterns: redactionPatterns.patterns,
+        keywords: String(req.body.redactionKeywords || '').split(/\r?\n/).map(s => s.trim()).filter(Boolean),
       },
 
       retention: {
@@ -85,6 +164,161 @@ router.post('/settings', requireOrg, async (req, res, next) => {
   }
 });
 
+// -------------------- Retention --------------------
+
+// GET /org/retention  (dry-run preview of the next purge + past deletion reports)
+router.get('/retention', requireOrg, async (req, res, next) => {
+  try {
+    const org = req.user;
+    const [preview, reports, running] = await Promise.all([
+      previewRetention(org),
+      RetentionReport.find({ orgId: org._id }).sort({ startedAt: -1 }).limit(20).lean(),
+      findActiveJob(`retention.purge:${org._id}`),
+    ]);
+
+    res.render('org/retention', {
+      title: 'Retention',
+      org,
+      preview,
+      reports,
+      running: !!running,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /org/retention/run  (purge now instead of waiting for the daily sweep)
+router.post('/retention/run', requireOrg, async (req, res, next) => {
+  try {
+    await queueRetentionPurge(req.user._id, { requestedBy: req.user.loginEmail });
+    res.redirect('/org/retention');
+  } catch (err) {
+    next(err);
+  }
+});
+
+// -------------------- Summary templates --------------------
+
+function templateFromBody(body) {
+  const lines = (v) => String(v || '').split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+
+  return {
+    name: String(body.name || '').trim(),
+    kind: body.kind === 'notes' ? 'notes' : 'summary',
+    headings: lines(body.headings),
+    rules: String(body.rules || '').trim(),
+    model: String(body.model || '').trim(),
+    subjectPatterns: lines(body.subjectPatterns),
+  };
+}
+
+// GET /org/settings/templates  (list + create/edit form)
+router.get('/settings/templates', requireOrg, async (req, res, next) => {
+  try {
+    const templates = await SummaryTemplate.find({ orgId: req.user._id }).sort({ kind: 1, name: 1 }).lean();
+    const editing = req.query.edit
+      ? templates.find(t => String(t._id) === String(req.query.edit)) || null
+      : null;
+
+    res.render('org/templates', {
+      title: 'Summary templates',
+      org: req.user,
+      templates,
+      editing,
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /org/settings/templates  (create)
+router.post('/settings/templates', requireOrg, async (req, res, next) => {
+  try {
+    const data = templateFromBody(req.body);
+    if (!data.name) return res.status(400).send('Template name is required.');
+    if (!data.headings.length) return res.status(400).send('At least one heading is required.');
+
+    await SummaryTemplate.create({ orgId: req.user._id, ...data });
+    res.redirect('/org/settings/templates');
+  } catch (e) {
+    if (e && e.code === 11000) {
+      return res.status(409).send('A template with this name already exists.');
+    }
+    next(e);
+  }
+});
+
+// POST /org/settings/templates/defaults  (org defaults)
+router.post('/settings/templates/defaults', requireOrg, async (req, res, next) => {
+  try {
+    const orgId = req.user._id;
+
+    const pick = async (id, kind) => {
+      if (!id) return null;
+      const t = await SummaryTemplate.findOne({ _id: id, orgId, kind }).select({ _id: 1 }).lean();
+      return t ? t._id : null;
+    };
+
+    const templates = {
+      defaultSummaryId: await pick(req.body.defaultSummaryId, 'summary'),
+      defaultNotesId: await pick(req.body.defaultNotesId, 'notes'),
+    };
+
+    await Org.updateOne({ _id: orgId }, { $set: { templates } });
+
+    const fresh = await Org.findById(orgId);
+    req.login(fresh, (err) => {
+      if (err) return next(err);
+      return res.redirect('/org/settings/templates');
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /org/settings/templates/:id  (update)
+router.post('/settings/templates/:id', requireOrg, async (req, res, next) => {
+  try {
+    const data = templateFromBody(req.body);
+    if (!data.name) return res.status(400).send('Template name is required.');
+    if (!data.headings.length) return res.status(400).send('At least one heading is required.');
+
+    const r = await SummaryTemplate.updateOne({ _id: req.params.id, orgId: req.user._id }, { $set: data }, { runValidators: true });
+    if (!r.matchedCount) return res.status(404).send('Template not found');
+
+    res.redirect('/org/settings/templates');
+  } catch (e) {
+    if (e && e.code === 11000) {
+      return res.status(409).send('A template with this name already exists.');
+    }
+    if (e && e.name === 'CastError') return res.status(404).send('Template not found');
+    next(e);
+  }
+});
+
+// POST /org/settings/templates/:id/delete
+router.post('/settings/templates/:id/delete', requireOrg, async (req, res, next) => {
+  try {
+    const orgId = req.user._id;
+    const t = await SummaryTemplate.findOneAndDelete({ _id: req.params.id, orgId });
+    if (!t) return res.status(404).send('Template not found');
+
+    // drop it as org default too
+    await Org.updateOne({ _id: orgId, 'templates.defaultSummaryId': t._id }, { $set: { 'templates.defaultSummaryId': null } });
+    await Org.updateOne({ _id: orgId, 'templates.defaultNotesId': t._id }, { $set: { 'templates.defaultNotesId': null } });
+
+    const fresh = await Org.findById(orgId);
+    req.login(fresh, (err) => {
+      if (err) return next(err);
+      return res.redirect('/org/settings/templates');
+    });
+  } catch (e) {
+    if (e && e.name === 'CastError') return res.status(404).send('Template not found');
+    next(e);
+  }
+});
+
 // GET /org/users  (list)
 router.get('/users', requireOrg, async (req, res, next) => {
   try {
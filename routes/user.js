@@ -1,20 +1,46 @@
 // routes/user.js
 const express = require('express');
 const router = express.Router();
-const fetch = require('node-fetch');
+const mongoose = require('mongoose');
+const multer = require('multer');
 
 const Org = require('../models/Org');
 const EventCache = require('../models/EventCache');
 const UserSyncState = require('../models/UserSyncState');
 
 const ensureUserFreshToken = require('../middleware/ensureUserFreshToken');
-const { getCalendarRange } = require('../utils/graph');
 
-const { annotateEventsWithTranscripts, getTranscript } = require('../utils/transcripts');
+const { saveGraphTranscript } = require('../utils/meetingTranscripts');
+const { createGraphClient } = require('../utils/graphClient');
+const { getEvent } = require('../utils/graph');
+const { syncUserCalendar } = require('../utils/calendarSync');
 
 const Transcript = require('../models/Transcript');
-const { vttToText } = require('../utils/vtt');
-const { generateMeetingSummary, generateDetailedMeetingNotes } = require('../utils/openaiSummary');
+const ActionItem = require('../models/ActionItem');
+const User = require('../models/User');
+const SummaryTemplate = require('../models/SummaryTemplate');
+const SummaryVersion = require('../models/SummaryVersion');
+const MeetingChat = require('../models/MeetingChat');
+const TranscriptEdit = require('../models/TranscriptEdit');
+const GraphSubscription = require('../models/GraphSubscription');
+const { segmentsToText, segmentsToCues, segmentsTimed, transcriptSegments, formatCueTime } = require('../utils/vtt');
+const { queueTranscriptAi, queueActionSync, queueTranslation, getTranscriptJobState } = require('../workers/aiJobs');
+const { FIELDS: VERSION_FIELDS, latestVersion, backfillLegacyVersion, canonicalUpdate, staleAfterCorrections } = require('../utils/summaryVersions');
+const { diffLines } = require('../utils/textDiff');
+const { LANGUAGES, isLanguage, detectLanguage } = require('../utils/language');
+const { answerMeetingQuestion } = require('../utils/meetingQa');
+const { resolveLlmConfig } = require('../utils/llm');
+const { queueTranscriptIndex } = require('../workers/searchJobs');
+const { queueSubscriptionEnsure, queueSubscriptionRemove } = require('../workers/graphNotificationJobs');
+const { notificationsEnabled } = require('../utils/graphSubscriptions');
+const { resolveEmbedder } = require('../utils/embeddings');
+const { attendedTranscripts, isIndexed, searchPassages, snippetParts } = require('../utils/searchIndex');
+const { keywordSearch } = require('../utils/keywordSearch');
+const { computeSpeakerStats, aggregateSpeakerStats, seriesKey } = require('../utils/speakerStats');
+const { speakerLabels, ensureSpeakerIdentities, identityMap, saveSpeakerAlias, removeSpeakerAlias } = require('../utils/speakerIdentity');
+const { FORMATS: UPLOAD_FORMATS, MAX_UPLOAD_BYTES, importTranscriptFile } = require('../utils/transcriptImport');
+const { EXPORT_FORMATS, renderExport } = require('../utils/exports');
+const { redactForStorage, redactEdit, segmentsForAi, canReveal, revealTranscript, revealText, openVault } = require('../utils/redaction');
 
 // helper windows
 function past30DaysIncludingToday() {
@@ -44,28 +70,9 @@ function next3DaysIncludingTomorrow() {
   return { startDateTime: start.toISOString(), endDateTime: end.toISOString() };
 }
 
-async function getEventParticipants(accessToken, eventId) {
-  if (!eventId) return [];
-
-  const url = `https://graph.microsoft.com/v1.0/me/events/${encodeURIComponent(eventId)}?$select=id,organizer,attendees`;
-  const r = await fetch(url, { headers: { Authorization: `Bearer ${accessToken}` } });
-
-  let j = null;
-  try { j = await r.json(); } catch (e) { j = null; }
-
-  if (!r.ok) return [];
-
-  const emails = [];
-  const orgEmail = j?.organizer?.emailAddress?.address;
-  if (orgEmail) emails.push(orgEmail);
-
-  const atts = Array.isArray(j?.attendees) ? j.attendees : [];
-  for (const a of atts) {
-    const em = a?.emailAddress?.address;
-    if (em) emails.push(em);
-  }
-
-  return [...new Set(emails.map(e => String(e).toLowerCase().trim()).filter(Boolean))];
+// Graph client for the signed-in user's session token (utils/graphClient.js)
+function sessionGraph(req, accessToken) {
+  return createGraphClient({ accessToken, orgId: req.user.org?._id, user: req.user.email });
 }
 
 // "karthikvj@suntecsbs.com" vs "karthikvj@suntecgroup.com"
@@ -77,143 +84,58 @@ function sameMailbox(a, b) {
   return A.split('@')[0] === B.split('@')[0];
 }
 
-function startOfDay(d) {
-  const x = new Date(d);
-  x.setHours(0, 0, 0, 0);
-  return x;
-}
+// Transcripts saved before segments were stored: parse once and keep them
+async function ensureSegments(doc) {
+  if (doc.segments?.length) return doc.segments;
 
-function endOfDay(d) {
-  const x = new Date(d);
-  x.setHours(23, 59, 59, 999);
-  return x;
+  const segments = transcriptSegments(doc);
+  if (segments.length) await Transcript.updateOne({ _id: doc._id }, { $set: { segments } });
+  return segments;
 }
 
-function addDays(d, n) {
-  const x = new Date(d);
-  x.setDate(x.getDate() + n);
-  return x;
-}
+// Participation stats, computed once per transcript (utils/speakerStats.js)
+async function ensureSpeakerStats(doc, segments) {
+  if (doc.speakerStats?.computedAt) return doc.speakerStats;
 
-function clampDate(d) {
-  const x = new Date(d);
-  if (!Number.isFinite(x.getTime())) return null;
-  return x;
+  const speakerStats = {
+    ...computeSpeakerStats(segments || transcriptSegments(doc), { participantEmails: doc.participantEmails }),
+    computedAt: new Date(),
+  };
+  await Transcript.updateOne({ _id: doc._id }, { $set: { speakerStats } });
+  return speakerStats;
 }
 
-// Merge overlapping/adjacent ranges to avoid repeated Graph calls
-function mergeRanges(ranges) {
-  const clean = ranges
-    .map(r => ({ start: clampDate(r.start), end: clampDate(r.end) }))
-    .filter(r => r.start && r.end && r.start <= r.end)
-    .sort((a, b) => a.start - b.start);
-
-  if (!clean.length) return [];
-
-  const out = [clean[0]];
-  for (let i = 1; i < clean.length; i++) {
-    const prev = out[out.length - 1];
-    const cur = clean[i];
-
-    // if overlapping or adjacent (within 1 minute), merge
-    if (cur.start.getTime() <= prev.end.getTime() + 60 * 1000) {
-      prev.end = new Date(Math.max(prev.end.getTime(), cur.end.getTime()));
-    } else {
-      out.push(cur);
-    }
-  }
-  return out;
+// cue id -> label for citation links: "03:14", or "line 12" without timing
+function cueLabels(segments) {
+  const timed = segmentsTimed(segments);
+  return Object.fromEntries(
+    segmentsToCues(segments).map(c => [c.id, timed && c.start !== null ? formatCueTime(c.start) : `line ${c.id.slice(1)}`])
+  );
 }
 
-async function upsertTranscriptEventsToCache({
-  accessToken,
-  orgId,
-  userEmail,
-  rangeStart,
-  rangeEnd,
-  annotateEventsWithTranscripts,
-  getCalendarRange,
-  maxChecks = 80,
-  concurrency = 4,
-}) {
-  // 1) Fetch events metadata
-  const list = await getCalendarRange(accessToken, {
-    startDateTime: rangeStart.toISOString(),
-    endDateTime: rangeEnd.toISOString(),
-    top: 75,
-    max: 300,
-  });
-
-  const events = Array.isArray(list) ? list : [];
-
-  // 2) Candidates: online meetings only
-  const candidates = events.filter(ev => !!(ev?.isOnlineMeeting || ev?.onlineMeeting || ev?.onlineMeetingUrl));
-
-  // 3) Annotate transcript existence (expensive)
-  const annotated = await annotateEventsWithTranscripts(accessToken, candidates, {
-    maxChecks,
-    concurrency,
-  });
-
-  const transcriptEvents = (annotated || []).filter(ev => ev._hasTranscript && ev._transcripts?.length);
-
-  // 4) Upsert into EventCache (only transcript events)
-  if (transcriptEvents.length) {
-    const bulk = EventCache.collection.initializeUnorderedBulkOp();
-    let ops = 0;
-
-    for (const ev of transcriptEvents) {
-      const emails = [];
-
-      const orgEmail = ev.organizer?.emailAddress?.address;
-      if (orgEmail) emails.push(String(orgEmail).toLowerCase().trim());
-
-      const atts = Array.isArray(ev.attendees) ? ev.attendees : [];
-      for (const a of atts) {
-        const em = a?.emailAddress?.address;
-        if (em) emails.push(String(em).toLowerCase().trim());
-      }
-
-      const uniqEmails = [...new Set(emails.filter(Boolean))];
-
-      bulk
-        .find({ orgId, userEmail, eventId: String(ev.id) })
-        .upsert()
-        .updateOne({
-          $set: {
-            orgId,
-            userEmail,
-            eventId: String(ev.id),
-
-            subject: ev.subject || '',
-            startDateTime: ev.start?.dateTime || '',
-            endDateTime: ev.end?.dateTime || '',
-            location: ev.location?.displayName || '',
-
-            organizerEmail: String(orgEmail || '').toLowerCase().trim(),
-            attendeeEmails: uniqEmails,
-
-            hasTranscript: true,
-            transcripts: (ev._transcripts || []).map(t => ({
-              meetingId: String(t.meetingId || ''),
-              transcriptId: String(t.id || ''),
-            })),
-
-            syncedAt: new Date(),
-          },
-          $setOnInsert: { createdAt: new Date() },
-        });
-
-      ops++;
-    }
+const REVEAL_LOG_MAX = 200;
+
+/**
+ * Redaction state for the page (utils/redaction.js). With ?reveal=1 from an org admin the originals
+ * are put back into the loaded transcript for this response only, and the reveal is logged.
+ * Returns { segments, redaction: { total, counts, canReveal, revealed } }.
+ */
+async function applyReveal(req, doc, segments) {
+  const redaction = {
+    total: doc.redaction?.vault?.length || 0,
+    counts: doc.redaction?.counts || {},
+    canReveal: canReveal(req.user),
+    revealed: false,
+  };
+  if (!redaction.total || !redaction.canReveal || req.query.reveal !== '1') return { segments, redaction };
 
-    if (ops > 0) await bulk.execute();
-  }
-
-  return { transcriptEventsCount: transcriptEvents.length };
+  await Transcript.updateOne(
+    { _id: doc._id },
+    { $push: { 'redaction.reveals': { $each: [{ by: String(req.user.email || '').toLowerCase(), at: new Date() }], $slice: -REVEAL_LOG_MAX } } }
+  );
+  return { segments: revealTranscript(doc, segments), redaction: { ...redaction, revealed: true } };
 }
 
-
 // GET /user/login
 router.get('/login', (req, res) => {
   res.render('user/login', { title: 'User login' });
@@ -245,32 +167,47 @@ function requireUser(req, res, next) {
   return res.redirect('/user/login');
 }
 
-function toIsoZ(graphDateTime) {
-  // graphDateTime can be:
-  // - string "2026-01-13T10:00:00.0000000" (no zone)
-  // - or object { dateTime, timeZone }
-  const dt = typeof graphDateTime === 'string'
-    ? graphDateTime
-    : (graphDateTime?.dateTime || '');
-
-  if (!dt) return '';
-
-  const s = String(dt).trim();
-
-  // already has timezone info
-  if (/[zZ]$/.test(s) || /[+\-]\d\d:\d\d$/.test(s)) return s;
+router.get('/home', requireUser, async (req, res, next) => {
+  try {
+    // Graph change notifications: only shown when the server has them on (GRAPH_NOTIFICATIONS)
+    const liveUpdates = notificationsEnabled()
+      ? { on: req.user.liveUpdates !== false, subscriptions: await GraphSubscription.find({ userId: req.user._id }).sort({ kind: 1 }).lean() }
+      : null;
 
-  // If you requested UTC via Prefer, Graph gives UTC "floating" time -> append Z
-  return `${s}Z`;
-}
+    res.render('user/home', {
+      title: 'User Home',
+      user: req.user,
+      org: req.user.org,
+      languages: LANGUAGES,
+      liveUpdates,
+    });
+  } catch (e) {
+    next(e);
+  }
+});
 
+// POST /user/preferences (reading language for summaries/notes)
+router.post('/preferences', requireUser, async (req, res, next) => {
+  try {
+    const lang = String(req.body.outputLanguage || '');
+    await User.updateOne({ _id: req.user._id }, { $set: { outputLanguage: isLanguage(lang) ? lang : '' } });
+    return res.redirect(safeBack(req.body.back, '/user/home'));
+  } catch (e) {
+    next(e);
+  }
+});
 
-router.get('/home', requireUser, (req, res) => {
-  res.render('user/home', {
-    title: 'User Home',
-    user: req.user,
-    org: req.user.org,
-  });
+// POST /user/live-updates (turn Graph change notifications on / off for me)
+router.post('/live-updates', requireUser, async (req, res, next) => {
+  try {
+    const on = req.body.enabled === 'true';
+    await User.updateOne({ _id: req.user._id }, { $set: { liveUpdates: on } });
+    if (on) await queueSubscriptionEnsure(req.user);
+    else await queueSubscriptionRemove(req.user);
+    return res.redirect('/user/home');
+  } catch (e) {
+    next(e);
+  }
 });
 
 
@@ -682,6 +619,9 @@ router.get('/calendar', requireUser, ensureUserFreshToken, async (req, res) => {
       .select({ syncedAt: 1 })
       .lean();
 
+    // coverage of the background sync (workers/calendarSyncJobs.js)
+    const syncState = await UserSyncState.findOne({ orgId, userEmail: me }).lean();
+
     // ---------------------------------------------------------
     // 1) If NOT refresh => render immediately (instant open)
     // ---------------------------------------------------------
@@ -694,8 +634,9 @@ router.get('/calendar', requireUser, ensureUserFreshToken, async (req, res) => {
         prevEvents: prevEventsFromCache,
         error: null,
         pastDays: PAST_DAYS,
-        lastSyncedAt: lastCached?.syncedAt || null,
+        lastSyncedAt: syncState?.lastSyncedAt || lastCached?.syncedAt || null,
         isRefreshing: false, // UI hint
+        syncState,
       });
     }
 
@@ -712,81 +653,14 @@ router.get('/calendar', requireUser, ensureUserFreshToken, async (req, res) => {
         prevEvents: prevEventsFromCache,
         error,
         pastDays: PAST_DAYS,
-        lastSyncedAt: lastCached?.syncedAt || null,
+        lastSyncedAt: syncState?.lastSyncedAt || lastCached?.syncedAt || null,
         isRefreshing: false,
+        syncState,
       });
     }
 
-    // Fetch events (metadata)
-    const pastList = await getCalendarRange(accessToken, {
-      startDateTime: pastStart.toISOString(),
-      endDateTime: pastEnd.toISOString(),
-      top: 75,
-      max: 300,
-    });
-
-    const events = Array.isArray(pastList) ? pastList : [];
-
-    // Only online candidates
-    const candidates = events.filter(ev => !!(ev?.isOnlineMeeting || ev?.onlineMeeting || ev?.onlineMeetingUrl));
-
-    // Check transcript existence only for candidates
-    const annotated = await annotateEventsWithTranscripts(accessToken, candidates, {
-      maxChecks: 60,
-      concurrency: 4,
-    });
-
-    const transcriptEvents = (annotated || []).filter(ev => ev._hasTranscript && ev._transcripts?.length);
-
-    // Bulk upsert cache
-    if (transcriptEvents.length) {
-      const bulk = EventCache.collection.initializeUnorderedBulkOp();
-      let ops = 0;
-
-      for (const ev of transcriptEvents) {
-        const emails = [];
-
-        const orgEmail = ev.organizer?.emailAddress?.address;
-        if (orgEmail) emails.push(String(orgEmail).toLowerCase().trim());
-
-        const atts = Array.isArray(ev.attendees) ? ev.attendees : [];
-        for (const a of atts) {
-          const em = a?.emailAddress?.address;
-          if (em) emails.push(String(em).toLowerCase().trim());
-        }
-
-        const uniqEmails = [...new Set(emails.filter(Boolean))];
-
-        bulk.find({ orgId, userEmail: me, eventId: String(ev.id) }).upsert().updateOne({
-          $set: {
-            orgId,
-            userEmail: me,
-            eventId: String(ev.id),
-
-            subject: ev.subject || '',
-            startDateTime: toIsoZ(ev.start),
-            endDateTime: toIsoZ(ev.end),
-            location: ev.location?.displayName || '',
-
-            organizerEmail: String(orgEmail || '').toLowerCase().trim(),
-            attendeeEmails: uniqEmails,
-
-            hasTranscript: true,
-            transcripts: (ev._transcripts || []).map(t => ({
-              meetingId: String(t.meetingId || ''),
-              transcriptId: String(t.id || ''),
-            })),
-
-            syncedAt: new Date(),
-          },
-          $setOnInsert: { createdAt: new Date() },
-        });
-
-        ops++;
-      }
-
-      if (ops > 0) await bulk.execute();
-    }
+    // Graph delta -> EventCache: only new / changed / deleted events since the last sync (utils/calendarSync.js)
+    await syncUserCalendar({ graph: sessionGraph(req, accessToken), orgId, userEmail: me, maxChecks: 60 });
 
     // ✅ After refresh, redirect to cache-only view (fast)
     return res.redirect(`/user/calendar?pastDays=${encodeURIComponent(PAST_DAYS)}`);
@@ -839,10 +713,7 @@ router.get('/debug/transcript/:eventId', requireUser, ensureUserFreshToken, asyn
   const eventId = req.params.eventId;
 
   try {
-    const url = `https://graph.microsoft.com/v1.0/me/events/${encodeURIComponent(eventId)}?$select=id,subject,start,end,onlineMeeting,onlineMeetingUrl,isOnlineMeeting`;
-    const ev = await (await require('node-fetch')(url, {
-      headers: { Authorization: `Bearer ${accessToken}` }
-    })).json();
+    const ev = await getEvent(sessionGraph(req, accessToken), eventId);
 
     const joinUrl = ev?.onlineMeeting?.joinUrl || ev?.onlineMeetingUrl || null;
 
@@ -873,69 +744,29 @@ router.get(
 
     const { meetingId, transcriptId } = req.params;
     const eventId = String(req.query.eventId || '').trim();
-    const orgId = req.user.org?._id;
 
     const me = String(req.user.email || '').toLowerCase().trim();
 
-    let doc = null;
-
     try {
-      // ✅ MIGRATION-SAFE LOOKUP:
-      // New key: (orgId, eventId, transcriptId)
-      // Old key: (orgId, meetingId, transcriptId)
-      doc = await Transcript.findOne({ orgId, eventId, transcriptId });
-      if (!doc) doc = await Transcript.findOne({ orgId, meetingId, transcriptId });
-
-      // Create if missing
-      if (!doc) {
-        const vtt = await getTranscript(accessToken, meetingId, transcriptId, 'text/vtt');
-        const text = vttToText(vtt);
-
-        // Fetch participants for enrichment (not hard-auth gate)
-        const participantEmails = await getEventParticipants(accessToken, eventId);
-
-        // Optional log for alias mismatch
-        if (participantEmails.length && !participantEmails.some(p => sameMailbox(p, me))) {
-          console.warn('[transcript-access] email not in attendee list (alias likely):', me, participantEmails);
-        }
-
-        try {
-          doc = await Transcript.create({
-            orgId,
-            eventId,
-            meetingId,
-            transcriptId,
-            subject: req.query.subject || '',
-            startDateTime: req.query.start || '',
-            endDateTime: req.query.end || '',
-            participantEmails,
-            vtt,
-            text,
-            ai: { status: 'none' },
-          });
-        } catch (e) {
-          if (e.code === 11000) {
-            doc = await Transcript.findOne({ orgId, eventId, transcriptId });
-            if (!doc) doc = await Transcript.findOne({ orgId, meetingId, transcriptId });
-          } else {
-            throw e;
-          }
-        }
-      }
+      const { doc, restitched } = await saveGraphTranscript({
+        graph: sessionGraph(req, accessToken),
+        org: req.user.org,
+        userEmail: me,
+        eventId,
+        meetingId,
+        transcriptId,
+        subject: req.query.subject || '',
+        start: req.query.start || '',
+        end: req.query.end || '',
+      });
 
       // Hard guard
       if (!doc) {
         return res.status(500).send('Transcript document could not be created or loaded.');
       }
 
-      // Backfill participants if missing
-      if (!doc.participantEmails || !doc.participantEmails.length) {
-        const participantEmails = await getEventParticipants(accessToken, eventId);
-        if (participantEmails.length) {
-          await Transcript.updateOne({ _id: doc._id }, { $set: { participantEmails } });
-          doc.participantEmails = participantEmails;
-        }
-      }
+      // summary and notes describe the whole meeting: new versions from the full transcript
+      if (restitched) await queueTranscriptAi(doc, { force: true, requestedBy: me });
 
       // ✅ Access check:
       // We DO NOT hard-block based on attendee list because of alias/UPN mismatches.
@@ -945,137 +776,12 @@ router.get(
         console.warn('[transcript-access] mismatch; allowing via calendar visibility:', me, doc.participantEmails);
       }
 
-      // If summary already done
-      if (doc.ai?.status === 'done' && doc.ai?.summary) {
-        return res.redirect(`/user/transcript/saved/${doc._id}`);
-      }
-
-      // Reset stale queued
-      const now = Date.now();
-      const queuedAt = doc.ai?.updatedAt ? new Date(doc.ai.updatedAt).getTime() : 0;
-      const QUEUE_STALE_MS = 5 * 60 * 1000;
-
-      if (doc.ai?.status === 'queued' && queuedAt && (now - queuedAt) > QUEUE_STALE_MS) {
-        await Transcript.updateOne(
-          { _id: doc._id },
-          { $set: { 'ai.status': 'none', 'ai.error': 'stale queued reset', 'ai.updatedAt': new Date() } }
-        );
-        doc = await Transcript.findById(doc._id);
-      }
-
-      // ----------------------
-// ✅ Generate Detailed Notes (separate from transcript)
-// ----------------------
-if (!doc.ai?.detailedNotes && (doc.ai?.detailedStatus === 'none' || doc.ai?.detailedStatus === 'error')) {
-
-  // Acquire lock for detailed notes
-  await Transcript.updateOne(
-    {
-      _id: doc._id,
-      $or: [
-        { 'ai.detailedStatus': { $in: ['none', 'error'] } },
-        { 'ai.detailedStatus': { $exists: false } },
-      ],
-    },
-    { $set: { 'ai.detailedStatus': 'queued', 'ai.detailedUpdatedAt': new Date() } }
-  );
+      // ✅ AI generation runs in the background job queue (workers/aiJobs.js).
+      // Already-done parts are skipped; repeated visits don't create duplicate jobs.
+      await queueTranscriptAi(doc, { requestedBy: me });
 
-  doc = await Transcript.findById(doc._id);
-
-  if (doc.ai?.detailedStatus === 'queued' && !doc.ai?.detailedNotes) {
-    try {
-      console.log('AI detailed notes generating:', String(doc._id), 'len:', (doc.text || '').length);
-
-      const { model, notes } = await generateDetailedMeetingNotes({
-        text: doc.text || '',
-        subject: doc.subject || req.query.subject || '',
-      });
-
-      await Transcript.updateOne(
-        { _id: doc._id },
-        {
-          $set: {
-            'ai.detailedStatus': 'done',
-            'ai.detailedModel': model,
-            'ai.detailedNotes': notes,
-            'ai.detailedError': '',
-            'ai.detailedCreatedAt': doc.ai?.detailedCreatedAt || new Date(),
-            'ai.detailedUpdatedAt': new Date(),
-          },
-        }
-      );
-    } catch (err) {
-      console.log('AI detailed notes failed:', err);
-
-      await Transcript.updateOne(
-        { _id: doc._id },
-        {
-          $set: {
-            'ai.detailedStatus': 'error',
-            'ai.detailedError': err.message || String(err),
-            'ai.detailedUpdatedAt': new Date(),
-          },
-        }
-      );
-    }
-  }
-
-  doc = await Transcript.findById(doc._id);
-}
-
-
-      // Acquire lock
-      await Transcript.updateOne(
-        {
-          _id: doc._id,
-          $or: [
-            { 'ai.status': { $in: ['none', 'error'] } },
-            { 'ai.status': { $exists: false } },
-          ],
-        },
-        { $set: { 'ai.status': 'queued', 'ai.updatedAt': new Date() } }
-      );
-
-      doc = await Transcript.findById(doc._id);
-
-      // Generate summary
-      if (doc.ai?.status === 'queued' && !doc.ai?.summary) {
-        try {
-          console.log('AI summary generating:', String(doc._id), 'len:', (doc.text || '').length);
-
-          const { model, summary } = await generateMeetingSummary({
-            text: doc.text || '',
-            subject: doc.subject || req.query.subject || '',
-          });
-
-          await Transcript.updateOne(
-            { _id: doc._id },
-            {
-              $set: {
-                'ai.status': 'done',
-                'ai.model': model,
-                'ai.summary': summary,
-                'ai.error': '',
-                'ai.createdAt': doc.ai?.createdAt || new Date(),
-                'ai.updatedAt': new Date(),
-              },
-            }
-          );
-        } catch (err) {
-          console.log('AI summary failed:', err);
-
-          await Transcript.updateOne(
-            { _id: doc._id },
-            {
-              $set: {
-                'ai.status': 'error',
-                'ai.error': err.message || String(err),
-                'ai.updatedAt': new Date(),
-              },
-            }
-          );
-        }
-      }
+      // Semantic search index (workers/searchJobs.js); a misconfigured embedder never blocks the transcript
+      await queueTranscriptIndex(doc, req.user.org).catch(e => console.log('Search index queue failed:', e.message || e));
 
       return res.redirect(`/user/transcript/saved/${doc._id}`);
     } catch (e) {
@@ -1090,24 +796,340 @@ router.get('/transcript/saved/:id', requireUser, async (req, res) => {
 
   if (String(doc.orgId) !== String(req.user.org?._id)) return res.status(403).send('Forbidden');
 
+  const templates = await SummaryTemplate.find({ orgId: doc.orgId })
+    .select({ name: 1, kind: 1 })
+    .sort({ name: 1 })
+    .lean();
+
+  const chat = await MeetingChat.findOne({
+    transcriptId: doc._id,
+    userEmail: String(req.user.email || '').toLowerCase().trim(),
+  }).lean();
+
+  const stored = await ensureSegments(doc);
+  const speakerStats = await ensureSpeakerStats(doc, stored);
+  const speakerIdentities = await ensureSpeakerIdentities(doc, stored);
+  const { segments, redaction } = await applyReveal(req, doc, stored);
+
+  // who a speaker can be mapped to: this meeting's attendees first, then the org's users
+  const orgUsers = await User.find({ org: doc.orgId, status: 'active' }).select({ name: 1, email: 1 }).sort({ name: 1 }).limit(1000).lean();
+  const speakerPeople = [...new Map(
+    [...(doc.attendees || []), ...orgUsers].filter(p => p.email).map(p => [p.email, { email: p.email, name: p.name || '' }])
+  ).values()];
+
+  const edits = await TranscriptEdit.find({ transcriptId: doc._id }).sort({ createdAt: -1 }).limit(EDIT_HISTORY_MAX).lean();
+  // cue id -> latest correction, for the "edited" mark on the line
+  const editedCues = {};
+  edits.forEach(e => { if (!editedCues[e.cueId]) editedCues[e.cueId] = { by: e.editedBy, at: e.createdAt }; });
+
   return res.render('user/transcript_saved', {
     title: 'Saved Transcript',
     user: req.user,
     org: req.user.org,
     doc,
+    templates,
+    languages: LANGUAGES,
+    segments,
+    speakerStats,
+    // ?hl=c12,c40 (from summary citations) -> highlighted lines
+    highlight: String(req.query.hl || '').split(',').map(s => s.trim()).filter(s => /^c\d+$/.test(s)),
+    formatCueTime,
+    chatMessages: chat?.messages || [],
+    exportFormats: EXPORT_FORMATS,
+    redaction,
+    speakerIdentities,
+    speakerPeople,
+    canEdit: canEditTranscript(req.user, doc),
+    originals: originalVtts(doc).length,
+    edits,
+    editedCues,
+    stale: { summary: staleAfterCorrections(doc, 'summary'), notes: staleAfterCorrections(doc, 'notes') },
   });
 });
 
+// POST /user/transcript/saved/:id/speakers (label, email | forget=1)
+// Correct who a speaker is; the mapping is kept for the whole org and reused in every meeting
+router.post('/transcript/saved/:id/speakers', requireUser, async (req, res, next) => {
+  try {
+    const doc = await Transcript.findById(req.params.id).select({ orgId: 1, segments: 1, vtt: 1, text: 1, speakerIdentities: 1 });
+    if (!doc) return res.status(404).send('Transcript not found');
+    if (String(doc.orgId) !== String(req.user.org?._id)) return res.status(403).send('Forbidden');
+
+    const label = String(req.body.label || '').trim();
+    if (!speakerLabels(transcriptSegments(doc)).includes(label)) return res.status(400).send('Unknown speaker.');
+
+    if (req.body.forget) {
+      await removeSpeakerAlias({ orgId: doc.orgId, label });
+    } else {
+      const email = String(req.body.email || '').toLowerCase().trim();
+      if (email && !EMAIL_RE.test(email)) return res.status(400).send('Enter an email address, or leave it empty for "not someone we know".');
+
+      await saveSpeakerAlias({ orgId: doc.orgId, label, email, updatedBy: String(req.user.email || '').toLowerCase().trim() });
+      // meetings resolved before this label was seen elsewhere pick the alias up on their next visit
+      if (!(doc.speakerIdentities?.speakers || []).some(i => i.label === label)) {
+        await Transcript.updateOne({ _id: doc._id }, { $unset: { 'speakerIdentities.resolvedAt': 1 } });
+      }
+    }
+
+    return res.redirect(`/user/transcript/saved/${doc._id}#participation`);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// -------------------- Transcript corrections --------------------
+
+const EDIT_HISTORY_MAX = 50;
+const EDIT_MAX_CHARS = 2000;
+
+// Attendees correct their meeting; org admins and whoever uploaded it may too
+function canEditTranscript(user, doc) {
+  if (doc.retention?.transcriptPurgedAt) return false;
+  if (user?.role === 'admin') return true;
+
+  const me = String(user?.email || '').toLowerCase().trim();
+  if (doc.source === 'upload' && sameMailbox(doc.upload?.uploadedBy, me)) return true;
+  if (!doc.participantEmails?.length) return true;
+  return doc.participantEmails.some(p => sameMailbox(p, me));
+}
+
+// The WebVTT files as received, one per Graph transcript part (uploads and transcripts saved before parts
+// kept theirs: the single stored VTT). A stitched transcript's own vtt is rebuilt from the cues, so it is not one.
+function originalVtts(doc) {
+  const parts = (doc.parts || []).filter(p => p.vtt);
+  if (parts.length) return parts.map(p => p.vtt);
+  return doc.vtt && (doc.parts || []).length <= 1 ? [doc.vtt] : [];
+}
+
+// POST /user/transcript/saved/:id/cues/:cueId (text)
+// Correct one transcript line. The edit is kept in TranscriptEdit; the received VTT is left as it was.
+router.post('/transcript/saved/:id/cues/:cueId', requireUser, async (req, res, next) => {
+  try {
+    const doc = await Transcript.findById(req.params.id);
+    if (!doc) return res.status(404).send('Transcript not found');
+    if (String(doc.orgId) !== String(req.user.org?._id)) return res.status(403).send('Forbidden');
+    if (doc.retention?.transcriptPurgedAt) {
+      return res.status(409).send('The transcript text was removed under the retention policy, so it cannot be edited.');
+    }
+    if (!canEditTranscript(req.user, doc)) return res.status(403).send('Only attendees of this meeting can correct its transcript.');
+
+    const text = String(req.body.text || '').replace(/\s+/g, ' ').trim();
+    if (!text) return res.status(400).send('A line cannot be empty.');
+    if (text.length > EDIT_MAX_CHARS) return res.status(400).send(`A line can be at most ${EDIT_MAX_CHARS} characters.`);
+
+    const cueId = String(req.params.cueId || '');
+    const segments = (await ensureSegments(doc)).map(seg => (seg.toObject ? seg.toObject() : seg));
+    const si = segments.findIndex(seg => (seg.cues || []).some(c => c.id === cueId));
+    if (si < 0) return res.status(404).send('Line not found');
+    const ci = segments[si].cues.findIndex(c => c.id === cueId);
+
+    // with "redact before storage" a corrected line is redacted like the rest of the transcript
+    const clean = redactEdit(req.user.org, doc, text);
+    const before = segments[si].cues[ci].text;
+    if (clean.text === before) return res.redirect(`/user/transcript/saved/${doc._id}?hl=${cueId}#${cueId}`);
+
+    segments[si].cues[ci].text = clean.text;
+    segments[si].text = segments[si].cues.map(c => c.text).join(' ');
+
+    const me = String(req.user.email || '').toLowerCase().trim();
+    const $set = {
+      [`segments.${si}.cues.${ci}.text`]: clean.text,
+      [`segments.${si}.text`]: segments[si].text,
+      text: segmentsToText(segments),
+      'corrections.lastEditedAt': new Date(),
+      'corrections.lastEditedBy': me,
+      // re-index the corrected text for search
+      'search.status': 'none',
+    };
+    if (clean.redaction) {
+      $set['redaction.vault'] = clean.redaction.vault;
+      $set['redaction.counts'] = clean.redaction.counts;
+    }
+
+    const updated = await Transcript.findOneAndUpdate(
+      { _id: doc._id },
+      { $set, $inc: { 'corrections.revision': 1 }, $unset: { 'speakerStats.computedAt': 1 } },
+      { new: true }
+    );
+
+    await TranscriptEdit.create({
+      orgId: doc.orgId,
+      transcriptId: doc._id,
+      cueId,
+      speaker: segments[si].speaker || '',
+      before,
+      after: clean.text,
+      editedBy: me,
+      revision: updated.corrections.revision,
+    });
+
+    await queueTranscriptIndex(updated, req.user.org).catch(e => console.log('Search index queue failed:', e.message || e));
+
+    return res.redirect(`/user/transcript/saved/${doc._id}?hl=${cueId}#${cueId}`);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// GET /user/transcript/saved/:id/original.vtt[?part=2] -> the WebVTT as received (corrections are not applied)
+router.get('/transcript/saved/:id/original.vtt', requireUser, async (req, res, next) => {
+  try {
+    const doc = await Transcript.findById(req.params.id).select({ orgId: 1, vtt: 1, parts: 1, subject: 1 }).lean();
+    if (!doc) return res.status(404).send('Transcript not found');
+    if (String(doc.orgId) !== String(req.user.org?._id)) return res.status(403).send('Forbidden');
+
+    const originals = originalVtts(doc);
+    const part = Math.max(1, Math.floor(Number(req.query.part)) || 1);
+    if (!originals[part - 1]) return res.status(404).send('No original WebVTT is stored for this transcript.');
+
+    const name = String(doc.subject || 'transcript').replace(/[^\w\- ]+/g, '').trim().slice(0, 80) || 'transcript';
+    res.set('Content-Type', 'text/vtt; charset=utf-8');
+    res.attachment(`${name} (original${originals.length > 1 ? ` part ${part}` : ''}).vtt`);
+    return res.send(originals[part - 1]);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// -------------------- Ask this meeting --------------------
+
+const CHAT_MAX_MESSAGES = 200;
+
+// POST /user/transcript/saved/:id/ask (JSON) -> grounded answer, stored in the user's conversation
+router.post('/transcript/saved/:id/ask', requireUser, async (req, res) => {
+  try {
+    const doc = await Transcript.findById(req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Transcript not found' });
+    if (String(doc.orgId) !== String(req.user.org?._id)) return res.status(403).json({ error: 'Forbidden' });
+
+    const question = String(req.body.question || '').trim().slice(0, 1000);
+    if (!question) return res.status(400).json({ error: 'Type a question first.' });
+
+    const me = String(req.user.email || '').toLowerCase().trim();
+    const chat = await MeetingChat.findOne({ transcriptId: doc._id, userEmail: me }).lean();
+
+    const segments = await segmentsForAi(doc, req.user.org);
+    const result = await answerMeetingQuestion({
+      cues: segmentsToCues(segments),
+      question,
+      history: chat?.messages || [],
+      subject: doc.subject || '',
+      llm: resolveLlmConfig(req.user.org),
+    });
+
+    const asked = { role: 'user', content: question, at: new Date() };
+    const answered = {
+      role: 'assistant',
+      content: result.answer,
+      notDiscussed: result.notDiscussed,
+      quotes: result.quotes,
+      model: result.model,
+      at: new Date(),
+    };
+
+    await MeetingChat.updateOne(
+      { transcriptId: doc._id, userEmail: me },
+      {
+        $setOnInsert: { orgId: doc.orgId },
+        $push: { messages: { $each: [asked, answered], $slice: -CHAT_MAX_MESSAGES } },
+      },
+      { upsert: true }
+    );
+
+    return res.json({
+      question: asked,
+      answer: {
+        ...answered,
+        quotes: answered.quotes.map(q => ({ ...q, time: q.start === null ? '' : formatCueTime(q.start) })),
+      },
+      timed: segmentsTimed(segments),
+    });
+  } catch (e) {
+    console.log('Ask this meeting failed:', e.message || e);
+    return res.status(500).json({ error: e.message || String(e) });
+  }
+});
+
+// POST /user/transcript/saved/:id/ask/clear
+router.post('/transcript/saved/:id/ask/clear', requireUser, async (req, res, next) => {
+  try {
+    const doc = await Transcript.findById(req.params.id).select({ orgId: 1 }).lean();
+    if (!doc) return res.status(404).send('Transcript not found');
+    if (String(doc.orgId) !== String(req.user.org?._id)) return res.status(403).send('Forbidden');
+
+    await MeetingChat.deleteOne({ transcriptId: doc._id, userEmail: String(req.user.email || '').toLowerCase().trim() });
+    return res.redirect(`/user/transcript/saved/${doc._id}#ask`);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /user/transcript/saved/:id/generate (template picked on the transcript page)
+router.post('/transcript/saved/:id/generate', requireUser, async (req, res, next) => {
+  try {
+    const doc = await Transcript.findById(req.params.id);
+    if (!doc) return res.status(404).send('Transcript not found');
+    if (String(doc.orgId) !== String(req.user.org?._id)) return res.status(403).send('Forbidden');
+
+    const jobs = await getTranscriptJobState(doc._id);
+    if (jobs.summary?.state === 'running' || jobs.notes?.state === 'running') {
+      return res.status(409).send('Generation is already running for this meeting. Try again when it finishes.');
+    }
+
+    await queueTranscriptAi(doc, {
+      summaryTemplateId: String(req.body.summaryTemplateId || ''),
+      notesTemplateId: String(req.body.notesTemplateId || ''),
+      force: true,
+      requestedBy: String(req.user.email || '').toLowerCase().trim(),
+    });
+
+    return res.redirect(`/user/transcript/saved/${doc._id}`);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// Language to show a summary/notes in: ?lang=xx, ?lang=orig, else the user's preference
+function viewTranslation(req, doc, kind) {
+  const f = VERSION_FIELDS[kind];
+  const sourceLang = doc.ai?.[f.language] || '';
+  const q = String(req.query.lang || '');
+  const viewLang = q === 'orig' ? '' : (isLanguage(q) ? q : (req.user.outputLanguage || ''));
+
+  if (!viewLang || viewLang === (sourceLang || 'en') || !doc.ai?.[f.content]) {
+    return { sourceLang, viewLang: '', translation: null };
+  }
+
+  // cached translations are only valid for the version they were made from
+  const t = (doc.translations || []).find(x => x.kind === kind && x.lang === viewLang);
+  const fresh = t && t.sourceVersion === Number(doc.ai?.[f.version] || 0);
+  return { sourceLang, viewLang, translation: fresh ? t : null };
+}
+
 router.get('/transcript/saved/:id/summary', requireUser, async (req, res) => {
   const doc = await Transcript.findById(req.params.id);
   if (!doc) return res.status(404).send('Transcript not found');
   if (String(doc.orgId) !== String(req.user.org?._id)) return res.status(403).send('Forbidden');
 
+  const [templates, latest] = await Promise.all([
+    SummaryTemplate.find({ orgId: doc.orgId, kind: 'summary' }).select({ name: 1 }).sort({ name: 1 }).lean(),
+    latestVersion(doc._id, 'summary'),
+  ]);
+
+  const { segments, redaction } = await applyReveal(req, doc, await ensureSegments(doc));
+
   return res.render('user/summary', {
     title: 'AI Summary',
     user: req.user,
     org: req.user.org,
     doc,
+    templates,
+    latestVersionNo: latest?.version || 0,
+    languages: LANGUAGES,
+    ...viewTranslation(req, doc, 'summary'),
+    cueTimes: cueLabels(segments),
+    redaction,
+    stale: staleAfterCorrections(doc, 'summary'),
   });
 });
 
@@ -1116,13 +1138,751 @@ router.get('/transcript/saved/:id/notes', requireUser, async (req, res) => {
   if (!doc) return res.status(404).send('Transcript not found');
   if (String(doc.orgId) !== String(req.user.org?._id)) return res.status(403).send('Forbidden');
 
+  const [templates, latest] = await Promise.all([
+    SummaryTemplate.find({ orgId: doc.orgId, kind: 'notes' }).select({ name: 1 }).sort({ name: 1 }).lean(),
+    latestVersion(doc._id, 'notes'),
+  ]);
+
+  const { redaction } = await applyReveal(req, doc, []);
+
   return res.render('user/detailed_notes', {
     title: 'Detailed Notes',
     user: req.user,
     org: req.user.org,
     doc,
+    templates,
+    latestVersionNo: latest?.version || 0,
+    languages: LANGUAGES,
+    ...viewTranslation(req, doc, 'notes'),
+    redaction,
+    stale: staleAfterCorrections(doc, 'notes'),
   });
 });
 
+// GET /user/transcript/saved/:id/export/:format (docx | pdf | md | srt | vtt | json) -> file download
+router.get('/transcript/saved/:id/export/:format', requireUser, async (req, res, next) => {
+  try {
+    const format = String(req.params.format || '').toLowerCase();
+    if (!EXPORT_FORMATS[format]) return res.status(404).send('Unknown export format');
+
+    const doc = await Transcript.findById(req.params.id);
+    if (!doc) return res.status(404).send('Transcript not found');
+    if (String(doc.orgId) !== String(req.user.org?._id)) return res.status(403).send('Forbidden');
+
+    const { segments, redaction } = await applyReveal(req, doc, await ensureSegments(doc));
+    if (EXPORT_FORMATS[format].timed && !segmentsTimed(segments)) {
+      return res.status(400).send('This transcript has no timing, so it cannot be exported as subtitles.');
+    }
+
+    const actionItems = await ActionItem.find({ transcriptId: doc._id }).sort({ createdAt: 1 }).lean();
+    if (redaction.revealed) {
+      const values = openVault(doc.redaction.vault);
+      actionItems.forEach(a => { a.text = revealText(a.text, values); });
+    }
+    const file = await renderExport(format, doc, { org: req.user.org, actionItems, segments });
+
+    res.set('Content-Type', file.type);
+    res.attachment(file.filename);
+    return res.send(file.body);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /user/transcript/saved/:id/translate (kind, lang) -> background translation, cached on the transcript
+router.post('/transcript/saved/:id/translate', requireUser, async (req, res, next) => {
+  try {
+    const doc = await Transcript.findById(req.params.id);
+    if (!doc) return res.status(404).send('Transcript not found');
+    if (String(doc.orgId) !== String(req.user.org?._id)) return res.status(403).send('Forbidden');
+
+    const kind = req.body.kind === 'notes' ? 'notes' : 'summary';
+    const lang = String(req.body.lang || '');
+    if (!isLanguage(lang)) return res.status(400).send('Unknown language.');
+    if (!doc.ai?.[VERSION_FIELDS[kind].content]) return res.status(409).send('Nothing to translate yet.');
+
+    await queueTranslation(doc, kind, lang, String(req.user.email || '').toLowerCase().trim());
+
+    const page = kind === 'notes' ? 'notes' : 'summary';
+    return res.redirect(`/user/transcript/saved/${doc._id}/${page}?lang=${lang}`);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// -------------------- Regenerate + version history --------------------
+
+function versionKind(v) {
+  return v === 'notes' ? 'notes' : 'summary';
+}
+
+function versionPage(id, kind) {
+  return `/user/transcript/saved/${id}/${kind === 'notes' ? 'notes' : 'summary'}`;
+}
+
+// POST /user/transcript/saved/:id/regenerate (kind=summary|notes, optional templateId)
+router.post('/transcript/saved/:id/regenerate', requireUser, async (req, res, next) => {
+  try {
+    const doc = await Transcript.findById(req.params.id);
+    if (!doc) return res.status(404).send('Transcript not found');
+    if (String(doc.orgId) !== String(req.user.org?._id)) return res.status(403).send('Forbidden');
+
+    const kind = versionKind(req.body.kind);
+    if (doc.retention?.transcriptPurgedAt) {
+      return res.status(409).send('The transcript text was removed under the retention policy, so it cannot be regenerated.');
+    }
+    const jobs = await getTranscriptJobState(doc._id);
+    if (jobs[kind]?.state === 'running') {
+      return res.status(409).send('Generation is already running for this meeting. Try again when it finishes.');
+    }
+
+    const templateId = String(req.body.templateId || '');
+    await queueTranscriptAi(doc, {
+      summary: kind === 'summary',
+      notes: kind === 'notes',
+      summaryTemplateId: templateId,
+      notesTemplateId: templateId,
+      force: true,
+      requestedBy: String(req.user.email || '').toLowerCase().trim(),
+    });
+
+    return res.redirect(versionPage(doc._id, kind));
+  } catch (e) {
+    next(e);
+  }
+});
+
+// GET /user/transcript/saved/:id/versions?kind=summary&v=3&compare=2
+router.get('/transcript/saved/:id/versions', requireUser, async (req, res, next) => {
+  try {
+    const doc = await Transcript.findById(req.params.id);
+    if (!doc) return res.status(404).send('Transcript not found');
+    if (String(doc.orgId) !== String(req.user.org?._id)) return res.status(403).send('Forbidden');
+
+    const kind = versionKind(req.query.kind);
+    await backfillLegacyVersion(doc, kind);
+
+    const versions = await SummaryVersion.find({ transcriptId: doc._id, kind })
+      .sort({ version: -1 })
+      .lean();
+
+    const f = VERSION_FIELDS[kind];
+    const current = Number(doc.ai?.[f.version] || 0) || (versions[0]?.version || 0);
+    const pinned = Number(doc.ai?.[f.pinned] || 0);
+
+    const selectedNo = Number(req.query.v || current);
+    const selected = versions.find(v => v.version === selectedNo) || versions[0] || null;
+
+    const compareNo = Number(req.query.compare || 0);
+    const compare = compareNo ? versions.find(v => v.version === compareNo) || null : null;
+    const diff = (selected && compare) ? diffLines(compare.content, selected.content) : null;
+
+    return res.render('user/versions', {
+      title: kind === 'notes' ? 'Detailed notes versions' : 'Summary versions',
+      user: req.user,
+      org: req.user.org,
+      doc,
+      kind,
+      versions,
+      current,
+      pinned,
+      selected,
+      compare,
+      diff,
+      backUrl: versionPage(doc._id, kind),
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /user/transcript/saved/:id/versions/pin (kind, version) -> make it canonical and keep it there
+router.post('/transcript/saved/:id/versions/pin', requireUser, async (req, res, next) => {
+  try {
+    const doc = await Transcript.findById(req.params.id);
+    if (!doc) return res.status(404).send('Transcript not found');
+    if (String(doc.orgId) !== String(req.user.org?._id)) return res.status(403).send('Forbidden');
+
+    const kind = versionKind(req.body.kind);
+    const v = await SummaryVersion.findOne({ transcriptId: doc._id, kind, version: Number(req.body.version) }).lean();
+    if (!v) return res.status(404).send('Version not found');
+
+    const f = VERSION_FIELDS[kind];
+    await Transcript.updateOne(
+      { _id: doc._id },
+      { $set: { ...canonicalUpdate(kind, v), [`ai.${f.pinned}`]: v.version } }
+    );
+    if (kind === 'summary') await queueActionSync(doc._id);
+
+    return res.redirect(`/user/transcript/saved/${doc._id}/versions?kind=${kind}&v=${v.version}`);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /user/transcript/saved/:id/versions/unpin (kind) -> latest version becomes canonical again
+router.post('/transcript/saved/:id/versions/unpin', requireUser, async (req, res, next) => {
+  try {
+    const doc = await Transcript.findById(req.params.id);
+    if (!doc) return res.status(404).send('Transcript not found');
+    if (String(doc.orgId) !== String(req.user.org?._id)) return res.status(403).send('Forbidden');
+
+    const kind = versionKind(req.body.kind);
+    const f = VERSION_FIELDS[kind];
+    const latest = await latestVersion(doc._id, kind);
+
+    const set = { [`ai.${f.pinned}`]: 0 };
+    if (latest) Object.assign(set, canonicalUpdate(kind, latest));
+
+    await Transcript.updateOne({ _id: doc._id }, { $set: set });
+    if (kind === 'summary' && latest && latest.version !== doc.ai?.version) await queueActionSync(doc._id);
+
+    return res.redirect(`/user/transcript/saved/${doc._id}/versions?kind=${kind}`);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// GET /user/transcript/saved/:id/status (polled by summary/notes pages while jobs run)
+router.get('/transcript/saved/:id/status', requireUser, async (req, res) => {
+  const doc = await Transcript.findById(req.params.id).select({ orgId: 1, ai: 1, 'translations.kind': 1, 'translations.lang': 1, 'translations.status': 1, 'translations.error': 1 }).lean();
+  if (!doc) return res.status(404).json({ error: 'Transcript not found' });
+  if (String(doc.orgId) !== String(req.user.org?._id)) return res.status(403).json({ error: 'Forbidden' });
+
+  const jobs = await getTranscriptJobState(doc._id);
+
+  return res.json({
+    summary: {
+      status: doc.ai?.status || 'none',
+      error: doc.ai?.error || '',
+      progress: doc.ai?.progress || null,
+      job: jobs.summary,
+    },
+    notes: {
+      status: doc.ai?.detailedStatus || 'none',
+      error: doc.ai?.detailedError || '',
+      progress: doc.ai?.detailedProgress || null,
+      job: jobs.notes,
+    },
+    translations: (doc.translations || []).map(t => ({ kind: t.kind, lang: t.lang, status: t.status, error: t.error || '' })),
+  });
+});
+
+
+// -------------------- My actions --------------------
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function safeBack(v, fallback) {
+  const s = String(v || '');
+  return s.startsWith('/user/') ? s : fallback;
+}
+
+// Owner, meeting participant or org admin may change an item
+async function loadActionForUser(req) {
+  const item = await ActionItem.findById(req.params.id);
+  if (!item) return { status: 404 };
+  if (String(item.orgId) !== String(req.user.org?._id)) return { status: 403 };
+
+  const me = String(req.user.email || '').toLowerCase().trim();
+  const allowed =
+    req.user.role === 'admin' ||
+    sameMailbox(item.ownerEmail, me) ||
+    (item.participantEmails || []).some(p => sameMailbox(p, me));
+
+  if (!allowed) return { status: 403 };
+  return { item, me };
+}
+
+// -------------------- Upload --------------------
+
+// Transcript files are parsed in memory and never written to disk
+const uploadTranscriptFile = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } }).single('file');
+
+// Calendar events a file can be attached to (most recent first)
+async function uploadTargets(orgId, me) {
+  return EventCache.find({ orgId, userEmail: me })
+    .select({ eventId: 1, subject: 1, startDateTime: 1, endDateTime: 1 })
+    .sort({ startDateTime: -1 })
+    .limit(100)
+    .lean();
+}
+
+async function renderUpload(req, res, { error = '', form = {} } = {}) {
+  const orgId = req.user.org?._id;
+  const me = String(req.user.email || '').toLowerCase().trim();
+
+  const [events, uploads] = await Promise.all([
+    uploadTargets(orgId, me),
+    Transcript.find({ orgId, source: 'upload', 'upload.uploadedBy': me })
+      .select({ subject: 1, startDateTime: 1, upload: 1, 'ai.status': 1 })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean(),
+  ]);
+
+  return res.status(error ? 400 : 200).render('user/upload', {
+    title: 'Upload transcript',
+    user: req.user,
+    org: req.user.org,
+    events,
+    uploads,
+    formats: UPLOAD_FORMATS,
+    maxMb: Math.round(MAX_UPLOAD_BYTES / (1024 * 1024)),
+    error,
+    form,
+  });
+}
+
+// GET /user/upload
+router.get('/upload', requireUser, async (req, res, next) => {
+  try {
+    return await renderUpload(req, res, { form: { eventId: String(req.query.eventId || '') } });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /user/upload (multipart: file, subject, start, eventId) -> Transcript without Graph IDs, same AI pipeline
+router.post('/upload', requireUser, (req, res, next) => {
+  uploadTranscriptFile(req, res, (err) => {
+    if (err) {
+      const error = err.code === 'LIMIT_FILE_SIZE'
+        ? `The file is too large (max ${Math.round(MAX_UPLOAD_BYTES / (1024 * 1024))} MB).`
+        : (err.message || String(err));
+      return renderUpload(req, res, { error, form: req.body || {} }).catch(next);
+    }
+    next();
+  });
+}, async (req, res, next) => {
+  const form = req.body || {};
+  try {
+    const orgId = req.user.org?._id;
+    const me = String(req.user.email || '').toLowerCase().trim();
+
+    if (!req.file) return renderUpload(req, res, { error: 'Choose a transcript file.', form });
+
+    let imported;
+    try {
+      imported = await importTranscriptFile({ buffer: req.file.buffer, filename: req.file.originalname });
+    } catch (e) {
+      return renderUpload(req, res, { error: e.message || String(e), form });
+    }
+
+    // Optional: attach to one of the user's calendar events (subject, time and attendees come from it)
+    const eventId = String(form.eventId || '').trim();
+    const ev = eventId ? await EventCache.findOne({ orgId, userEmail: me, eventId }).lean() : null;
+    if (eventId && !ev) return renderUpload(req, res, { error: 'That calendar event was not found.', form });
+
+    let startDateTime = ev?.startDateTime || '';
+    let endDateTime = ev?.endDateTime || '';
+    if (!ev && form.start) {
+      const start = new Date(form.start);
+      if (isNaN(start.getTime())) return renderUpload(req, res, { error: 'The meeting date is not valid.', form });
+      startDateTime = start.toISOString();
+      if (imported.durationSeconds) endDateTime = new Date(start.getTime() + imported.durationSeconds * 1000).toISOString();
+    }
+
+    const filename = String(req.file.originalname || 'transcript').slice(0, 200);
+    const subject = String(form.subject || '').trim().slice(0, 300) ||
+      ev?.subject ||
+      filename.replace(/\.[^.]+$/, '');
+
+    const participantEmails = ev
+      ? [...new Set([me, ...(ev.attendeeEmails || [])].map(e => String(e).toLowerCase().trim()).filter(Boolean))]
+      : [me];
+
+    const { vtt, text, segments, redaction } = redactForStorage(req.user.org, imported);
+
+    const doc = await Transcript.create({
+      orgId,
+      source: 'upload',
+      eventId: ev?.eventId || '',
+      meetingId: '',
+      transcriptId: `upload:${new mongoose.Types.ObjectId()}`,
+      subject,
+      startDateTime,
+      endDateTime,
+      participantEmails,
+      vtt,
+      text,
+      segments,
+      redaction,
+      speakerStats: { ...computeSpeakerStats(segments, { participantEmails }), computedAt: new Date() },
+      language: { ...detectLanguage(text), detectedAt: new Date() },
+      upload: { filename, format: imported.format, uploadedBy: me, uploadedAt: new Date() },
+      ai: { status: 'none' },
+    });
+
+    await queueTranscriptAi(doc, { requestedBy: me });
+    await queueTranscriptIndex(doc, req.user.org).catch(e => console.log('Search index queue failed:', e.message || e));
+
+    return res.redirect(`/user/transcript/saved/${doc._id}`);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// -------------------- Analytics --------------------
+
+const ANALYTICS_BACKFILL = 50; // transcripts without stats computed per page view
+
+// GET /user/analytics?tab=series|people&series=<key>&speaker=<name>
+// Participation over time, across the meetings the user attended
+router.get('/analytics', requireUser, async (req, res, next) => {
+  try {
+    const orgId = req.user.org?._id;
+    const me = String(req.user.email || '').toLowerCase().trim();
+    const tab = req.query.tab === 'people' ? 'people' : 'series';
+    const selectedSeries = String(req.query.series || '').trim();
+    const selectedSpeaker = String(req.query.speaker || '').trim();
+
+    const ids = (await attendedTranscripts(orgId, me)).map(d => d._id);
+    const docs = await Transcript.find({ _id: { $in: ids } })
+      .select({ subject: 1, startDateTime: 1, participantEmails: 1, speakerStats: 1, speakerIdentities: 1 })
+      .sort({ startDateTime: -1 })
+      .lean();
+
+    // Meetings saved before analytics (or speaker identities) existed
+    const missing = docs.filter(d => !d.speakerStats?.computedAt || !d.speakerIdentities?.resolvedAt).slice(0, ANALYTICS_BACKFILL);
+    for (const d of missing) {
+      const full = await Transcript.findById(d._id)
+        .select({ orgId: 1, segments: 1, vtt: 1, text: 1, participantEmails: 1, attendees: 1, speakerStats: 1, speakerIdentities: 1 })
+        .lean();
+      const segments = await ensureSegments(full);
+      d.speakerStats = await ensureSpeakerStats(full, segments);
+      d.speakerIdentities = { speakers: await ensureSpeakerIdentities(full, segments) };
+    }
+
+    // speaker labels -> people, so one person is one row whatever Teams called them
+    const withPeople = (stats, identities) => {
+      const who = identityMap(identities?.speakers);
+      return {
+        ...stats,
+        speakers: (stats.speakers || []).map(s => {
+          const i = who.get(s.speaker);
+          return i ? { ...s, label: s.speaker, speaker: i.name || s.speaker, email: i.email } : s;
+        }),
+      };
+    };
+
+    const meetings = docs
+      .filter(d => d.speakerStats?.computedAt)
+      .map(d => ({
+        _id: d._id,
+        subject: d.subject || '',
+        startDateTime: d.startDateTime || '',
+        stats: withPeople(d.speakerStats, d.speakerIdentities),
+        series: seriesKey(d.subject),
+      }));
+
+    // Recurring meetings: same subject, two or more occurrences
+    const groups = new Map();
+    meetings.forEach(m => {
+      if (!m.series) return;
+      if (!groups.has(m.series)) groups.set(m.series, []);
+      groups.get(m.series).push(m);
+    });
+    const series = [...groups.entries()]
+      .filter(([, list]) => list.length > 1)
+      .map(([key, list]) => ({
+        key,
+        subject: list[0].subject,
+        occurrences: list.length,
+        lastStart: list[0].startDateTime,
+        speakers: aggregateSpeakerStats(list.map(m => m.stats)),
+      }))
+      .sort((a, b) => b.occurrences - a.occurrences);
+
+    const seriesDetail = series.find(s => s.key === selectedSeries) || null;
+    const people = aggregateSpeakerStats(meetings.map(m => m.stats));
+
+    // One speaker over time (newest first); ?speaker= is an email for people matched to one
+    const isSelected = x => (x.email ? x.email === selectedSpeaker : x.speaker === selectedSpeaker);
+    const personTimeline = selectedSpeaker
+      ? meetings
+        .map(m => ({ meeting: m, s: (m.stats.speakers || []).find(isSelected) }))
+        .filter(x => x.s)
+      : [];
+    const selectedPerson = people.find(isSelected) || null;
+
+    return res.render('user/analytics', {
+      title: 'Analytics',
+      user: req.user,
+      org: req.user.org,
+      tab,
+      series,
+      seriesDetail,
+      seriesMeetings: seriesDetail ? groups.get(seriesDetail.key) : [],
+      people,
+      selectedSpeaker,
+      selectedPerson,
+      personTimeline,
+      meetingsTotal: meetings.length,
+      meetingsPending: docs.length - meetings.length,
+      formatCueTime,
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// -------------------- Search --------------------
+
+const SEARCH_RESULTS = 20;
+const SEARCH_BACKFILL = 100; // unindexed transcripts queued per page view
+
+// GET /user/search?q=... -> passages ranked across every meeting the user attended
+// Exact words / phrases (text index); org admins may widen it to every meeting of the org
+async function renderKeywordSearch(req, res) {
+  const isAdmin = req.user.role === 'admin';
+  const filters = {
+    from: String(req.query.from || '').slice(0, 10),
+    to: String(req.query.to || '').slice(0, 10),
+    participant: String(req.query.participant || '').trim().slice(0, 120),
+    sort: req.query.sort === 'date' ? 'date' : 'relevance',
+    scope: isAdmin && req.query.scope === 'all' ? 'all' : 'mine',
+  };
+  const q = String(req.query.q || '').trim().slice(0, 300);
+
+  let found = { total: 0, page: 1, pages: 0, results: [] };
+  let error = '';
+  if (q) {
+    try {
+      found = await keywordSearch({
+        orgId: req.user.org?._id,
+        email: req.user.email,
+        allMeetings: filters.scope === 'all',
+        q,
+        ...filters,
+        page: req.query.page,
+      });
+    } catch (e) {
+      console.log('Keyword search failed:', e.message || e);
+      error = e.message || String(e);
+    }
+  }
+
+  return res.render('user/search', {
+    title: 'Search',
+    user: req.user,
+    org: req.user.org,
+    mode: 'keyword',
+    q,
+    filters,
+    isAdmin,
+    keyword: found,
+    results: [],
+    error,
+    meetingsTotal: 0,
+    meetingsPending: 0,
+    failed: 0,
+  });
+}
+
+router.get('/search', requireUser, async (req, res, next) => {
+  try {
+    if (req.query.mode === 'keyword') return await renderKeywordSearch(req, res);
+
+    const orgId = req.user.org?._id;
+    const me = String(req.user.email || '').toLowerCase().trim();
+    const q = String(req.query.q || '').trim().slice(0, 300);
+
+    const docs = await attendedTranscripts(orgId, me);
+
+    let embedder = null;
+    let error = '';
+    try {
+      embedder = resolveEmbedder(req.user.org);
+    } catch (e) {
+      error = e.message || String(e);
+    }
+
+    // Meetings saved before search existed (or indexed with another embedder) are indexed in the background
+    const pending = embedder ? docs.filter(d => !isIndexed(d, embedder)) : [];
+    for (const d of pending.filter(d => d.search?.status !== 'queued' && d.search?.status !== 'error').slice(0, SEARCH_BACKFILL)) {
+      await queueTranscriptIndex(d, req.user.org);
+    }
+
+    let results = [];
+    if (q && embedder) {
+      try {
+        const passages = await searchPassages({
+          orgId,
+          transcriptIds: docs.filter(d => isIndexed(d, embedder)).map(d => d._id),
+          query: q,
+          embedder,
+          limit: SEARCH_RESULTS,
+        });
+
+        const meetings = await Transcript.find({ _id: { $in: [...new Set(passages.map(p => String(p.transcriptId)))] } })
+          .select({ subject: 1, startDateTime: 1 })
+          .lean();
+        const byId = new Map(meetings.map(m => [String(m._id), m]));
+
+        results = passages
+          .filter(p => byId.has(String(p.transcriptId)))
+          .map(p => ({
+            ...p,
+            meeting: byId.get(String(p.transcriptId)),
+            time: p.start === null ? '' : formatCueTime(p.start),
+            snippet: snippetParts(p.text, q),
+          }));
+      } catch (e) {
+        console.log('Search failed:', e.message || e);
+        error = e.message || String(e);
+      }
+    }
+
+    return res.render('user/search', {
+      title: 'Search',
+      user: req.user,
+      org: req.user.org,
+      mode: 'meaning',
+      q,
+      results,
+      error,
+      meetingsTotal: docs.length,
+      meetingsPending: pending.length,
+      failed: pending.filter(d => d.search?.status === 'error').length,
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /user/search/retry -> index again the meetings whose indexing failed
+router.post('/search/retry', requireUser, async (req, res, next) => {
+  try {
+    const docs = await attendedTranscripts(req.user.org?._id, req.user.email);
+    for (const d of docs.filter(d => d.search?.status === 'error').slice(0, SEARCH_BACKFILL)) {
+      await queueTranscriptIndex(d, req.user.org);
+    }
+    return res.redirect(`/user/search${req.body.q ? `?q=${encodeURIComponent(req.body.q)}` : ''}`);
+  } catch (e) {
+    next(e);
+  }
+});
+
+// GET /user/actions?scope=mine|meetings&status=open|done|all&transcript=<id>
+router.get('/actions', requireUser, async (req, res, next) => {
+  try {
+    const orgId = req.user.org?._id;
+    const me = String(req.user.email || '').toLowerCase().trim();
+    const local = me.split('@')[0];
+
+    const scope = req.query.scope === 'meetings' ? 'meetings' : 'mine';
+    const status = ['open', 'done', 'all'].includes(req.query.status) ? req.query.status : 'open';
+    const transcriptId = String(req.query.transcript || '').trim();
+
+    // alias-tolerant match (same local part, see sameMailbox)
+    const escLocal = local.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const mailboxRe = new RegExp(`^${escLocal}@`, 'i');
+
+    const q = { orgId };
+    if (scope === 'mine') q.ownerEmail = mailboxRe;
+    else q.participantEmails = mailboxRe;
+    if (status !== 'all') q.status = status;
+    if (transcriptId && /^[a-f0-9]{24}$/i.test(transcriptId)) q.transcriptId = transcriptId;
+
+    const items = await ActionItem.find(q)
+      .sort({ status: -1, dueDate: 1, createdAt: -1 })
+      .limit(500)
+      .lean();
+
+    const orgUsers = await User.find({ org: orgId, status: 'active' })
+      .select({ name: 1, email: 1 })
+      .sort({ name: 1 })
+      .lean();
+
+    return res.render('user/actions', {
+      title: 'My actions',
+      user: req.user,
+      org: req.user.org,
+      activeNav: 'actions',
+      items,
+      orgUsers,
+      tab: scope, // `scope` is reserved by EJS
+      status,
+      transcriptId,
+      backUrl: req.originalUrl,
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /user/actions/:id/done  (done=1 -> done, done=0 -> reopen)
+router.post('/actions/:id/done', requireUser, async (req, res, next) => {
+  try {
+    const { item, me, status } = await loadActionForUser(req);
+    if (!item) return res.status(status).send(status === 404 ? 'Action not found' : 'Forbidden');
+
+    const done = String(req.body.done || '1') === '1';
+    item.status = done ? 'done' : 'open';
+    item.completedAt = done ? new Date() : null;
+    item.completedBy = done ? me : '';
+    item.userEdited = true;
+    item.updatedBy = me;
+    await item.save();
+
+    return res.redirect(safeBack(req.body.back, '/user/actions'));
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /user/actions/:id/reassign  (ownerEmail, optional ownerName)
+router.post('/actions/:id/reassign', requireUser, async (req, res, next) => {
+  try {
+    const { item, me, status } = await loadActionForUser(req);
+    if (!item) return res.status(status).send(status === 404 ? 'Action not found' : 'Forbidden');
+
+    const ownerEmail = String(req.body.ownerEmail || '').toLowerCase().trim();
+    if (ownerEmail && !EMAIL_RE.test(ownerEmail)) return res.status(400).send('Invalid owner email.');
+
+    let ownerName = String(req.body.ownerName || '').trim();
+    if (ownerEmail && !ownerName) {
+      const u = await User.findOne({ org: item.orgId, email: ownerEmail }).select({ name: 1 }).lean();
+      ownerName = u?.name || ownerEmail.split('@')[0];
+    }
+
+    item.ownerEmail = ownerEmail;
+    item.ownerName = ownerEmail ? ownerName : '';
+    item.userEdited = true;
+    item.updatedBy = me;
+    await item.save();
+
+    return res.redirect(safeBack(req.body.back, '/user/actions'));
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /user/actions/:id/due  (dueDate=YYYY-MM-DD, empty clears)
+router.post('/actions/:id/due', requireUser, async (req, res, next) => {
+  try {
+    const { item, me, status } = await loadActionForUser(req);
+    if (!item) return res.status(status).send(status === 404 ? 'Action not found' : 'Forbidden');
+
+    const raw = String(req.body.dueDate || '').trim();
+    let dueDate = null;
+    if (raw) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(raw)) return res.status(400).send('Invalid due date.');
+      dueDate = new Date(`${raw}T00:00:00Z`);
+      if (!Number.isFinite(dueDate.getTime())) return res.status(400).send('Invalid due date.');
+    }
+
+    item.dueDate = dueDate;
+    item.userEdited = true;
+    item.updatedBy = me;
+    await item.save();
+
+    return res.redirect(safeBack(req.body.back, '/user/actions'));
+  } catch (e) {
+    next(e);
+  }
+});
+
 
 module.exports = router;
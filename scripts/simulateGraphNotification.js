@@ -0,0 +1,145 @@
+// scripts/simulateGraphNotification.js
+// Local stand-in for Microsoft Graph change notifications: posts what Graph would send to the webhook
+// (routes/graph.js), so the notification path can be tested without a public HTTPS endpoint.
+//
+//   npm run graph:simulate -- --email me@contoso.com --kind transcripts --meeting <meetingId> --transcript <transcriptId>
+//   npm run graph:simulate -- --email me@contoso.com --kind events --event <eventId>
+//   npm run graph:simulate -- --email me@contoso.com --kind events --lifecycle missed
+//   npm run graph:simulate -- --validate
+//
+// The user needs a subscription of that kind; without an active one a local one ('local-…') is created.
+// --url overrides the webhook (default BASE_URL or http://localhost:PORT, + /graph/notifications).
+// Jobs queued by a notification still call Graph with the user's stored token when they run.
+require('dotenv').config();
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const GraphSubscription = require('../models/GraphSubscription');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([\w-]+)$/);
+    if (!m) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) args[m[1]] = true;
+    else args[m[1]] = argv[++i];
+  }
+  return args;
+}
+
+function webhookUrl(args) {
+  if (typeof args.url === 'string') return args.url;
+  const base = String(process.env.BASE_URL || `http://localhost:${Number(process.env.PORT) || 3000}`).replace(/\/+$/, '');
+  return `${base}/graph/notifications`;
+}
+
+// Same check Graph runs when a subscription is created: the token has to come back as text/plain
+async function validate(url) {
+  const token = `simulated-${crypto.randomBytes(6).toString('hex')}`;
+  const r = await fetch(`${url}?validationToken=${encodeURIComponent(token)}`, { method: 'POST' });
+  const body = await r.text();
+  const ok = r.status === 200 && body === token && /text\/plain/.test(r.headers.get('content-type') || '');
+  console.log(`validation: ${ok ? 'OK' : 'FAILED'} (${r.status} ${r.headers.get('content-type') || ''})`);
+  return ok;
+}
+
+async function subscriptionFor(user, kind) {
+  const sub = await GraphSubscription.findOne({ userId: user._id, kind }).select('+clientState').lean();
+  if (sub?.status === 'active') return sub;
+
+  const clientState = crypto.randomBytes(24).toString('hex');
+  console.log(`no active ${kind} subscription for ${user.email}: creating a local one`);
+  return GraphSubscription.findOneAndUpdate(
+    { userId: user._id, kind },
+    {
+      $set: {
+        orgId: user.org,
+        userEmail: user.email,
+        subscriptionId: `local-${kind}-${user._id}`,
+        resource: kind === 'events' ? 'me/events' : `users/${user.o365?.oid || user._id}/onlineMeetings/getAllTranscripts`,
+        changeType: kind === 'events' ? 'created,updated,deleted' : 'created',
+        expiresAt: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+        clientState,
+        status: 'active',
+        lastError: '',
+      },
+    },
+    { upsert: true, new: true }
+  ).select('+clientState').lean();
+}
+
+function notificationFor(args, user, sub) {
+  const base = {
+    subscriptionId: sub.subscriptionId,
+    subscriptionExpirationDateTime: new Date(sub.expiresAt || Date.now()).toISOString(),
+    clientState: args['bad-client-state'] ? 'wrong' : sub.clientState,
+    tenantId: user.o365?.tid || '',
+  };
+
+  if (typeof args.lifecycle === 'string') return { ...base, lifecycleEvent: args.lifecycle };
+
+  if (sub.kind === 'events') {
+    const eventId = String(args.event || 'simulated-event');
+    return {
+      ...base,
+      changeType: String(args.change || 'updated'),
+      resource: `Users/${user.o365?.oid || user._id}/Events/${eventId}`,
+      resourceData: { '@odata.type': '#Microsoft.Graph.Event', id: eventId },
+    };
+  }
+
+  if (typeof args.meeting !== 'string' || typeof args.transcript !== 'string') {
+    throw new Error('--meeting <onlineMeetingId> and --transcript <transcriptId> are required for transcript notifications');
+  }
+  return {
+    ...base,
+    changeType: 'created',
+    resource: `users('${user.o365?.oid || user._id}')/onlineMeetings('${args.meeting}')/transcripts('${args.transcript}')`,
+    resourceData: { '@odata.type': '#microsoft.graph.callTranscript', id: args.transcript },
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const url = webhookUrl(args);
+
+  const valid = await validate(url);
+  if (args.validate) return valid;
+
+  const kind = args.kind === 'events' ? 'events' : 'transcripts';
+  const email = String(args.email || '').toLowerCase().trim();
+  if (!email) throw new Error('--email <user email> is required');
+
+  await mongoose.connect(process.env.PRODUCTION ? process.env.MONGO_URI : 'mongodb://127.0.0.1:27017/minutes');
+  try {
+    const user = await User.findOne({ email }).lean();
+    if (!user) throw new Error(`No user ${email}`);
+
+    const sub = await subscriptionFor(user, kind);
+    const notification = notificationFor(args, user, sub);
+
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ value: [notification] }),
+    });
+    console.log(`notification: ${r.status} ${await r.text()}`);
+    return r.status === 202;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(e => {
+      console.error(e.message || e);
+      process.exit(1);
+    });
+}
+
+// the payload builder is shared with test/graphNotifications.test.js
+module.exports = { parseArgs, notificationFor };
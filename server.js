@@ -22,6 +22,15 @@ const User = require('./models/User');
 const authRoutes = require('./routes/auth'); // org local signup/login (you already updated this)
 const orgRoutes = require('./routes/org');   // org dashboard/settings/users etc.
 const userRoutes = require('./routes/user'); // user O365 login + user home
+const graphRoutes = require('./routes/graph'); // Graph change-notification webhook
+
+const { expiresAt } = require('./utils/o365Tokens');
+const { startJobWorker } = require('./utils/jobQueue');
+require('./workers/aiJobs'); // registers ai.summary / ai.notes handlers
+require('./workers/searchJobs'); // registers search.index handler
+const { scheduleRetentionSweep } = require('./workers/retentionJobs'); // retention.sweep / retention.purge
+const { scheduleCalendarSync } = require('./workers/calendarSyncJobs'); // calendar.sweep / calendar.sync
+const { scheduleGraphSubscriptions } = require('./workers/graphNotificationJobs'); // graph.subscriptions.* / graph.transcript
 require('dotenv').config();
 const isProd = String(process.env.PRODUCTION || '').toLowerCase() === 'true';
 const wantsHttpsLocal =
@@ -49,6 +58,14 @@ app.use(express.static(path.join(__dirname, 'public')));
   }
   await mongoose.connect(MONGO_URL);
   console.log('MongoDB connected');
+
+  // Background jobs (AI summary/notes). Set JOB_WORKER=false on web-only instances.
+  if (String(process.env.JOB_WORKER || 'true').toLowerCase() !== 'false') {
+    startJobWorker();
+    await scheduleRetentionSweep();
+    await scheduleCalendarSync();
+    await scheduleGraphSubscriptions();
+  }
 })().catch((err) => {
   console.error('Mongo connection error:', err);
   process.exit(1);
@@ -156,9 +173,7 @@ if (TENANT_ID && CLIENT_ID && CLIENT_SECRET) {
               access_token: accessToken || '',
               refresh_token: refreshToken || '',
               scope: params?.scope || '',
-              expires_at: params?.expires_in
-                ? Date.now() + (Number(params.expires_in) - 60) * 1000
-                : 0,
+              expires_at: expiresAt(params?.expires_in),
             },
           });
         } catch (e) {
@@ -217,6 +232,9 @@ app.use('/org', orgRoutes);
 // User area (/user) - slug join + O365 login + user home
 app.use('/user', userRoutes);
 
+// Graph change notifications (/graph/notifications), called by Microsoft Graph
+app.use('/graph', graphRoutes);
+
 // Org logout (POST)
 app.post('/auth/logout', (req, res, next) => {
   req.logout((err) => {
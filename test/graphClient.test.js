@@ -0,0 +1,80 @@
+// test/graphClient.test.js
+// Endpoint fallbacks of utils/graphClient.js, driven through the transcript lookups of utils/transcripts.js
+// against a local stand-in for Graph (GRAPH_BASE_URL). Org reads/writes are stubbed (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const Org = require('../models/Org');
+const { createGraphClient } = require('../utils/graphClient');
+const { annotateEventsWithTranscripts } = require('../utils/transcripts');
+
+// path (without query) -> status; beta/communications does not exist in this tenant
+const calls = [];
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://x');
+  const filter = url.searchParams.get('$filter') || '';
+  calls.push(`${url.pathname} ${filter}`);
+
+  let status = 200;
+  if (url.pathname.startsWith('/beta/communications/')) status = 404;
+  else if (filter.startsWith('JoinWebUrl')) status = 400; // this tenant only knows the lower-case property
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(status === 200 ? { value: [] } : { error: { code: 'x', message: 'no' } }));
+});
+
+const remembered = [];
+
+test.before(async () => {
+  test.mock.method(Org, 'findById', () => ({ select: () => ({ lean: async () => ({ graph: { endpoints: {} } }) }) }));
+  test.mock.method(Org, 'updateOne', async (q, u) => {
+    remembered.push(u.$set);
+    return { matchedCount: 1 };
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.GRAPH_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.CHECK_TRANSCRIPTS = 'true';
+});
+
+test.after(() => {
+  delete process.env.GRAPH_BASE_URL;
+  delete process.env.CHECK_TRANSCRIPTS;
+  server.close();
+});
+
+const event = {
+  id: 'e1',
+  subject: 'Planning',
+  start: { dateTime: '2026-10-01T10:00:00.0000000' },
+  end: { dateTime: '2026-10-01T11:00:00.0000000' },
+  onlineMeeting: { joinUrl: 'https://teams.microsoft.com/l/meetup-join/abc?context=1' },
+};
+
+test('an empty answer ends the lookup, and the route that answered is remembered', async () => {
+  const graph = createGraphClient({ accessToken: 't', orgId: 'org-a', user: 'me@contoso.com' });
+
+  const [first] = await annotateEventsWithTranscripts(graph, [event]);
+  assert.equal(first._hasTranscript, false);
+  assert.equal(first._tReason, 'no-meeting-match');
+  assert.deepEqual(calls.map(c => c.split(' ')[0]), [
+    '/beta/communications/onlineMeetings', // join URL: route missing
+    '/beta/me/onlineMeetings', // filter rejected (400)
+    '/beta/me/onlineMeetings', // answered empty: no other filter or route
+    '/beta/communications/onlineMeetings', // time window: route missing
+    '/beta/me/onlineMeetings', // answered empty
+  ]);
+  assert.deepEqual(remembered, [
+    { 'graph.endpoints.meetingByJoinUrl': 'beta/me' },
+    { 'graph.endpoints.meetingsByTime': 'beta/me' },
+  ]);
+
+  // the next sync starts at the remembered routes
+  calls.length = 0;
+  await annotateEventsWithTranscripts(graph, [event]);
+  assert.deepEqual(calls.map(c => c.split(' ')[0]), [
+    '/beta/me/onlineMeetings',
+    '/beta/me/onlineMeetings',
+    '/beta/me/onlineMeetings',
+  ]);
+  assert.equal(remembered.length, 2);
+});
@@ -0,0 +1,170 @@
+// test/graphNotifications.test.js
+// What scripts/simulateGraphNotification.js posts, run through the webhook (routes/graph.js): validation
+// echo, clientState check and the jobs a notification queues, plus the reauthorization lifecycle notifications ask
+// for. Mongo calls are stubbed (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fetch = require('node-fetch');
+
+const GraphSubscription = require('../models/GraphSubscription');
+const Job = require('../models/Job');
+const graphRouter = require('../routes/graph');
+const { reauthorizeUserSubscription } = require('../utils/graphSubscriptions');
+const { GraphError } = require('../utils/graphClient');
+const { parseArgs, notificationFor } = require('../scripts/simulateGraphNotification');
+
+const user = { _id: 'u1', email: 'me@contoso.com', org: 'org1', o365: { oid: 'oid-1', tid: 'tid-1' } };
+const subs = {
+  transcripts: {
+    _id: 's1',
+    userId: 'u1',
+    kind: 'transcripts',
+    subscriptionId: 'local-transcripts-u1',
+    clientState: 'secret-transcripts',
+    status: 'active',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  },
+  events: {
+    _id: 's2',
+    userId: 'u1',
+    kind: 'events',
+    subscriptionId: 'local-events-u1',
+    clientState: 'secret-events',
+    status: 'active',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  },
+  // created through Graph and far from expiry (the sweep would not renew it)
+  graph: {
+    _id: 's3',
+    userId: 'u1',
+    kind: 'events',
+    subscriptionId: 'graph-sub-1',
+    clientState: 'secret-graph',
+    status: 'active',
+    expiresAt: new Date(Date.now() + 48 * 60 * 60 * 1000),
+  },
+};
+
+const queued = [];
+const subscriptionUpdates = [];
+let server;
+let url;
+
+test.before(async () => {
+  const bySubscriptionId = id => Object.values(subs).find(s => s.subscriptionId === id) || null;
+  test.mock.method(GraphSubscription, 'findOne', q => ({
+    select: () => ({ lean: async () => bySubscriptionId(q.subscriptionId) }),
+    lean: async () => bySubscriptionId(q.subscriptionId),
+  }));
+  test.mock.method(GraphSubscription, 'updateOne', async (q, u) => {
+    subscriptionUpdates.push(u.$set);
+    return { matchedCount: 1 };
+  });
+  test.mock.method(GraphSubscription, 'findOneAndUpdate', async (q, u) => ({ ...u.$set }));
+  test.mock.method(Job, 'findOneAndUpdate', async (q, u) => {
+    queued.push(u.$setOnInsert);
+    return u.$setOnInsert;
+  });
+
+  const app = express();
+  app.use('/graph', graphRouter);
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  url = `http://127.0.0.1:${server.address().port}/graph/notifications`;
+});
+
+test.after(() => server.close());
+
+test.beforeEach(() => {
+  queued.length = 0;
+  subscriptionUpdates.length = 0;
+});
+
+const post = notification =>
+  fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ value: [notification] }),
+  });
+
+const simulated = (argv, kind) => notificationFor(parseArgs(argv), user, subs[kind]);
+
+test('the validation token is echoed as text/plain', async () => {
+  const r = await fetch(`${url}?validationToken=${encodeURIComponent('token <1>')}`, { method: 'POST' });
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get('content-type'), /text\/plain/);
+  assert.equal(await r.text(), 'token <1>');
+});
+
+test('a transcript notification queues the transcript job', async () => {
+  const n = simulated(['--kind', 'transcripts', '--meeting', 'MSo1', '--transcript', 'T1'], 'transcripts');
+  const r = await post(n);
+
+  assert.equal(r.status, 202);
+  assert.deepEqual(await r.json(), { accepted: 1 });
+  assert.equal(queued.length, 1);
+  assert.equal(queued[0].type, 'graph.transcript');
+  assert.equal(queued[0].key, 'graph.transcript:T1');
+  assert.deepEqual(queued[0].payload, { userId: 'u1', meetingId: 'MSo1', transcriptId: 'T1' });
+});
+
+test('an event notification queues the calendar sync', async () => {
+  const r = await post(simulated(['--kind', 'events', '--event', 'E1'], 'events'));
+
+  assert.equal(r.status, 202);
+  assert.deepEqual(await r.json(), { accepted: 1 });
+  assert.equal(queued.length, 1);
+  assert.equal(queued[0].key, `${queued[0].type}:u1`);
+  assert.deepEqual(queued[0].payload, { userId: 'u1' });
+});
+
+test('a wrong clientState or an unknown subscription is dropped', async () => {
+  const bad = simulated(['--kind', 'transcripts', '--meeting', 'MSo1', '--transcript', 'T1', '--bad-client-state'], 'transcripts');
+  const unknown = { ...simulated(['--kind', 'events'], 'events'), subscriptionId: 'not-ours' };
+
+  for (const n of [bad, unknown, { ...bad, clientState: undefined }]) {
+    const r = await post(n);
+    assert.equal(r.status, 202);
+    assert.deepEqual(await r.json(), { accepted: 0 });
+  }
+  assert.equal(queued.length, 0);
+});
+
+test('reauthorizationRequired queues a reauthorization of that subscription', async () => {
+  const n = notificationFor(parseArgs(['--kind', 'events', '--lifecycle', 'reauthorizationRequired']), user, subs.graph);
+  const r = await post(n);
+
+  assert.equal(r.status, 202);
+  assert.deepEqual(await r.json(), { accepted: 1 });
+  assert.equal(queued.length, 1);
+  assert.equal(queued[0].type, 'graph.subscriptions.reauthorize');
+  assert.deepEqual(queued[0].payload, { userId: 'u1', subscriptionId: 'graph-sub-1' });
+});
+
+test('a subscription far from expiry is still reauthorized, and recreated when Graph lost it', async () => {
+  const calls = [];
+  const graphClient = found => ({
+    json: async (path, opts = {}) => {
+      calls.push(`${opts.method || 'GET'} ${path}`);
+      if (path.endsWith('/reauthorize') && !found) throw new GraphError('gone', { type: 'not_found', status: 404 });
+      return path === '/subscriptions' ? { id: 'graph-sub-2', expirationDateTime: new Date().toISOString() } : {};
+    },
+  });
+
+  process.env.GRAPH_NOTIFICATION_URL = 'https://example.com/graph/notifications';
+  try {
+    assert.equal(await reauthorizeUserSubscription(user, graphClient(true), 'graph-sub-1'), 'reauthorized');
+    assert.deepEqual(calls, ['POST /subscriptions/graph-sub-1/reauthorize']);
+
+    calls.length = 0;
+    assert.equal(await reauthorizeUserSubscription(user, graphClient(false), 'graph-sub-1'), 'recreated');
+    assert.deepEqual(calls, ['POST /subscriptions/graph-sub-1/reauthorize', 'POST /subscriptions']);
+
+    // simulator subscriptions never reach Graph
+    calls.length = 0;
+    assert.equal(await reauthorizeUserSubscription(user, graphClient(true), 'local-events-u1'), 'skipped');
+    assert.deepEqual(calls, []);
+  } finally {
+    delete process.env.GRAPH_NOTIFICATION_URL;
+  }
+});
@@ -0,0 +1,93 @@
+// test/llm.test.js
+// Provider calls of utils/llm.js and utils/embeddings.js: the server's Azure key never goes to an org's
+// endpoint, and a hung endpoint times out (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.TOKEN_ENCRYPTION_KEY = process.env.TOKEN_ENCRYPTION_KEY || 'test-key';
+process.env.AZURE_OPENAI_ENDPOINT = 'https://server.openai.azure.com';
+process.env.AZURE_OPENAI_API_KEY = 'server-key';
+const { parseAzureEndpoint, sealApiKey, resolveLlmConfig, azureAuth } = require('../utils/llm');
+
+const azureOrg = ai => ({ ai: { provider: 'azure', azureDeployment: 'gpt', ...ai } });
+
+test('only https Azure OpenAI hosts are accepted as endpoints', () => {
+  assert.deepEqual(parseAzureEndpoint(''), { endpoint: '' });
+  assert.deepEqual(parseAzureEndpoint('https://contoso.openai.azure.com/'), { endpoint: 'https://contoso.openai.azure.com' });
+  assert.deepEqual(parseAzureEndpoint('https://contoso.cognitiveservices.azure.com'), { endpoint: 'https://contoso.cognitiveservices.azure.com' });
+
+  for (const bad of [
+    'http://contoso.openai.azure.com',
+    'https://evil.example.com',
+    'https://contoso.openai.azure.com.evil.example.com',
+    'https://contoso.openai.azure.com:8443',
+    'https://user:pw@contoso.openai.azure.com',
+    'https://contoso.openai.azure.com/path',
+    'not a url',
+  ]) {
+    assert.ok(parseAzureEndpoint(bad).error, bad);
+  }
+});
+
+test('the server endpoint gets the server key', () => {
+  for (const org of [azureOrg({}), azureOrg({ azureEndpoint: 'https://server.openai.azure.com/' })]) {
+    assert.deepEqual(azureAuth(resolveLlmConfig(org)), { endpoint: 'https://server.openai.azure.com', apiKey: 'server-key' });
+  }
+});
+
+test("an org endpoint only gets the org's own key", () => {
+  const own = azureOrg({ azureEndpoint: 'https://contoso.openai.azure.com', azureApiKey: sealApiKey('org-key') });
+  assert.deepEqual(azureAuth(resolveLlmConfig(own)), { endpoint: 'https://contoso.openai.azure.com', apiKey: 'org-key' });
+
+  assert.throws(() => azureAuth(resolveLlmConfig(azureOrg({ azureEndpoint: 'https://contoso.openai.azure.com' }))), /API key/);
+
+  // stored before endpoints were validated
+  const stored = azureOrg({ azureEndpoint: 'https://collector.example.com', azureApiKey: sealApiKey('org-key') });
+  assert.throws(() => azureAuth(resolveLlmConfig(stored)), /refused/);
+});
+
+test('Azure embeddings use the same endpoint and key rules', async () => {
+  const fetchCalls = [];
+  const nodeFetch = require.cache[require.resolve('node-fetch')];
+  const original = nodeFetch.exports;
+  nodeFetch.exports = async (url, opts) => {
+    fetchCalls.push({ url, key: opts.headers['api-key'] });
+    return { ok: true, json: async () => ({ data: [{ index: 0, embedding: [1, 0] }] }) };
+  };
+  process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT = 'emb';
+  const fresh = () => ['../utils/embeddings', '../utils/llm'].forEach(m => delete require.cache[require.resolve(m)]);
+  fresh();
+  try {
+    const { resolveEmbedder, embedTexts } = require('../utils/embeddings');
+
+    await embedTexts(resolveEmbedder(azureOrg({})), ['a']);
+    const own = azureOrg({ azureEndpoint: 'https://contoso.openai.azure.com', azureApiKey: sealApiKey('org-key') });
+    await embedTexts(resolveEmbedder(own), ['a']);
+    await assert.rejects(embedTexts(resolveEmbedder(azureOrg({ azureEndpoint: 'https://contoso.openai.azure.com' })), ['a']), /API key/);
+
+    assert.deepEqual(fetchCalls.map(c => [new URL(c.url).host, c.key]), [
+      ['server.openai.azure.com', 'server-key'],
+      ['contoso.openai.azure.com', 'org-key'],
+    ]);
+  } finally {
+    nodeFetch.exports = original;
+    fresh();
+  }
+});
+
+test('a hung embeddings endpoint times out', async () => {
+  const server = http.createServer(() => {}); // never answers
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.EMBEDDING_PROVIDER = 'local';
+  process.env.LOCAL_LLM_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  process.env.LLM_TIMEOUT_MS = '200';
+  try {
+    const { resolveEmbedder, embedTexts } = require('../utils/embeddings');
+    await assert.rejects(embedTexts(resolveEmbedder(null), ['a']), /did not answer within 0.2s/);
+  } finally {
+    for (const k of ['EMBEDDING_PROVIDER', 'LOCAL_LLM_BASE_URL', 'LLM_TIMEOUT_MS']) delete process.env[k];
+    server.closeAllConnections();
+    server.close();
+  }
+});
@@ -0,0 +1,49 @@
+// test/meetingAccess.test.js
+// Keyword search (utils/keywordSearch.js) and semantic search (utils/searchIndex.js) limit a user to the
+// same meetings (utils/meetingAccess.js). Mongo calls are stubbed (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Transcript = require('../models/Transcript');
+const EventCache = require('../models/EventCache');
+const { keywordSearch } = require('../utils/keywordSearch');
+const { attendedTranscripts } = require('../utils/searchIndex');
+
+const filters = [];
+
+test.before(() => {
+  test.mock.method(EventCache, 'distinct', async (field, q) => (q.userEmail === 'ana@contoso.com' ? ['ev-1', 'ev-2'] : []));
+  test.mock.method(Transcript, 'countDocuments', async q => {
+    filters.push(q);
+    return 0;
+  });
+  test.mock.method(Transcript, 'find', q => {
+    filters.push(q);
+    const chain = { select: () => chain, sort: () => chain, skip: () => chain, limit: () => chain, lean: async () => [] };
+    return chain;
+  });
+});
+
+test.beforeEach(() => { filters.length = 0; });
+
+const access = ({ orgId, $or }) => ({ orgId, $or });
+
+test('keyword and semantic search see the same meetings', async () => {
+  await keywordSearch({ orgId: 'org1', email: 'Ana@contoso.com', q: 'budget', from: '2026-01-01' });
+  await attendedTranscripts('org1', 'Ana@contoso.com');
+
+  const [keyword, , semantic] = filters;
+  assert.deepEqual(access(keyword), access(semantic));
+  assert.deepEqual(semantic.$or, [
+    { participantEmails: /^ana@/i },
+    { eventId: { $in: ['ev-1', 'ev-2'] } },
+  ]);
+  // the search form's filters and the text query stay on top of the access filter
+  assert.ok(keyword.$text && keyword.$and);
+});
+
+test('org admins who ask for it search the whole org', async () => {
+  await keywordSearch({ orgId: 'org1', email: 'admin@contoso.com', allMeetings: true, q: 'budget' });
+  assert.equal(filters[0].orgId, 'org1');
+  assert.equal(filters[0].$or, undefined);
+});
@@ -0,0 +1,119 @@
+// test/o365Tokens.test.js
+// Token refresh of utils/o365Tokens.js against a local stand-in token endpoint (O365_TOKEN_URL), and the
+// login redirect of middleware/ensureUserFreshToken.js when the refresh token stopped working (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.CLIENT_ID = 'test-client';
+process.env.CLIENT_SECRET = 'test-secret';
+
+const { refreshTokensOnce } = require('../utils/o365Tokens');
+const ensureUserFreshToken = require('../middleware/ensureUserFreshToken');
+
+// answer(form) -> { status, body }; every request is recorded
+let answer = () => ({ status: 500, body: {} });
+const requests = [];
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', c => { raw += c; });
+  req.on('end', () => {
+    const form = Object.fromEntries(new URLSearchParams(raw));
+    requests.push(form);
+    const { status, body } = answer(form);
+    // a little latency, so parallel refreshes overlap
+    setTimeout(() => res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body)), 50);
+  });
+});
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.O365_TOKEN_URL = `http://127.0.0.1:${server.address().port}/token`;
+});
+
+test.after(() => server.close());
+
+test.beforeEach(() => { requests.length = 0; });
+
+const expired = refreshToken => ({ access_token: 'old', refresh_token: refreshToken, scope: 's', expires_at: 1 });
+
+function fakeRequest(method, tokens) {
+  const session = { userTokens: tokens, save: cb => cb() };
+  return { method, originalUrl: '/user/calendar', user: { org: { _id: 'org1' } }, session };
+}
+
+function fakeResponse() {
+  const res = { locals: {}, statusCode: 200, body: '', redirectedTo: '' };
+  res.status = code => { res.statusCode = code; return res; };
+  res.send = body => { res.body = body; return res; };
+  res.redirect = url => { res.redirectedTo = url; return res; };
+  return res;
+}
+
+test('parallel refreshes of one refresh token share a single token request', async () => {
+  answer = form => ({
+    status: 200,
+    body: { access_token: `access-for-${form.refresh_token}`, refresh_token: 'rotated', expires_in: 3600 },
+  });
+
+  const [a, b, c] = await Promise.all([
+    refreshTokensOnce(expired('r1')),
+    refreshTokensOnce(expired('r1')),
+    refreshTokensOnce(expired('r1')),
+  ]);
+
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].grant_type, 'refresh_token');
+  assert.equal(requests[0].refresh_token, 'r1');
+  assert.equal(a.access_token, 'access-for-r1');
+  assert.equal(a.refresh_token, 'rotated');
+  assert.ok(a.expires_at > Date.now());
+  assert.equal(b, a);
+  assert.equal(c, a);
+
+  // the finished refresh is not reused
+  await refreshTokensOnce(expired('r1'));
+  assert.equal(requests.length, 2);
+});
+
+test('a rejected grant needs a new login, a server error does not', async () => {
+  answer = () => ({ status: 400, body: { error: 'invalid_grant', error_description: 'AADSTS70008: expired' } });
+  await assert.rejects(refreshTokensOnce(expired('r2')), e => e.reauth === true && /invalid_grant/.test(e.message));
+
+  answer = () => ({ status: 503, body: { error: 'temporarily_unavailable' } });
+  await assert.rejects(refreshTokensOnce(expired('r2')), e => e.reauth === false);
+});
+
+test('an expired session is refreshed before the route runs', async () => {
+  answer = () => ({ status: 200, body: { access_token: 'fresh', refresh_token: 'r3b', expires_in: 3600 } });
+
+  const req = fakeRequest('GET', expired('r3'));
+  const res = fakeResponse();
+  let nextCalled = false;
+  await ensureUserFreshToken(req, res, () => { nextCalled = true; });
+
+  assert.ok(nextCalled);
+  assert.equal(req.session.userTokens.access_token, 'fresh');
+  assert.equal(res.locals.userTokens.refresh_token, 'r3b');
+});
+
+test('a refresh token that stopped working sends the user to the Office 365 login', async () => {
+  answer = () => ({ status: 400, body: { error: 'invalid_grant' } });
+
+  const req = fakeRequest('GET', expired('r4'));
+  const res = fakeResponse();
+  await ensureUserFreshToken(req, res, () => assert.fail('the route must not run'));
+
+  assert.equal(res.redirectedTo, '/auth/office365');
+  assert.equal(req.session.userTokens, undefined);
+  assert.equal(req.session.returnTo, '/user/calendar');
+  assert.equal(req.session.joinOrgId, 'org1');
+
+  // form posts cannot be replayed after the login: 401 instead of a redirect
+  const post = fakeRequest('POST', expired('r4'));
+  const postRes = fakeResponse();
+  await ensureUserFreshToken(post, postRes, () => assert.fail('the route must not run'));
+  assert.equal(postRes.statusCode, 401);
+  assert.equal(postRes.redirectedTo, '');
+});
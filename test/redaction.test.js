@@ -0,0 +1,45 @@
+// test/redaction.test.js
+// Built-in detectors and custom patterns of utils/redaction.js (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.REDACTION_KEY = process.env.REDACTION_KEY || 'test-key';
+const { redactionRules, createRedactor, compileCustomPattern } = require('../utils/redaction');
+
+function redactWith(detectors, text) {
+  const rules = redactionRules({ redaction: { enabled: true, applyAt: 'ingest', detectors } });
+  return createRedactor(rules).redact(text);
+}
+
+test('phone numbers are redacted', () => {
+  assert.equal(redactWith(['phone'], 'Call +91 98765 43210 today'), 'Call [PHONE_1] today');
+  assert.equal(redactWith(['phone'], 'Office (555) 123-4567.'), 'Office [PHONE_1].');
+  assert.equal(redactWith(['phone'], 'London 020 7946 0958'), 'London [PHONE_1]');
+  assert.equal(redactWith(['phone'], 'mobile 9876543210'), 'mobile [PHONE_1]');
+});
+
+test('dates, years and amounts are not phone numbers', () => {
+  for (const text of [
+    'Go-live on 2024-01-15.',
+    'Starts 2024-01-15 10:30 sharp',
+    'Due 15.01.2024 or 15/01/2024',
+    'Budget is 12 500 000 this year',
+    'Revenue 1 250 000 000 in total',
+    'Plans for 2024 2025 and 2026',
+    'Ticket 12345678',
+  ]) {
+    assert.equal(redactWith(['phone'], text), text);
+  }
+});
+
+test('custom patterns with nested repeats are refused', () => {
+  for (const p of ['(a+)+$', '(a*)*b', '(\\w|\\d)+@', '((ab)+c)*', '(?:x+y?)+', '(?<n>a+){2,}']) {
+    assert.match(compileCustomPattern(p).error || '', /repeats a group/, p);
+  }
+});
+
+test('ordinary custom patterns are accepted', () => {
+  for (const p of ['ACC-\\d{6}', 'EMP\\d+', '(?:Mr|Ms)\\.? [A-Z][a-z]+', '(ab)+', '(\\d{3}-)?\\d{4}', '[(+]\\d+', '\\(a+\\)+']) {
+    assert.equal(compileCustomPattern(p).error, undefined, p);
+  }
+});
@@ -0,0 +1,36 @@
+// utils/actionItems.js
+const ActionItem = require('../models/ActionItem');
+
+/**
+ * Replace the AI-extracted items of a transcript with a fresh list.
+ * Items a user already touched (done / reassigned / due date) are kept as they are.
+ */
+async function replaceAiActionItems(doc, items) {
+  await ActionItem.deleteMany({ transcriptId: doc._id, source: 'ai', userEdited: false });
+
+  const kept = await ActionItem.find({ transcriptId: doc._id }).select({ text: 1 }).lean();
+  const keptTexts = new Set(kept.map(k => String(k.text).toLowerCase().trim()));
+
+  const docs = (items || [])
+    .filter(it => !keptTexts.has(String(it.text).toLowerCase().trim()))
+    .map(it => ({
+      orgId: doc.orgId,
+      transcriptId: doc._id,
+      eventId: doc.eventId || '',
+      meetingSubject: doc.subject || '',
+      meetingStart: doc.startDateTime || '',
+      participantEmails: doc.participantEmails || [],
+      text: it.text,
+      ownerName: it.ownerName || '',
+      ownerEmail: it.ownerEmail || '',
+      dueDate: it.dueDate || null,
+      dueText: it.dueText || '',
+      cues: it.cues || [],
+      source: 'ai',
+    }));
+
+  if (docs.length) await ActionItem.insertMany(docs);
+  return docs.length;
+}
+
+module.exports = { replaceAiActionItems };
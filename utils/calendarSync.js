@@ -0,0 +1,358 @@
+// utils/calendarSync.js
+// Calendar -> EventCache sync with Graph calendarView delta, shared by the Refresh button (routes/user.js)
+// and the background worker (workers/calendarSyncJobs.js). Graph calls use the caller's utils/graphClient.js client.
+//
+//  - a delta round lists every event of the recent window [now - DELTA_DAYS, now + FUTURE_DAYS];
+//    later runs only get new, changed and deleted events. The delta link is kept in UserSyncState.
+//  - a new round starts when the window runs out or Graph drops the delta state. It lists everything
+//    again, so whatever the feed missed (forwarded invites...) is picked up.
+//  - history goes back CALENDAR_SYNC_HISTORY_DAYS, never further than the org's meeting retention
+//    (Org.retention.meetingDays): rows the retention sweep deletes are not written back
+//  - older history is listed with calendarView next to the delta round:
+//    coverage (syncedFrom) grows backwards by STEP_DAYS per run, and once every BACKFILL_EVERY_HOURS the
+//    older covered part is listed again for forwarded / late invites (lastBackfillAt)
+//  - online meetings are cached; cancelled, deleted and no-longer-online events are removed
+//  - transcript lookups (expensive) run only for new or changed meetings once they started, and again
+//    while transcripts can still appear (until TRANSCRIPT_SETTLE_HOURS after the meeting ended)
+const Org = require('../models/Org');
+const EventCache = require('../models/EventCache');
+const UserSyncState = require('../models/UserSyncState');
+const { getCalendarDelta, getCalendarRange } = require('./graph');
+const { annotateEventsWithTranscripts } = require('./transcripts');
+const { retentionPolicy } = require('./retention');
+
+const FUTURE_DAYS = 7; // window end: upcoming meetings are cached so they are checked once they start
+const MIN_AHEAD_DAYS = 1; // new round when the window ends sooner than this
+const DELTA_DAYS = 30; // recent days watched by the delta feed; older ones are backfilled
+const STEP_DAYS = 14; // history added per run
+const SLICE_DAYS = 30; // calendarView returns at most 300 events per call: long ranges go in slices
+const BACKFILL_EVERY_HOURS = 24;
+const TRANSCRIPT_SETTLE_HOURS = 8; // same window utils/transcripts.js matches transcripts in
+const RECHECK_MINUTES = 20;
+const CONCURRENCY = 4;
+
+// Days of history kept in EventCache for an org: CALENDAR_SYNC_HISTORY_DAYS capped by the meeting retention
+function historyDays(org) {
+  const env = Math.max(1, Number(process.env.CALENDAR_SYNC_HISTORY_DAYS || 90));
+  return Math.min(env, retentionPolicy(org).meetingDays);
+}
+
+function startOfDay(d) {
+  const x = new Date(d);
+  x.setHours(0, 0, 0, 0);
+  return x;
+}
+
+function endOfDay(d) {
+  const x = new Date(d);
+  x.setHours(23, 59, 59, 999);
+  return x;
+}
+
+function addDays(d, n) {
+  const x = new Date(d);
+  x.setDate(x.getDate() + n);
+  return x;
+}
+
+function toIsoZ(graphDateTime) {
+  // graphDateTime can be:
+  // - string "2026-01-13T10:00:00.0000000" (no zone)
+  // - or object { dateTime, timeZone }
+  const dt = typeof graphDateTime === 'string'
+    ? graphDateTime
+    : (graphDateTime?.dateTime || '');
+
+  if (!dt) return '';
+
+  const s = String(dt).trim();
+
+  // already has timezone info
+  if (/[zZ]$/.test(s) || /[+\-]\d\d:\d\d$/.test(s)) return s;
+
+  // If you requested UTC via Prefer, Graph gives UTC "floating" time -> append Z
+  return `${s}Z`;
+}
+
+function isOnline(ev) {
+  return !!(ev?.isOnlineMeeting || ev?.onlineMeeting || ev?.onlineMeetingUrl);
+}
+
+function newWindow(now, history) {
+  const days = Math.min(DELTA_DAYS, history);
+  return { start: startOfDay(addDays(now, -(days - 1))), end: endOfDay(addDays(now, FUTURE_DAYS)) };
+}
+
+// Newest slice first, so the recent part is cached even if a later slice fails
+function sliceRange(r, days = SLICE_DAYS) {
+  const out = [];
+  let end = r.end;
+  while (end > r.start) {
+    const start = new Date(Math.max(r.start.getTime(), addDays(end, -days).getTime()));
+    out.push({ start, end });
+    end = start;
+  }
+  return out;
+}
+
+/**
+ * Delta events -> EventCache. Returns { changed, removed }.
+ * Events whose changeKey is unchanged keep their transcript state; changed ones are checked again.
+ */
+async function applyDelta({ orgId, userEmail, events, removed }) {
+  const gone = [...removed];
+  const online = [];
+  for (const ev of events) {
+    if (ev.isCancelled || !isOnline(ev)) gone.push(String(ev.id));
+    else online.push(ev);
+  }
+
+  let removedCount = 0;
+  if (gone.length) {
+    removedCount = (await EventCache.deleteMany({ orgId, userEmail, eventId: { $in: gone } })).deletedCount || 0;
+  }
+
+  const known = new Map(
+    (await EventCache.find({ orgId, userEmail, eventId: { $in: online.map(ev => String(ev.id)) } })
+      .select({ eventId: 1, changeKey: 1 })
+      .lean())
+      .map(d => [d.eventId, d])
+  );
+
+  let changed = 0;
+  const ops = online.map(ev => {
+    const emails = [];
+
+    const orgEmail = ev.organizer?.emailAddress?.address;
+    if (orgEmail) emails.push(String(orgEmail).toLowerCase().trim());
+
+    const atts = Array.isArray(ev.attendees) ? ev.attendees : [];
+    for (const a of atts) {
+      const em = a?.emailAddress?.address;
+      if (em) emails.push(String(em).toLowerCase().trim());
+    }
+
+    const startDateTime = toIsoZ(ev.start);
+    const $set = {
+      subject: ev.subject || '',
+      startDateTime,
+      endDateTime: toIsoZ(ev.end),
+      location: ev.location?.displayName || '',
+
+      organizerEmail: String(orgEmail || '').toLowerCase().trim(),
+      attendeeEmails: [...new Set(emails.filter(Boolean))],
+
+      joinUrl: ev.onlineMeeting?.joinUrl || ev.onlineMeetingUrl || '',
+      changeKey: ev.changeKey || '',
+      syncedAt: new Date(),
+    };
+
+    // new or changed (time, join link…): look for transcripts once it has started
+    const prev = known.get(String(ev.id));
+    if (!prev || !ev.changeKey || prev.changeKey !== ev.changeKey) {
+      changed++;
+      $set.transcriptCheckDue = new Date(Date.parse(startDateTime) || Date.now());
+    }
+
+    return {
+      updateOne: {
+        filter: { orgId, userEmail, eventId: String(ev.id) },
+        update: { $set, $setOnInsert: { hasTranscript: false, transcripts: [] } },
+        upsert: true,
+      },
+    };
+  });
+
+  if (ops.length) await EventCache.bulkWrite(ops, { ordered: false });
+  return { changed, removed: removedCount };
+}
+
+/**
+ * Transcript lookups for cached meetings that are due, newest first (at most maxChecks).
+ * Returns { checked, found }.
+ */
+async function runTranscriptChecks({ graph, orgId, userEmail, now, maxChecks }) {
+  const due = await EventCache.find({ orgId, userEmail, transcriptCheckDue: { $ne: null, $lte: now } })
+    .sort({ startDateTime: -1 })
+    .limit(maxChecks)
+    .lean();
+  if (!due.length) return { checked: 0, found: 0 };
+
+  const annotated = await annotateEventsWithTranscripts(
+    graph,
+    due.map(d => ({
+      id: d.eventId,
+      subject: d.subject,
+      start: { dateTime: d.startDateTime },
+      end: { dateTime: d.endDateTime },
+      onlineMeeting: { joinUrl: d.joinUrl },
+    })),
+    { maxChecks, concurrency: CONCURRENCY }
+  );
+
+  let checked = 0;
+  let found = 0;
+  const ops = [];
+  for (const ev of annotated || []) {
+    if (typeof ev._hasTranscript === 'undefined') continue; // transcript checks are off (CHECK_TRANSCRIPTS)
+
+    const endMs = Date.parse(ev.end.dateTime) || Date.parse(ev.start.dateTime) || 0;
+    const settled = now.getTime() > endMs + TRANSCRIPT_SETTLE_HOURS * 60 * 60 * 1000;
+    const retry = new Date(now.getTime() + RECHECK_MINUTES * 60 * 1000);
+    const filter = { orgId, userEmail, eventId: String(ev.id) };
+
+    // Graph error (throttling…): keep what we had and try again later
+    if (String(ev._tReason || '').startsWith('error:')) {
+      ops.push({ updateOne: { filter, update: { $set: { transcriptCheckDue: retry } } } });
+      continue;
+    }
+
+    checked++;
+    if (ev._hasTranscript) found++;
+    ops.push({
+      updateOne: {
+        filter,
+        update: {
+          $set: {
+            hasTranscript: !!ev._hasTranscript,
+            transcripts: (ev._transcripts || []).map(t => ({
+              meetingId: String(t.meetingId || ''),
+              transcriptId: String(t.id || ''),
+              createdDateTime: String(t.createdDateTime || ''),
+            })),
+            transcriptCheckedAt: now,
+            // more parts / a late transcript can still show up until the meeting settled
+            transcriptCheckDue: settled ? null : retry,
+          },
+        },
+      },
+    });
+  }
+
+  if (ops.length) await EventCache.bulkWrite(ops, { ordered: false });
+  return { checked, found };
+}
+
+/**
+ * History before the delta window: one step further back than covered so far, and every
+ * BACKFILL_EVERY_HOURS the covered part again. Listed events go through applyDelta like delta ones
+ * (unchanged changeKey = no new transcript check). oldest: first day of the org's history (historyDays).
+ * Returns { syncedFrom, swept, changed }, or null when the delta window already reaches it.
+ */
+async function backfillHistory({ graph, orgId, userEmail, state, windowStart, oldest, now }) {
+  if (windowStart <= oldest) return null;
+
+  const syncedFrom = state?.syncedFrom ? startOfDay(state.syncedFrom) : null;
+  const covered = syncedFrom && syncedFrom < windowStart ? new Date(Math.max(syncedFrom.getTime(), oldest.getTime())) : windowStart;
+
+  const ranges = [];
+  let from = covered;
+  if (covered > oldest) {
+    from = new Date(Math.max(oldest.getTime(), startOfDay(addDays(covered, -STEP_DAYS)).getTime()));
+    ranges.push({ start: from, end: covered });
+  }
+
+  const last = state?.lastBackfillAt ? new Date(state.lastBackfillAt).getTime() : 0;
+  const swept = covered < windowStart && now.getTime() - last > BACKFILL_EVERY_HOURS * 60 * 60 * 1000;
+  if (swept) ranges.unshift({ start: covered, end: windowStart });
+
+  let changed = 0;
+  for (const r of ranges.flatMap(x => sliceRange(x))) {
+    const events = await getCalendarRange(graph, { startDateTime: r.start.toISOString(), endDateTime: r.end.toISOString() });
+    changed += (await applyDelta({ orgId, userEmail, events, removed: [] })).changed;
+  }
+
+  return { syncedFrom: from, swept, changed };
+}
+
+/**
+ * One sync run for a user: continue (or start) the delta round, apply the changes, backfill older history
+ * once the round is complete, run due transcript checks and record coverage in UserSyncState.
+ * Returns { changed, removed, checked, found, complete }.
+ */
+async function syncUserCalendar({ graph, orgId, userEmail, now = new Date(), maxChecks = 60 }) {
+  const state = await UserSyncState.findOne({ orgId, userEmail }).lean();
+  const d = state?.delta || {};
+
+  const org = await Org.findById(orgId).select({ retention: 1 }).lean();
+  const days = historyDays(org);
+  const oldest = startOfDay(addDays(now, -(days - 1)));
+
+  let fresh = !d.link || !d.windowEnd || new Date(d.windowEnd) < addDays(now, MIN_AHEAD_DAYS);
+  let window = fresh ? newWindow(now, days) : { start: new Date(d.windowStart), end: new Date(d.windowEnd) };
+
+  const startRound = w => getCalendarDelta(graph, { startDateTime: w.start.toISOString(), endDateTime: w.end.toISOString() });
+
+  let result;
+  try {
+    result = fresh ? await startRound(window) : await getCalendarDelta(graph, { link: d.link });
+  } catch (e) {
+    if (!e.resync || fresh) throw e;
+    // Graph dropped the delta state: list the window again
+    fresh = true;
+    window = newWindow(now, days);
+    result = await startRound(window);
+  }
+
+  // a round started before the retention got shorter still reports older events: not cached
+  const events = result.events.filter(ev => !(toIsoZ(ev.start) && new Date(toIsoZ(ev.start)) < oldest));
+  const applied = await applyDelta({ orgId, userEmail, events, removed: result.removed });
+
+  // older history only once the recent window is listed completely (recent meetings first)
+  let history = null;
+  let historyError = '';
+  if (result.complete) {
+    try {
+      history = await backfillHistory({ graph, orgId, userEmail, state, windowStart: window.start, oldest, now });
+      if (history) applied.changed += history.changed;
+    } catch (e) {
+      historyError = `History backfill: ${e.message || e}`; // the delta round is kept; retried next run
+    }
+  }
+
+  const checks = await runTranscriptChecks({ graph, orgId, userEmail, now, maxChecks });
+
+  const $set = {
+    delta: {
+      link: result.link,
+      complete: result.complete,
+      windowStart: window.start,
+      windowEnd: window.end,
+      roundStartedAt: fresh ? now : d.roundStartedAt || now,
+    },
+    lastSyncedAt: new Date(),
+    lastError: historyError,
+    ...(historyError ? { lastErrorAt: new Date() } : {}),
+    lastTranscriptEvents: checks.found,
+  };
+
+  // coverage: the delta window once listed completely, plus the history backfilled before it
+  if (result.complete) {
+    const roundDone = fresh || !d.complete;
+    if (history) {
+      $set.syncedFrom = history.syncedFrom;
+      if (history.swept) $set.lastBackfillAt = new Date();
+    } else if (!historyError) {
+      // the window reaches the history limit: a finished round is the full listing
+      const from = state?.syncedFrom && new Date(state.syncedFrom) < window.start ? new Date(state.syncedFrom) : window.start;
+      $set.syncedFrom = from < oldest ? oldest : from;
+      if (roundDone) $set.lastBackfillAt = new Date();
+    } else if (!state?.syncedFrom || new Date(state.syncedFrom) > window.start) {
+      $set.syncedFrom = window.start;
+    }
+    $set.syncedTo = endOfDay(now);
+  }
+
+  await UserSyncState.updateOne({ orgId, userEmail }, { $set }, { upsert: true });
+  return { ...applied, ...checks, complete: result.complete };
+}
+
+module.exports = {
+  startOfDay,
+  endOfDay,
+  addDays,
+  toIsoZ,
+  applyDelta,
+  runTranscriptChecks,
+  syncUserCalendar,
+};
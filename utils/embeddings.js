@@ -0,0 +1,187 @@
+// utils/embeddings.js
+// Embedding provider layer used by the search index (utils/searchIndex.js).
+//
+// Providers:
+//  - openai : api.openai.com /embeddings          (OPENAI_API_KEY, optional OPENAI_BASE_URL, OPENAI_EMBEDDING_MODEL)
+//  - azure  : Azure OpenAI embeddings deployment   (AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT,
+//             AZURE_OPENAI_EMBEDDING_DEPLOYMENT, AZURE_OPENAI_API_VERSION); endpoint and key as for chat
+//             (utils/llm.js azureAuth: an org's own endpoint is called with the org's own key)
+//  - local  : any OpenAI-compatible server /embeddings (LOCAL_LLM_BASE_URL, optional LOCAL_LLM_API_KEY,
+//             LOCAL_EMBEDDING_MODEL)
+//  - hash   : offline word hashing, no network. Lexical rather than semantic, but search works without keys.
+//
+// Choice: EMBEDDING_PROVIDER env -> the org's LLM provider (utils/llm.js) -> 'openai'.
+// Calls give up after LLM_TIMEOUT_MS like completions (utils/llm.js postJson).
+// More providers can be added with registerEmbeddingProvider(name, { model, embed, minScore }).
+const crypto = require('crypto');
+const { trimSlash, postJson, resolveLlmConfig, azureAuth } = require('./llm');
+
+const BATCH_SIZE = 64;
+const HASH_DIMS = 512;
+
+// OpenAI-style { data: [{ index, embedding }] } -> vectors in input order
+async function postEmbeddings(url, headers, body, label) {
+  const { resp, payload } = await postJson(url, { headers, body, label: `${label} embeddings` });
+  if (!resp.ok) {
+    const msg = payload?.error?.message || `${label} embedding error ${resp.status}`;
+    throw new Error(msg);
+  }
+
+  const data = Array.isArray(payload?.data) ? payload.data : [];
+  if (data.length !== body.input.length) throw new Error(`${label} returned ${data.length} embeddings for ${body.input.length} inputs`);
+
+  return data
+    .slice()
+    .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+    .map(d => d.embedding);
+}
+
+/* ------------------------------
+   Offline hashing embedder
+   ------------------------------ */
+
+function hashIndex(token) {
+  return crypto.createHash('md5').update(token).digest().readUInt32LE(0);
+}
+
+// Unigrams + bigrams hashed into a fixed-size, signed, L2-normalised vector
+function hashEmbed(text) {
+  const v = new Array(HASH_DIMS).fill(0);
+  const words = String(text || '').toLowerCase().match(/\p{L}[\p{L}\p{N}'-]*|\d+/gu) || [];
+
+  const add = (token, weight) => {
+    const h = hashIndex(token);
+    v[h % HASH_DIMS] += (h & 0x80000000) ? -weight : weight;
+  };
+
+  words.forEach((w, i) => {
+    add(w, 1);
+    if (i > 0) add(`${words[i - 1]} ${w}`, 0.5);
+  });
+
+  return normalize(v);
+}
+
+/* ------------------------------
+   Providers
+   ------------------------------ */
+
+const providers = {
+  openai: {
+    minScore: 0.2,
+    model: () => process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+    async embed(texts, { model }) {
+      const apiKey = process.env.OPENAI_API_KEY;
+      if (!apiKey) throw new Error('OPENAI_API_KEY missing');
+      return postEmbeddings(
+        `${trimSlash(process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1')}/embeddings`,
+        { Authorization: `Bearer ${apiKey}` },
+        { model, input: texts },
+        'openai'
+      );
+    },
+  },
+
+  azure: {
+    minScore: 0.2,
+    model: () => String(process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT || '').trim(),
+    async embed(texts, { model, llm }) {
+      const { endpoint, apiKey } = azureAuth(llm);
+      if (!model) throw new Error('Azure embedding deployment missing (AZURE_OPENAI_EMBEDDING_DEPLOYMENT)');
+
+      const apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2024-10-21';
+      return postEmbeddings(
+        `${endpoint}/openai/deployments/${encodeURIComponent(model)}/embeddings?api-version=${encodeURIComponent(apiVersion)}`,
+        { 'api-key': apiKey },
+        { input: texts },
+        'azure'
+      );
+    },
+  },
+
+  local: {
+    minScore: 0.2,
+    model: () => process.env.LOCAL_EMBEDDING_MODEL || 'nomic-embed-text',
+    async embed(texts, { model }) {
+      const headers = {};
+      if (process.env.LOCAL_LLM_API_KEY) headers.Authorization = `Bearer ${process.env.LOCAL_LLM_API_KEY}`;
+      return postEmbeddings(
+        `${trimSlash(process.env.LOCAL_LLM_BASE_URL || 'http://127.0.0.1:11434/v1')}/embeddings`,
+        headers,
+        { model, input: texts },
+        'local'
+      );
+    },
+  },
+
+  // word overlap only, so even a good match scores low
+  hash: {
+    minScore: 0.03,
+    model: () => `hash-${HASH_DIMS}`,
+    async embed(texts) {
+      return texts.map(hashEmbed);
+    },
+  },
+};
+
+function registerEmbeddingProvider(name, impl) {
+  if (!name || typeof impl?.embed !== 'function') throw new Error('registerEmbeddingProvider: name and embed() required');
+  providers[name] = { model: () => '', minScore: 0.2, ...impl };
+}
+
+/**
+ * Org (or nothing) -> embedder config.
+ * `key` ("provider:model") is stored with every vector; vectors with another key are never compared.
+ * `minScore`: passages below this cosine similarity are not search results.
+ */
+function resolveEmbedder(org) {
+  const llm = resolveLlmConfig(org);
+
+  let provider = String(process.env.EMBEDDING_PROVIDER || '').toLowerCase().trim();
+  if (!provider) provider = llm.provider;
+  if (!providers[provider]) throw new Error(`Unknown embedding provider: ${provider}`);
+
+  const model = String(providers[provider].model() || '');
+  return { provider, model, key: `${provider}:${model}`, minScore: providers[provider].minScore, llm };
+}
+
+function normalize(v) {
+  let n = 0;
+  for (const x of v) n += x * x;
+  n = Math.sqrt(n);
+  return n ? v.map(x => x / n) : v;
+}
+
+// Vectors are stored normalised, so cosine similarity is the dot product
+function cosine(a, b) {
+  const len = Math.min(a.length, b.length);
+  let s = 0;
+  for (let i = 0; i < len; i++) s += a[i] * b[i];
+  return s;
+}
+
+/**
+ * Embed many texts (batched). Returns normalised vectors in input order.
+ * onBatch() is called after each batch (used to keep a job lock fresh).
+ */
+async function embedTexts(embedder, texts, { onBatch } = {}) {
+  const impl = providers[embedder.provider];
+  const out = [];
+
+  for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+    const batch = texts.slice(i, i + BATCH_SIZE);
+    const vectors = await impl.embed(batch, embedder);
+    vectors.forEach(v => out.push(normalize(v.map(Number))));
+    if (onBatch) await onBatch({ done: Math.min(texts.length, i + BATCH_SIZE), total: texts.length });
+  }
+
+  return out;
+}
+
+module.exports = {
+  resolveEmbedder,
+  registerEmbeddingProvider,
+  embedTexts,
+  cosine,
+  hashEmbed,
+};
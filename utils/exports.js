@@ -0,0 +1,430 @@
+// utils/exports.js
+// Server-side exports of a saved transcript: a "meeting minutes" pack (DOCX / PDF / Markdown)
+// with summary, detailed notes and the transcript as appendix; SRT / VTT re-export; JSON archive bundle.
+// Everything is generated in process (docx, pdfkit) - no external service.
+const PDFDocument = require('pdfkit');
+const docx = require('docx');
+const { transcriptSegments, segmentsToCues, segmentsTimed, cuesToVtt, formatCueTime, formatTimestamp } = require('./vtt');
+
+const EXPORT_FORMATS = {
+  docx: { label: 'Word minutes (.docx)', ext: 'docx', type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  pdf: { label: 'PDF minutes (.pdf)', ext: 'pdf', type: 'application/pdf' },
+  md: { label: 'Markdown (.md)', ext: 'md', type: 'text/markdown; charset=utf-8' },
+  srt: { label: 'Subtitles (.srt)', ext: 'srt', type: 'application/x-subrip; charset=utf-8', timed: true },
+  vtt: { label: 'WebVTT (.vtt)', ext: 'vtt', type: 'text/vtt; charset=utf-8', timed: true },
+  json: { label: 'Archive bundle (.json)', ext: 'json', type: 'application/json; charset=utf-8' },
+};
+
+const BRAND = 'Minutes';
+const ACCENT = 'F97316';
+
+/* ------------------------------
+   Shared content
+   ------------------------------ */
+
+const CUE_REFS = /\s*\[(c\d+(?:\s*,\s*c\d+)*)\]/g;
+
+// "[c12, c40]" citations -> " (03:14)" with timing, removed without
+function resolveCitations(md, cueTimes) {
+  return String(md || '').replace(CUE_REFS, (m, g) => {
+    const times = g.split(',').map(r => cueTimes[r.trim()]).filter(Boolean);
+    return times.length ? ` (${[...new Set(times)].join(', ')})` : '';
+  });
+}
+
+// "**bold** text" -> [{ text, bold }]
+function inlineRuns(s) {
+  return String(s || '')
+    .split(/(\*\*[^*]+\*\*)/g)
+    .filter(Boolean)
+    .map(part => (/^\*\*[^*]+\*\*$/.test(part) ? { text: part.slice(2, -2), bold: true } : { text: part, bold: false }));
+}
+
+/**
+ * Markdown as the generators write it -> blocks for DOCX / PDF.
+ * [{ type: 'h', level, text } | { type: 'li', depth, runs } | { type: 'p', runs }]
+ */
+function markdownBlocks(md) {
+  const blocks = [];
+
+  for (const raw of String(md || '').split(/\r?\n/)) {
+    if (!raw.trim()) continue;
+
+    const h = raw.match(/^\s*(#{1,6})\s+(.*)$/);
+    if (h) {
+      blocks.push({ type: 'h', level: h[1].length, text: h[2].replace(/\*\*/g, '').trim() });
+      continue;
+    }
+
+    const li = raw.match(/^(\s*)(?:[-*•]|\d+[.)])\s+(.*)$/);
+    if (li) {
+      blocks.push({ type: 'li', depth: Math.min(2, Math.floor(li[1].replace(/\t/g, '  ').length / 2)), runs: inlineRuns(li[2]) });
+      continue;
+    }
+
+    blocks.push({ type: 'p', runs: inlineRuns(raw.trim()) });
+  }
+
+  return blocks;
+}
+
+function meetingWhen(doc) {
+  const s = doc.startDateTime ? new Date(doc.startDateTime) : null;
+  if (!s || isNaN(s.getTime())) return '';
+  return new Intl.DateTimeFormat('en-IN', { weekday: 'short', day: '2-digit', month: 'short', year: 'numeric', hour: 'numeric', minute: '2-digit' }).format(s);
+}
+
+/**
+ * Everything an export needs, read once from the Transcript.
+ * `segments` overrides the stored ones (revealed copies, utils/redaction.js).
+ */
+function exportContent(doc, { org, actionItems = [], segments = transcriptSegments(doc) } = {}) {
+  const timed = segmentsTimed(segments);
+  const cues = segmentsToCues(segments);
+  const cueTimes = timed ? Object.fromEntries(cues.map(c => [c.id, formatCueTime(c.start)])) : {};
+
+  return {
+    title: doc.subject || '(no subject)',
+    orgName: org?.name || '',
+    when: meetingWhen(doc),
+    participants: doc.participantEmails || [],
+    summary: resolveCitations(doc.ai?.summary, cueTimes),
+    // the notes open with their own "## Detailed Notes" heading; the pack adds its own
+    notes: resolveCitations(doc.ai?.detailedNotes, cueTimes).replace(/^\s*#{1,6}\s*Detailed Notes\s*\n/i, ''),
+    actionItems,
+    segments,
+    cues,
+    timed,
+  };
+}
+
+function fileBaseName(doc) {
+  const day = String(doc.startDateTime || '').slice(0, 10);
+  const slug = String(doc.subject || 'meeting')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/[\s_]+/g, '-')
+    .slice(0, 60) || 'meeting';
+  return day ? `${slug}-${day}` : slug;
+}
+
+/* ------------------------------
+   Markdown
+   ------------------------------ */
+
+function toMarkdown(c) {
+  const out = [`# ${c.title}`, ''];
+
+  const meta = [c.orgName && `**Organisation:** ${c.orgName}`, c.when && `**When:** ${c.when}`].filter(Boolean);
+  if (meta.length) out.push(meta.join('  \n'), '');
+  if (c.participants.length) out.push(`**Participants:** ${c.participants.join(', ')}`, '');
+
+  out.push('## Summary', '', c.summary.trim() || '_No summary yet._', '');
+  out.push('## Detailed notes', '', c.notes.trim() || '_No detailed notes yet._', '');
+
+  if (c.actionItems.length) {
+    out.push('## Action items', '');
+    c.actionItems.forEach(a => {
+      const owner = a.ownerName || a.ownerEmail || 'Unassigned';
+      const due = a.dueDate ? new Date(a.dueDate).toISOString().slice(0, 10) : (a.dueText || 'Unclear');
+      out.push(`- [${a.status === 'done' ? 'x' : ' '}] ${a.text} — ${owner}, due ${due}`);
+    });
+    out.push('');
+  }
+
+  out.push('## Appendix: transcript', '');
+  c.segments.forEach(s => {
+    const time = c.timed && s.start !== null && s.start !== undefined ? `\`${formatCueTime(s.start)}\` ` : '';
+    out.push(`${time}**${s.speaker || 'Unknown speaker'}:** ${s.text}`, '');
+  });
+
+  return `${out.join('\n').trim()}\n`;
+}
+
+/* ------------------------------
+   SRT / VTT
+   ------------------------------ */
+
+function toSrt(c) {
+  return c.cues
+    .filter(x => x.start !== null)
+    .map((x, i) => {
+      const ts = (sec) => formatTimestamp(sec).replace('.', ',');
+      const end = x.end !== null ? x.end : x.start;
+      return `${i + 1}\n${ts(x.start)} --> ${ts(end)}\n${x.speaker ? `${x.speaker}: ` : ''}${x.text}\n`;
+    })
+    .join('\n');
+}
+
+function toVtt(c) {
+  return cuesToVtt(c.cues);
+}
+
+/* ------------------------------
+   JSON bundle
+   ------------------------------ */
+
+function toJsonBundle(doc, c) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    meeting: {
+      id: String(doc._id),
+      source: doc.source || 'graph',
+      subject: doc.subject || '',
+      startDateTime: doc.startDateTime || '',
+      endDateTime: doc.endDateTime || '',
+      eventId: doc.eventId || '',
+      meetingId: doc.meetingId || '',
+      transcriptId: doc.transcriptId || '',
+      participantEmails: doc.participantEmails || [],
+      language: doc.language?.code || '',
+      organisation: c.orgName,
+    },
+    summary: {
+      content: doc.ai?.summary || '',
+      version: doc.ai?.version || 0,
+      pinned: !!doc.ai?.pinnedVersion,
+      model: doc.ai?.model || '',
+      template: doc.ai?.templateName || '',
+      language: doc.ai?.language || '',
+    },
+    notes: {
+      content: doc.ai?.detailedNotes || '',
+      version: doc.ai?.detailedVersion || 0,
+      pinned: !!doc.ai?.detailedPinnedVersion,
+      model: doc.ai?.detailedModel || '',
+      template: doc.ai?.detailedTemplateName || '',
+      language: doc.ai?.detailedLanguage || '',
+    },
+    actionItems: c.actionItems.map(a => ({
+      text: a.text,
+      ownerName: a.ownerName || '',
+      ownerEmail: a.ownerEmail || '',
+      dueDate: a.dueDate || null,
+      dueText: a.dueText || '',
+      status: a.status,
+      cues: a.cues || [],
+    })),
+    speakerStats: doc.speakerStats?.computedAt ? doc.speakerStats : null,
+    transcript: {
+      timed: c.timed,
+      segments: c.segments,
+      vtt: doc.vtt || '',
+    },
+  }, null, 2);
+}
+
+/* ------------------------------
+   DOCX
+   ------------------------------ */
+
+async function toDocx(c) {
+  const { Document, Packer, Paragraph, TextRun, HeadingLevel, Footer, AlignmentType, PageNumber } = docx;
+
+  const headingLevels = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3, HeadingLevel.HEADING_4];
+
+  // Generated markdown sits under our own H1 "Summary" / "Detailed notes": shift its headings down one level
+  const fromMarkdown = (md, empty) => {
+    const blocks = markdownBlocks(md);
+    if (!blocks.length) return [new Paragraph({ children: [new TextRun({ text: empty, italics: true, color: '6B7280' })] })];
+
+    return blocks.map(b => {
+      if (b.type === 'h') return new Paragraph({ text: b.text, heading: headingLevels[Math.min(3, Math.max(1, b.level - 1))] });
+      const runs = b.runs.map(r => new TextRun({ text: r.text, bold: r.bold }));
+      if (b.type === 'li') return new Paragraph({ children: runs, bullet: { level: b.depth } });
+      return new Paragraph({ children: runs });
+    });
+  };
+
+  const children = [
+    new Paragraph({ children: [new TextRun({ text: `${BRAND} · Meeting minutes`, color: ACCENT, bold: true, size: 20 })] }),
+    new Paragraph({ text: c.title, heading: HeadingLevel.TITLE }),
+  ];
+
+  [
+    ['Organisation', c.orgName],
+    ['When', c.when],
+    ['Participants', c.participants.join(', ')],
+  ].filter(([, v]) => v).forEach(([k, v]) => {
+    children.push(new Paragraph({ children: [new TextRun({ text: `${k}: `, bold: true }), new TextRun(v)] }));
+  });
+
+  children.push(new Paragraph({ text: 'Summary', heading: HeadingLevel.HEADING_1 }));
+  children.push(...fromMarkdown(c.summary, 'No summary yet.'));
+
+  children.push(new Paragraph({ text: 'Detailed notes', heading: HeadingLevel.HEADING_1, pageBreakBefore: true }));
+  children.push(...fromMarkdown(c.notes, 'No detailed notes yet.'));
+
+  if (c.actionItems.length) {
+    children.push(new Paragraph({ text: 'Action items', heading: HeadingLevel.HEADING_1 }));
+    c.actionItems.forEach(a => {
+      const owner = a.ownerName || a.ownerEmail || 'Unassigned';
+      const due = a.dueDate ? new Date(a.dueDate).toISOString().slice(0, 10) : (a.dueText || 'Unclear');
+      children.push(new Paragraph({
+        bullet: { level: 0 },
+        children: [
+          new TextRun({ text: a.text, strike: a.status === 'done' }),
+          new TextRun({ text: ` — ${owner}, due ${due}`, color: '6B7280' }),
+        ],
+      }));
+    });
+  }
+
+  children.push(new Paragraph({ text: 'Appendix: transcript', heading: HeadingLevel.HEADING_1, pageBreakBefore: true }));
+  c.segments.forEach(s => {
+    const runs = [];
+    if (c.timed && s.start !== null && s.start !== undefined) runs.push(new TextRun({ text: `${formatCueTime(s.start)}  `, color: '6B7280', size: 18 }));
+    runs.push(new TextRun({ text: `${s.speaker || 'Unknown speaker'}: `, bold: true, size: 20 }));
+    runs.push(new TextRun({ text: s.text, size: 20 }));
+    children.push(new Paragraph({ children: runs, spacing: { after: 80 } }));
+  });
+
+  const footer = new Footer({
+    children: [new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: [
+        new TextRun({ text: `${c.title} · ${BRAND} · page `, color: '9CA3AF', size: 16 }),
+        new TextRun({ children: [PageNumber.CURRENT], color: '9CA3AF', size: 16 }),
+      ],
+    })],
+  });
+
+  const document = new Document({
+    creator: BRAND,
+    title: c.title,
+    description: `Meeting minutes: ${c.title}`,
+    styles: { default: { document: { run: { font: 'Calibri', size: 22 } } } },
+    sections: [{ footers: { default: footer }, children }],
+  });
+
+  return Packer.toBuffer(document);
+}
+
+/* ------------------------------
+   PDF
+   ------------------------------ */
+
+// pdfkit's built-in fonts cover Latin scripts only; other scripts need an embedded font (DOCX has no such limit)
+function toPdf(c) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: 'A4', margin: 56, bufferPages: true, info: { Title: c.title, Creator: BRAND } });
+    const chunks = [];
+    pdf.on('data', d => chunks.push(d));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    const accent = `#${ACCENT}`;
+    const muted = '#6B7280';
+    const width = pdf.page.width - pdf.page.margins.left - pdf.page.margins.right;
+
+    const heading = (text, size) => {
+      pdf.moveDown(0.6).font('Helvetica-Bold').fontSize(size).fillColor('#111827').text(text, { width });
+      pdf.moveDown(0.3);
+    };
+
+    const runs = (list, opts = {}) => {
+      list.forEach((r, i) => {
+        pdf.font(r.bold ? 'Helvetica-Bold' : 'Helvetica').text(r.text, { ...opts, width: opts.width || width, continued: i < list.length - 1 });
+      });
+    };
+
+    const markdown = (md, empty) => {
+      const blocks = markdownBlocks(md);
+      if (!blocks.length) {
+        pdf.font('Helvetica-Oblique').fontSize(11).fillColor(muted).text(empty, { width });
+        return;
+      }
+      blocks.forEach(b => {
+        if (b.type === 'h') return heading(b.text, b.level <= 2 ? 14 : 12);
+        pdf.fontSize(11).fillColor('#111827');
+        if (b.type === 'li') {
+          const indent = 10 + b.depth * 14;
+          pdf.x = pdf.page.margins.left + indent;
+          runs([{ text: '•  ', bold: false }, ...b.runs], { width: width - indent });
+          pdf.x = pdf.page.margins.left;
+        } else {
+          runs(b.runs);
+        }
+        pdf.moveDown(0.25);
+      });
+    };
+
+    // Cover block
+    pdf.font('Helvetica-Bold').fontSize(10).fillColor(accent).text(`${BRAND.toUpperCase()} · MEETING MINUTES`);
+    pdf.moveDown(0.4).fontSize(22).fillColor('#111827').text(c.title, { width });
+    pdf.moveDown(0.4).font('Helvetica').fontSize(10).fillColor(muted);
+    [c.orgName, c.when, c.participants.length ? `Participants: ${c.participants.join(', ')}` : ''].filter(Boolean)
+      .forEach(line => pdf.text(line, { width }));
+    pdf.moveDown(0.5).moveTo(pdf.page.margins.left, pdf.y).lineTo(pdf.page.margins.left + width, pdf.y).strokeColor(accent).lineWidth(1.5).stroke();
+
+    heading('Summary', 16);
+    markdown(c.summary, 'No summary yet.');
+
+    pdf.addPage();
+    heading('Detailed notes', 16);
+    markdown(c.notes, 'No detailed notes yet.');
+
+    if (c.actionItems.length) {
+      heading('Action items', 16);
+      c.actionItems.forEach(a => {
+        const owner = a.ownerName || a.ownerEmail || 'Unassigned';
+        const due = a.dueDate ? new Date(a.dueDate).toISOString().slice(0, 10) : (a.dueText || 'Unclear');
+        pdf.font('Helvetica').fontSize(11).fillColor('#111827')
+          .text(`${a.status === 'done' ? '[x]' : '[ ]'} ${a.text}`, { width, continued: true })
+          .fillColor(muted).text(` — ${owner}, due ${due}`);
+        pdf.moveDown(0.2);
+      });
+    }
+
+    pdf.addPage();
+    heading('Appendix: transcript', 16);
+    c.segments.forEach(s => {
+      pdf.fontSize(9.5);
+      if (c.timed && s.start !== null && s.start !== undefined) {
+        pdf.font('Helvetica').fillColor(muted).text(`${formatCueTime(s.start)}  `, { continued: true });
+      }
+      pdf.font('Helvetica-Bold').fillColor('#111827').text(`${s.speaker || 'Unknown speaker'}: `, { continued: true })
+        .font('Helvetica').text(s.text, { width });
+      pdf.moveDown(0.3);
+    });
+
+    // Footer on every page
+    const range = pdf.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      pdf.switchToPage(i);
+      const bottom = pdf.page.margins.bottom;
+      pdf.page.margins.bottom = 0;
+      pdf.font('Helvetica').fontSize(8).fillColor('#9CA3AF')
+        .text(`${c.title} · ${BRAND} · page ${i + 1} of ${range.count}`, pdf.page.margins.left, pdf.page.height - 36, { width, align: 'center', lineBreak: false });
+      pdf.page.margins.bottom = bottom;
+    }
+
+    pdf.end();
+  });
+}
+
+/**
+ * Render one export. Returns { body (Buffer|string), type, filename }.
+ * Throws when the format needs timing the transcript doesn't have.
+ */
+async function renderExport(format, doc, { org, actionItems = [], segments } = {}) {
+  const f = EXPORT_FORMATS[format];
+  if (!f) throw new Error(`Unknown export format: ${format}`);
+
+  const c = exportContent(doc, { org, actionItems, segments });
+  if (f.timed && !c.timed) throw new Error('This transcript has no timing, so it cannot be exported as subtitles.');
+
+  let body;
+  if (format === 'docx') body = await toDocx(c);
+  else if (format === 'pdf') body = await toPdf(c);
+  else if (format === 'md') body = toMarkdown(c);
+  else if (format === 'srt') body = toSrt(c);
+  else if (format === 'vtt') body = toVtt(c);
+  else body = toJsonBundle(doc, c);
+
+  return { body, type: f.type, filename: `${fileBaseName(doc)}.${f.ext}` };
+}
+
+module.exports = { EXPORT_FORMATS, renderExport, markdownBlocks, resolveCitations };
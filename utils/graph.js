@@ -1,42 +1,35 @@
 // utils/graph.js
-const fetch = require('node-fetch');
-
-async function getCalendarRange(accessToken, { startDateTime, endDateTime, top = 75, max = 300 } = {}) {
-  const base = new URL('https://graph.microsoft.com/v1.0/me/calendarView');
-  base.searchParams.set('startDateTime', startDateTime);
-  base.searchParams.set('endDateTime', endDateTime);
-  base.searchParams.set('$orderby', 'start/dateTime');
-  base.searchParams.set('$top', String(top));
-  base.searchParams.set('$select', [
-    'id',
-    'subject',
-    'start',
-    'end',
-    'location',
-    'organizer',
-    'attendees',  
-    'isCancelled',
-    'onlineMeetingUrl',
-    'onlineMeeting'
-  ].join(','));
-
-  let url = base.toString();
+// Calendar, event and subscription calls. Every function takes a client from utils/graphClient.js
+// (or a bare access token).
+const { asGraphClient } = require('./graphClient');
+
+async function getCalendarRange(graph, { startDateTime, endDateTime, top = 75, max = 300 } = {}) {
+  const client = asGraphClient(graph);
+  const params = new URLSearchParams({
+    startDateTime,
+    endDateTime,
+    $orderby: 'start/dateTime',
+    $top: String(top),
+    $select: [
+      'id',
+      'subject',
+      'start',
+      'end',
+      'location',
+      'organizer',
+      'attendees',
+      'isCancelled',
+      'onlineMeetingUrl',
+      'onlineMeeting',
+      'changeKey'
+    ].join(','),
+  });
+
+  let url = `/me/calendarView?${params}`;
   const all = [];
 
   while (url && all.length < max) {
-    const res = await fetch(url, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        Prefer: 'outlook.timezone="UTC"',
-      },
-    });
-
-    if (!res.ok) {
-      const text = await res.text();
-      throw new Error(`Graph calendarView failed (${res.status}): ${text}`);
-    }
-
-    const json = await res.json();
+    const json = await client.json(url, { headers: { Prefer: 'outlook.timezone="UTC"' } });
     const page = Array.isArray(json.value) ? json.value : [];
 
     for (const ev of page) {
@@ -50,4 +43,88 @@ async function getCalendarRange(accessToken, { startDateTime, endDateTime, top =
   return all;
 }
 
-module.exports = { getCalendarRange };
+/**
+ * One calendarView delta round (https://learn.microsoft.com/graph/delta-query-events).
+ * Start with { startDateTime, endDateTime }; continue with the link returned last time.
+ * Returns { events, removed, link, complete }: removed = ids of deleted events; link is the deltaLink
+ * when the round is complete, else the nextLink to resume from (maxPages reached).
+ * An expired / unknown delta state throws with err.resync = true: start a new round.
+ */
+async function getCalendarDelta(graph, { link = '', startDateTime, endDateTime, pageSize = 50, maxPages = 40 } = {}) {
+  const client = asGraphClient(graph);
+  let url = link || `/me/calendarView/delta?${new URLSearchParams({ startDateTime, endDateTime })}`;
+
+  const events = [];
+  const removed = [];
+
+  for (let page = 0; page < maxPages; page++) {
+    const json = await client.json(url, { headers: { Prefer: `outlook.timezone="UTC", odata.maxpagesize=${pageSize}` } });
+
+    for (const ev of Array.isArray(json.value) ? json.value : []) {
+      if (ev['@removed']) removed.push(String(ev.id));
+      else events.push(ev);
+    }
+
+    if (json['@odata.deltaLink']) return { events, removed, link: json['@odata.deltaLink'], complete: true };
+    url = json['@odata.nextLink'] || '';
+    if (!url) throw new Error('Graph calendarView delta returned neither a nextLink nor a deltaLink');
+  }
+
+  return { events, removed, link: url, complete: false };
+}
+
+// One event with its join link (debug page)
+async function getEvent(graph, eventId) {
+  const select = 'id,subject,start,end,onlineMeeting,onlineMeetingUrl,isOnlineMeeting';
+  return asGraphClient(graph).json(`/me/events/${encodeURIComponent(eventId)}?$select=${select}`);
+}
+
+// Organizer + attendees of an event
+async function getEventPeople(graph, eventId) {
+  return asGraphClient(graph).json(`/me/events/${encodeURIComponent(eventId)}?$select=id,organizer,attendees`);
+}
+
+/**
+ * Change-notification subscriptions (https://learn.microsoft.com/graph/change-notifications-delivery-webhooks).
+ * Graph calls notificationUrl with ?validationToken=… before it answers the create request.
+ * Failed calls throw a GraphError (type 'not_found' = the subscription is gone).
+ */
+async function createSubscription(graph, { resource, changeType, notificationUrl, lifecycleNotificationUrl, expirationDateTime, clientState }) {
+  return asGraphClient(graph).json('/subscriptions', {
+    method: 'POST',
+    body: { resource, changeType, notificationUrl, lifecycleNotificationUrl, expirationDateTime, clientState },
+  });
+}
+
+async function renewSubscription(graph, subscriptionId, expirationDateTime) {
+  return asGraphClient(graph).json(`/subscriptions/${encodeURIComponent(subscriptionId)}`, {
+    method: 'PATCH',
+    body: { expirationDateTime },
+  });
+}
+
+// Answer to a 'reauthorizationRequired' lifecycle notification (the expiry stays the same)
+async function reauthorizeSubscription(graph, subscriptionId) {
+  return asGraphClient(graph).json(`/subscriptions/${encodeURIComponent(subscriptionId)}/reauthorize`, { method: 'POST' });
+}
+
+async function deleteSubscription(graph, subscriptionId) {
+  return asGraphClient(graph).json(`/subscriptions/${encodeURIComponent(subscriptionId)}`, { method: 'DELETE' });
+}
+
+// Online meeting organized by the signed-in user (joinWebUrl links it to the calendar event)
+async function getOnlineMeeting(graph, meetingId) {
+  return asGraphClient(graph).json(`/me/onlineMeetings/${encodeURIComponent(meetingId)}?$select=id,joinWebUrl,subject`);
+}
+
+module.exports = {
+  getCalendarRange,
+  getCalendarDelta,
+  getEvent,
+  getEventPeople,
+  createSubscription,
+  renewSubscription,
+  reauthorizeSubscription,
+  deleteSubscription,
+  getOnlineMeeting,
+};
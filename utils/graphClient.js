@@ -0,0 +1,288 @@
+// utils/graphClient.js
+// Every Microsoft Graph request of the app goes through a client from createGraphClient():
+//  - token injection: the client carries the user's access token; a 401 is retried once with refresh() when given
+//  - throttling: 429 / 502 / 503 / 504 and network errors are retried with exponential backoff, Retry-After wins.
+//    A throttled user waits out the Retry-After before their next request (other users are not held up).
+//  - budget: at most GRAPH_USER_BUDGET requests per user per GRAPH_BUDGET_MINUTES (default 2000 / 10; 0 = no limit)
+//  - fallbacks: endpoints that only work in some tenants (beta vs v1.0, /communications vs /me) are listed in
+//    FALLBACKS; the one that answered is remembered per org (Org.graph.endpoints) and tried first next time
+//  - errors: GraphError with a type (see ERROR_TYPES); err.reauth / err.resync like the rest of the app
+// GRAPH_BASE_URL points it at a stand-in (default https://graph.microsoft.com).
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const Org = require('../models/Org');
+
+const GRAPH_URL = 'https://graph.microsoft.com';
+const MAX_RETRIES = 4;
+const BASE_DELAY_MS = 500;
+const MAX_WAIT_MS = 30 * 1000; // longer Retry-After: give up now, the caller (job queue) retries later
+
+const RETRY_STATUS = new Set([429, 502, 503, 504]);
+
+// throttled / budget: try later; auth: sign in again; gone: start over (delta)
+// forbidden / not_found / bad_request / not_supported: this endpoint can't answer (fallbacks try the next one)
+const ERROR_TYPES = ['throttled', 'budget', 'auth', 'forbidden', 'not_found', 'gone', 'bad_request', 'not_supported', 'server', 'network'];
+const ENDPOINT_ERRORS = new Set(['forbidden', 'not_found', 'bad_request', 'not_supported']);
+
+// Routes per lookup, most likely first; onlineMeetings lookups are often beta-only, depending on the tenant
+const ROUTES = {
+  'beta/communications': { version: 'beta', root: '/communications/onlineMeetings' },
+  'beta/me': { version: 'beta', root: '/me/onlineMeetings' },
+  'v1.0/communications': { version: 'v1.0', root: '/communications/onlineMeetings' },
+  'v1.0/me': { version: 'v1.0', root: '/me/onlineMeetings' },
+};
+const FALLBACKS = {
+  meetingByJoinUrl: ['beta/communications', 'beta/me', 'v1.0/communications', 'v1.0/me'],
+  meetingsByTime: ['beta/communications', 'beta/me'], // the time filter is not supported on v1.0 in many tenants
+  transcripts: ['beta/communications', 'beta/me', 'v1.0/communications', 'v1.0/me'],
+  transcriptContent: ['beta/communications', 'beta/me', 'v1.0/communications', 'v1.0/me'],
+};
+
+const baseUrl = () => String(process.env.GRAPH_BASE_URL || GRAPH_URL).trim().replace(/\/+$/, '');
+const budgetLimit = () => Number(process.env.GRAPH_USER_BUDGET ?? 2000);
+const budgetWindowMs = () => Number(process.env.GRAPH_BUDGET_MINUTES || 10) * 60 * 1000;
+
+class GraphError extends Error {
+  constructor(message, { type, status = 0, code = '', retryAfterMs = 0, url = '' }) {
+    super(message);
+    this.name = 'GraphError';
+    this.type = type;
+    this.status = status;
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+    this.url = url;
+    this.reauth = type === 'auth';
+    this.resync = type === 'gone';
+  }
+}
+
+// Not an outage, just "this endpoint has nothing for you": fallbacks move on, optional lookups give up
+function isUnavailable(e) {
+  return e instanceof GraphError && ENDPOINT_ERRORS.has(e.type);
+}
+
+function errorType(status, text) {
+  if (status === 410 || /syncStateNotFound|resyncRequired/i.test(text)) return 'gone';
+  if (status === 429) return 'throttled';
+  if (status === 401) return 'auth';
+  if (status === 403) return 'forbidden';
+  if (status === 404) return 'not_found';
+  if (status === 405 || status === 501) return 'not_supported';
+  if (status >= 500) return 'server';
+  return 'bad_request';
+}
+
+function toError(method, url, status, text, retryAfterMs) {
+  let code = '';
+  try { code = JSON.parse(text)?.error?.code || ''; } catch (e) { code = ''; }
+
+  const path = url.replace(baseUrl(), '').replace(GRAPH_URL, '').split('?')[0];
+  return new GraphError(`Graph ${method} ${path} failed (${status}${code ? ` ${code}` : ''}): ${String(text).slice(0, 300)}`, {
+    type: errorType(status, text),
+    status,
+    code,
+    retryAfterMs,
+    url,
+  });
+}
+
+// Retry-After: seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const s = Number(value);
+  if (Number.isFinite(s)) return Math.max(0, s * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : 0;
+}
+
+function backoffMs(attempt) {
+  const exp = Math.min(MAX_WAIT_MS, BASE_DELAY_MS * 2 ** attempt);
+  return exp / 2 + Math.random() * (exp / 2);
+}
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+/* ------------------------------
+   Per-user state (this process)
+   ------------------------------ */
+
+const budgets = new Map(); // user -> { start, count }
+const blockedUntil = new Map(); // user -> ms (Retry-After of the last 429)
+
+function spendBudget(user, url) {
+  const limit = budgetLimit();
+  if (!limit) return;
+
+  const now = Date.now();
+  let b = budgets.get(user);
+  if (!b || now - b.start >= budgetWindowMs()) {
+    b = { start: now, count: 0 };
+    budgets.set(user, b);
+  }
+  if (b.count >= limit) {
+    throw new GraphError(`Graph request budget used up (${limit} per ${budgetWindowMs() / 60000} min)`, {
+      type: 'budget',
+      retryAfterMs: b.start + budgetWindowMs() - now,
+      url,
+    });
+  }
+  b.count++;
+}
+
+/* ------------------------------
+   Endpoint memory (per org = per tenant)
+   ------------------------------ */
+
+const endpointCache = new Map(); // orgId -> { lookup: routeKey }
+
+async function knownEndpoints(orgId) {
+  if (!orgId) return {};
+  const key = String(orgId);
+  if (!endpointCache.has(key)) {
+    const org = await Org.findById(orgId).select({ 'graph.endpoints': 1 }).lean();
+    endpointCache.set(key, { ...(org?.graph?.endpoints || {}) });
+  }
+  return endpointCache.get(key);
+}
+
+async function rememberEndpoint(orgId, lookup, routeKey) {
+  if (!orgId) return;
+  const known = await knownEndpoints(orgId);
+  if (known[lookup] === routeKey) return;
+  known[lookup] = routeKey;
+  await Org.updateOne({ _id: orgId }, { $set: { [`graph.endpoints.${lookup}`]: routeKey } });
+}
+
+/**
+ * A Graph client for one user.
+ * accessToken: delegated token; refresh(): a new one (optional, called once on 401);
+ * orgId: endpoint memory; user: budget / throttling key (email or id; defaults to the token).
+ */
+function createGraphClient({ accessToken, refresh = null, orgId = null, user = '', maxWaitMs = MAX_WAIT_MS } = {}) {
+  let token = String(accessToken || '').trim();
+  const userKey = String(user || '').toLowerCase().trim() || crypto.createHash('sha256').update(token).digest('hex').slice(0, 16);
+
+  function resolve(path, version) {
+    if (/^https?:\/\//i.test(path)) {
+      // nextLink / deltaLink: only ever follow links back to Graph
+      if (!path.startsWith(`${baseUrl()}/`) && !path.startsWith(`${GRAPH_URL}/`)) throw new Error(`Not a Graph URL: ${path}`);
+      return path;
+    }
+    return `${baseUrl()}/${version}${path}`;
+  }
+
+  async function request(path, { method = 'GET', version = 'v1.0', headers = {}, body } = {}) {
+    const url = resolve(path, version);
+    let refreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+      const wait = (blockedUntil.get(userKey) || 0) - Date.now();
+      if (wait > 0) {
+        if (wait > maxWaitMs) {
+          throw new GraphError(`Graph throttled this user; retry in ${Math.ceil(wait / 1000)}s`, { type: 'throttled', status: 429, retryAfterMs: wait, url });
+        }
+        await sleep(wait);
+      }
+
+      spendBudget(userKey, url);
+
+      let res;
+      try {
+        res = await fetch(url, {
+          method,
+          headers: {
+            Authorization: `Bearer ${token}`,
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...headers,
+          },
+          ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+        });
+      } catch (e) {
+        if (attempt < MAX_RETRIES) {
+          await sleep(backoffMs(attempt));
+          continue;
+        }
+        throw new GraphError(`Graph ${method} failed: ${e.message || e}`, { type: 'network', url });
+      }
+
+      if (res.ok) return res;
+
+      const text = await res.text().catch(() => '');
+
+      if (res.status === 401 && refresh && !refreshed) {
+        refreshed = true;
+        const fresh = await refresh();
+        if (fresh) {
+          token = String(fresh).trim();
+          continue;
+        }
+      }
+
+      const retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+      if (RETRY_STATUS.has(res.status)) {
+        if (retryAfterMs) blockedUntil.set(userKey, Date.now() + retryAfterMs);
+        const delay = retryAfterMs || backoffMs(attempt);
+        if (attempt < MAX_RETRIES && delay <= maxWaitMs) {
+          await sleep(delay);
+          continue;
+        }
+      }
+
+      throw toError(method, url, res.status, text, retryAfterMs);
+    }
+  }
+
+  // JSON response ({} for an empty body, e.g. 204)
+  async function json(path, opts) {
+    const res = await request(path, opts);
+    const text = await res.text();
+    return text ? JSON.parse(text) : {};
+  }
+
+  async function text(path, opts) {
+    return (await request(path, opts)).text();
+  }
+
+  /**
+   * Run attempt(route) over the FALLBACKS of a lookup: the org's remembered route first, then the others.
+   * Only "endpoint can't answer" errors (4xx of an unsupported route) move on to the next route; throttling,
+   * auth… fail right away. The first route that answers is remembered and its answer returned, also when it
+   * is empty (no such meeting, no transcripts yet): asking the other routes the same question would only
+   * spend the user's request budget.
+   */
+  async function withFallback(lookup, attempt) {
+    const known = (await knownEndpoints(orgId))[lookup];
+    const keys = FALLBACKS[lookup];
+    const ordered = known && keys.includes(known) ? [known, ...keys.filter(k => k !== known)] : keys;
+
+    let lastError = null;
+    for (const key of ordered) {
+      try {
+        const result = await attempt({ key, ...ROUTES[key] });
+        await rememberEndpoint(orgId, lookup, key);
+        return result;
+      } catch (e) {
+        if (!isUnavailable(e)) throw e;
+        lastError = e;
+      }
+    }
+    throw lastError || new GraphError(`No Graph endpoint for ${lookup}`, { type: 'not_supported' });
+  }
+
+  return { request, json, text, withFallback, orgId, user: userKey };
+}
+
+// Functions that take a client also take a bare access token (no endpoint memory, token as the budget key)
+function asGraphClient(graph) {
+  return typeof graph === 'string' ? createGraphClient({ accessToken: graph }) : graph;
+}
+
+module.exports = {
+  GraphError,
+  ERROR_TYPES,
+  isUnavailable,
+  createGraphClient,
+  asGraphClient,
+};
@@ -0,0 +1,198 @@
+// utils/graphSubscriptions.js
+// Graph change notifications, so new transcripts show up without waiting for the next calendar sync.
+// Per user: 'events' (me/events -> calendar delta sync) and 'transcripts' (transcripts of meetings the user
+// organizes -> transcript check of the matching EventCache entry). Processing runs in
+// workers/graphNotificationJobs.js; the webhook is routes/graph.js.
+//
+// GRAPH_NOTIFICATIONS=true turns it on. Graph must reach the webhook over HTTPS:
+// GRAPH_NOTIFICATION_URL, else BASE_URL + /graph/notifications (lifecycle notifications use the same URL).
+const crypto = require('crypto');
+const GraphSubscription = require('../models/GraphSubscription');
+const { createSubscription, renewSubscription, reauthorizeSubscription, deleteSubscription } = require('./graph');
+
+// Graph allows up to 4230 minutes for events and transcripts; renewed well before that
+const EXPIRY_MINUTES = 4200;
+const RENEW_BEFORE_HOURS = 12;
+
+const KINDS = {
+  events: {
+    resource: () => 'me/events',
+    changeType: 'created,updated,deleted',
+  },
+  transcripts: {
+    // needs the user's Entra object id (bound on O365 login)
+    resource: user => (user.o365?.oid ? `users/${user.o365.oid}/onlineMeetings/getAllTranscripts` : ''),
+    changeType: 'created',
+  },
+};
+
+function notificationsEnabled() {
+  return String(process.env.GRAPH_NOTIFICATIONS || '').toLowerCase() === 'true';
+}
+
+function notificationUrl() {
+  const explicit = String(process.env.GRAPH_NOTIFICATION_URL || '').trim();
+  if (explicit) return explicit;
+  const base = String(process.env.BASE_URL || '').trim().replace(/\/+$/, '');
+  return base ? `${base}/graph/notifications` : '';
+}
+
+const expiry = (now = Date.now()) => new Date(now + EXPIRY_MINUTES * 60 * 1000);
+
+function sameSecret(a, b) {
+  const A = Buffer.from(String(a || ''));
+  const B = Buffer.from(String(b || ''));
+  return A.length > 0 && A.length === B.length && crypto.timingSafeEqual(A, B);
+}
+
+async function createFor(user, kind, graph) {
+  const def = KINDS[kind];
+  const resource = def.resource(user);
+  if (!resource) throw new Error('No Entra object id for this user yet; sign in with Office 365 again.');
+
+  const url = notificationUrl();
+  if (!url) throw new Error('GRAPH_NOTIFICATION_URL (or BASE_URL) must be set for change notifications.');
+
+  const clientState = crypto.randomBytes(24).toString('hex');
+  const sub = await createSubscription(graph, {
+    resource,
+    changeType: def.changeType,
+    notificationUrl: url,
+    lifecycleNotificationUrl: url,
+    expirationDateTime: expiry().toISOString(),
+    clientState,
+  });
+
+  return GraphSubscription.findOneAndUpdate(
+    { userId: user._id, kind },
+    {
+      $set: {
+        orgId: user.org?._id || user.org,
+        userEmail: user.email,
+        subscriptionId: sub.id,
+        resource,
+        changeType: def.changeType,
+        expiresAt: sub.expirationDateTime ? new Date(sub.expirationDateTime) : expiry(),
+        clientState,
+        status: 'active',
+        lastError: '',
+        renewedAt: new Date(),
+      },
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Create missing subscriptions of a user and renew the ones that expire soon.
+ * Returns { created, renewed, failed }; failures are kept on the subscription (status 'error').
+ */
+async function ensureUserSubscriptions(user, graph, { now = new Date() } = {}) {
+  const existing = await GraphSubscription.find({ userId: user._id }).lean();
+  const out = { created: 0, renewed: 0, failed: 0 };
+
+  for (const kind of Object.keys(KINDS)) {
+    const sub = existing.find(s => s.kind === kind);
+    try {
+      if (sub?.status === 'active' && sub.expiresAt && sub.expiresAt.getTime() - now.getTime() > RENEW_BEFORE_HOURS * 60 * 60 * 1000) {
+        continue;
+      }
+
+      if (sub?.status === 'active') {
+        try {
+          const renewed = await renewSubscription(graph, sub.subscriptionId, expiry(now.getTime()).toISOString());
+          await GraphSubscription.updateOne(
+            { _id: sub._id },
+            { $set: { expiresAt: new Date(renewed.expirationDateTime || expiry(now.getTime())), renewedAt: new Date(), lastError: '' } }
+          );
+          out.renewed++;
+          continue;
+        } catch (e) {
+          if (e.type !== 'not_found') throw e;
+          // expired or removed on the Graph side: create a new one below
+        }
+      }
+
+      await createFor(user, kind, graph);
+      out.created++;
+    } catch (e) {
+      out.failed++;
+      await GraphSubscription.updateOne(
+        { userId: user._id, kind },
+        {
+          $set: { status: 'error', lastError: e.message || String(e) },
+          $setOnInsert: { orgId: user.org?._id || user.org, userEmail: user.email, subscriptionId: '' },
+        },
+        { upsert: true }
+      );
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Graph sent 'reauthorizationRequired': reauthorize the subscription now, whatever its expiry (the
+ * renew window of ensureUserSubscriptions would skip it and Graph would drop it). A subscription Graph
+ * no longer knows is recreated. Returns 'reauthorized', 'recreated' or 'skipped' (not an active Graph one of the user).
+ */
+async function reauthorizeUserSubscription(user, graph, subscriptionId) {
+  const sub = await GraphSubscription.findOne({ userId: user._id, subscriptionId: String(subscriptionId || '') }).lean();
+  if (!sub || sub.status !== 'active' || sub.subscriptionId.startsWith('local-')) return 'skipped';
+
+  try {
+    await reauthorizeSubscription(graph, sub.subscriptionId);
+    await GraphSubscription.updateOne({ _id: sub._id }, { $set: { renewedAt: new Date(), lastError: '' } });
+    return 'reauthorized';
+  } catch (e) {
+    if (e.type !== 'not_found') {
+      await GraphSubscription.updateOne({ _id: sub._id }, { $set: { lastError: e.message || String(e) } });
+      throw e;
+    }
+  }
+
+  await createFor(user, sub.kind, graph);
+  return 'recreated';
+}
+
+// Delete a user's subscriptions (live updates turned off). Without a client they are only marked deleted;
+// Graph drops them when they expire and notifications for them are ignored meanwhile.
+async function removeUserSubscriptions(userId, graph) {
+  const subs = await GraphSubscription.find({ userId, status: { $ne: 'deleted' } }).lean();
+  for (const sub of subs) {
+    if (graph && sub.subscriptionId && !sub.subscriptionId.startsWith('local-')) {
+      await deleteSubscription(graph, sub.subscriptionId).catch(e => {
+        if (e.type !== 'not_found') console.log('[graph-subscriptions] delete failed:', sub.subscriptionId, e.message);
+      });
+    }
+    await GraphSubscription.updateOne({ _id: sub._id }, { $set: { status: 'deleted' } });
+  }
+  return subs.length;
+}
+
+// The subscription a notification belongs to, or null when it is unknown, deleted or the clientState is wrong
+async function subscriptionForNotification(n) {
+  if (!n?.subscriptionId) return null;
+  const sub = await GraphSubscription.findOne({ subscriptionId: String(n.subscriptionId) }).select('+clientState').lean();
+  if (!sub || sub.status === 'deleted' || !sameSecret(sub.clientState, n.clientState)) return null;
+  return sub;
+}
+
+// users('…')/onlineMeetings('…')/transcripts('…') or users/…/onlineMeetings/…/transcripts/… -> ids
+function parseTranscriptResource(resource, resourceData) {
+  const m = String(resource || '').match(/onlineMeetings(?:\('([^']+)'\)|\/([^/?]+))\/transcripts(?:\('([^']+)'\)|\/([^/?]+))/i);
+  return {
+    meetingId: m ? m[1] || m[2] : '',
+    transcriptId: (m ? m[3] || m[4] : '') || String(resourceData?.id || ''),
+  };
+}
+
+module.exports = {
+  notificationsEnabled,
+  notificationUrl,
+  ensureUserSubscriptions,
+  reauthorizeUserSubscription,
+  removeUserSubscriptions,
+  subscriptionForNotification,
+  parseTranscriptResource,
+};
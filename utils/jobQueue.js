@@ -0,0 +1,221 @@
+// utils/jobQueue.js
+// Persistent job queue backed by Mongo (models/Job.js).
+// - enqueueJob() dedupes by key, so it is safe to call on every page hit
+// - workers claim jobs atomically (findOneAndUpdate), so several app instances can run side by side
+// - failed jobs are retried with exponential backoff until maxAttempts
+// - jobs whose worker died (lock older than JOB_LOCK_TTL_MS) are put back in the queue
+const os = require('os');
+const Job = require('../models/Job');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// env is read lazily (server.js loads dotenv after requiring routes)
+const lockTtlMs = () => Number(process.env.JOB_LOCK_TTL_MS || 10 * 60 * 1000);
+const backoffBaseMs = () => Number(process.env.JOB_BACKOFF_BASE_MS || 15 * 1000);
+const BACKOFF_MAX_MS = 15 * 60 * 1000;
+const RECOVER_EVERY_MS = 60 * 1000;
+
+const handlers = new Map();
+
+let running = false;
+let timer = null;
+let active = 0;
+let lastRecoverAt = 0;
+
+function registerJobHandler(type, fn) {
+  if (!type || typeof fn !== 'function') throw new Error('registerJobHandler: type and handler required');
+  handlers.set(type, fn);
+}
+
+function backoffMs(attempts) {
+  const exp = backoffBaseMs() * Math.pow(2, Math.max(0, attempts - 1));
+  const jitter = Math.floor(Math.random() * 1000);
+  return Math.min(BACKOFF_MAX_MS, exp) + jitter;
+}
+
+async function enqueueJob(type, payload = {}, opts = {}) {
+  const key = String(opts.key || '');
+  const doc = {
+    type,
+    key,
+    payload,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: Number(opts.maxAttempts || 4),
+    runAt: opts.runAt || new Date(),
+  };
+
+  if (!key) return Job.create(doc);
+
+  // ✅ Dedupe: reuse the active job for this key if there is one
+  try {
+    return await Job.findOneAndUpdate(
+      { key, status: { $in: ['queued', 'running'] } },
+      { $setOnInsert: doc },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (e) {
+    // another instance inserted the same key first (unique index in models/Job.js): use its job
+    if (e.code !== 11000) throw e;
+    const active = await Job.findOne({ key, status: { $in: ['queued', 'running'] } });
+    if (!active) throw e;
+    return active;
+  }
+}
+
+async function findActiveJob(key) {
+  if (!key) return null;
+  return Job.findOne({ key, status: { $in: ['queued', 'running'] } }).lean();
+}
+
+// Put jobs back in the queue when the worker holding them went away
+async function recoverStaleJobs() {
+  const staleBefore = new Date(Date.now() - lockTtlMs());
+
+  const expired = await Job.updateMany(
+    { status: 'running', lockedAt: { $lt: staleBefore }, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+    {
+      $set: {
+        status: 'failed',
+        lastError: 'stale lock (worker stopped) after last attempt',
+        lockedAt: null,
+        lockedBy: '',
+        finishedAt: new Date(),
+      },
+    }
+  );
+
+  const requeued = await Job.updateMany(
+    { status: 'running', lockedAt: { $lt: staleBefore } },
+    {
+      $set: {
+        status: 'queued',
+        lastError: 'stale lock recovered',
+        lockedAt: null,
+        lockedBy: '',
+        runAt: new Date(),
+      },
+    }
+  );
+
+  const n = (expired.modifiedCount || 0) + (requeued.modifiedCount || 0);
+  if (n) console.warn('[jobs] recovered stale jobs:', n);
+  return n;
+}
+
+async function claimNextJob() {
+  const types = [...handlers.keys()];
+  if (!types.length) return null;
+
+  return Job.findOneAndUpdate(
+    { status: 'queued', runAt: { $lte: new Date() }, type: { $in: types } },
+    {
+      $set: { status: 'running', lockedAt: new Date(), lockedBy: WORKER_ID },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+
+  const ctx = {
+    job,
+    attempt: job.attempts,
+    isLastAttempt: job.attempts >= job.maxAttempts,
+    // long handlers call this to keep their lock from being treated as stale
+    touch: () => Job.updateOne({ _id: job._id, lockedBy: WORKER_ID }, { $set: { lockedAt: new Date() } }),
+  };
+
+  // only while this worker still holds the lock: a job recovered as stale may already run elsewhere
+  const own = { _id: job._id, lockedBy: WORKER_ID };
+  const lockLost = r => {
+    if (!r.matchedCount) console.warn(`[jobs] ${job.type} ${job._id}: lock lost (recovered as stale), result not recorded`);
+  };
+
+  try {
+    await handler(job.payload || {}, ctx);
+
+    lockLost(await Job.updateOne(
+      own,
+      { $set: { status: 'done', lockedAt: null, lockedBy: '', lastError: '', finishedAt: new Date() } }
+    ));
+  } catch (err) {
+    const msg = err?.message || String(err);
+
+    if (ctx.isLastAttempt) {
+      console.log(`[jobs] ${job.type} failed permanently (${job.attempts}/${job.maxAttempts}):`, msg);
+      lockLost(await Job.updateOne(
+        own,
+        { $set: { status: 'failed', lockedAt: null, lockedBy: '', lastError: msg, finishedAt: new Date() } }
+      ));
+      return;
+    }
+
+    // throttled Graph calls (utils/graphClient.js) say how long to wait
+    const delay = Math.max(backoffMs(job.attempts), Number(err?.retryAfterMs) || 0);
+    console.log(`[jobs] ${job.type} failed (${job.attempts}/${job.maxAttempts}), retry in ${Math.round(delay / 1000)}s:`, msg);
+    lockLost(await Job.updateOne(
+      own,
+      {
+        $set: {
+          status: 'queued',
+          lockedAt: null,
+          lockedBy: '',
+          lastError: msg,
+          runAt: new Date(Date.now() + delay),
+        },
+      }
+    ));
+  }
+}
+
+async function tick(concurrency) {
+  if (Date.now() - lastRecoverAt > RECOVER_EVERY_MS) {
+    lastRecoverAt = Date.now();
+    await recoverStaleJobs();
+  }
+
+  while (running && active < concurrency) {
+    const job = await claimNextJob();
+    if (!job) break;
+
+    active++;
+    runJob(job)
+      .catch(e => console.error('[jobs] runJob error:', e))
+      .finally(() => { active--; });
+  }
+}
+
+function startJobWorker({ concurrency = Number(process.env.JOB_CONCURRENCY || 2), pollMs = 2000 } = {}) {
+  if (running) return;
+  running = true;
+
+  const loop = async () => {
+    try {
+      await tick(concurrency);
+    } catch (e) {
+      console.error('[jobs] worker tick error:', e.message || e);
+    }
+    if (running) timer = setTimeout(loop, pollMs);
+  };
+
+  console.log(`[jobs] worker started (${WORKER_ID}, concurrency=${concurrency})`);
+  loop();
+}
+
+function stopJobWorker() {
+  running = false;
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  findActiveJob,
+  recoverStaleJobs,
+  startJobWorker,
+  stopJobWorker,
+};
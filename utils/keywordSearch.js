@@ -0,0 +1,153 @@
+// utils/keywordSearch.js
+// Exact keyword / phrase search over transcripts (Mongo text index on Transcript.subject + text),
+// limited to the meetings a user took part in; org admins can search the whole org.
+const Transcript = require('../models/Transcript');
+const { transcriptSegments, segmentsToCues, formatCueTime } = require('./vtt');
+const { attendedFilter } = require('./meetingAccess');
+
+const PAGE_SIZE = 20;
+const HITS_PER_MEETING = 3;
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 'acme "ticket 4711" -draft' -> { phrases: ['ticket 4711'], words: ['acme'], excluded: ['draft'] }
+ * The same syntax Mongo's $text understands, parsed again for highlighting.
+ */
+function parseKeywordQuery(q) {
+  const s = String(q || '');
+  const phrases = [...s.matchAll(/"([^"]+)"/g)].map(m => m[1].trim()).filter(Boolean);
+  const rest = s.replace(/"[^"]*"/g, ' ').split(/\s+/).filter(Boolean);
+
+  return {
+    phrases,
+    words: rest.filter(w => !w.startsWith('-')),
+    excluded: rest.filter(w => w.startsWith('-') && w.length > 1).map(w => w.slice(1)),
+  };
+}
+
+// Every word is sent as a quoted phrase: $text then requires all of them (plain terms are OR-ed),
+// and "INC-4711", split into "inc" + "4711" by the index, keeps its parts together
+function textSearchString(parsed) {
+  const quoted = [...parsed.phrases, ...parsed.words].map(p => `"${p.replace(/"/g, '')}"`);
+  return [...quoted, ...parsed.excluded.map(w => `-${w}`)].join(' ');
+}
+
+function hitRegExp(parsed) {
+  const terms = [...parsed.phrases, ...parsed.words]
+    .map(t => t.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+  return terms.length ? new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'giu') : null;
+}
+
+// text -> [{ text, hit }] for <mark> highlighting
+function highlightParts(text, re) {
+  const s = String(text || '');
+  if (!re) return [{ text: s, hit: false }];
+  return s.split(re).filter(Boolean).map(part => {
+    re.lastIndex = 0;
+    const hit = re.test(part) && part.replace(re, '') === '';
+    re.lastIndex = 0;
+    return { text: part, hit };
+  });
+}
+
+// Long lines are cut around the first hit
+function clip(text, re, maxChars = 280) {
+  const s = String(text || '');
+  if (s.length <= maxChars) return s;
+  re.lastIndex = 0;
+  const m = re.exec(s);
+  re.lastIndex = 0;
+  const from = m ? Math.max(0, Math.min(m.index - 80, s.length - maxChars)) : 0;
+  return `${from > 0 ? '…' : ''}${s.slice(from, from + maxChars)}${from + maxChars < s.length ? '…' : ''}`;
+}
+
+/**
+ * Transcript lines containing the query terms: { total, hits: [{ cue, time, speaker, parts }] } (first HITS_PER_MEETING).
+ */
+function matchingLines(doc, parsed) {
+  const re = hitRegExp(parsed);
+  if (!re) return { total: 0, hits: [] };
+
+  const hits = [];
+  let total = 0;
+  for (const c of segmentsToCues(transcriptSegments(doc))) {
+    re.lastIndex = 0;
+    if (!re.test(c.text)) continue;
+    total++;
+    if (hits.length < HITS_PER_MEETING) {
+      hits.push({
+        cue: c.id,
+        time: c.start === null ? '' : formatCueTime(c.start),
+        speaker: c.speaker,
+        parts: highlightParts(clip(c.text, re), re),
+      });
+    }
+  }
+  re.lastIndex = 0;
+  return { total, hits };
+}
+
+/**
+ * Filters from the search form: from / to (YYYY-MM-DD, meeting start) and participant (email or speaker name).
+ */
+function searchFilters({ from, to, participant }) {
+  const and = [];
+  const day = v => (/^\d{4}-\d{2}-\d{2}$/.test(String(v || '')) ? String(v) : '');
+
+  if (day(from)) and.push({ startDateTime: { $gte: day(from) } });
+  if (day(to)) {
+    const next = new Date(`${day(to)}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    and.push({ startDateTime: { $gt: '', $lt: next.toISOString().slice(0, 10) } });
+  }
+
+  const p = String(participant || '').trim();
+  if (p) {
+    const re = new RegExp(escapeRegExp(p), 'i');
+    and.push({ $or: [{ participantEmails: re }, { 'segments.speaker': re }] });
+  }
+
+  return and.length ? { $and: and } : {};
+}
+
+/**
+ * One page of meetings matching `q`, best match first (or newest first with sort 'date').
+ * Returns { total, page, pages, results: [{ meeting, score, lines: { total, hits } }] }.
+ */
+async function keywordSearch({ orgId, email, allMeetings = false, q, from, to, participant, sort = 'relevance', page = 1 }) {
+  const parsed = parseKeywordQuery(q);
+  if (!parsed.phrases.length && !parsed.words.length) return { total: 0, page: 1, pages: 0, results: [] };
+
+  const filter = {
+    // who may see what: the meetings the user attended (utils/meetingAccess.js), or the whole org for admins
+    ...(await attendedFilter({ orgId, email, allMeetings })),
+    ...searchFilters({ from, to, participant }),
+    $text: { $search: textSearchString(parsed), $caseSensitive: false },
+  };
+
+  const total = await Transcript.countDocuments(filter);
+  const pages = Math.ceil(total / PAGE_SIZE);
+  const current = Math.min(Math.max(1, Number(page) || 1), Math.max(1, pages));
+
+  const docs = await Transcript.find(filter, { score: { $meta: 'textScore' } })
+    .select({ subject: 1, startDateTime: 1, participantEmails: 1, source: 1, segments: 1, vtt: 1, text: 1 })
+    .sort(sort === 'date' ? { startDateTime: -1 } : { score: { $meta: 'textScore' }, startDateTime: -1 })
+    .skip((current - 1) * PAGE_SIZE)
+    .limit(PAGE_SIZE)
+    .lean();
+
+  const results = docs.map(d => ({
+    meeting: { _id: d._id, subject: d.subject, startDateTime: d.startDateTime, participantEmails: d.participantEmails, source: d.source },
+    score: d.score,
+    lines: matchingLines(d, parsed),
+  }));
+
+  return { total, page: current, pages, results };
+}
+
+module.exports = { PAGE_SIZE, parseKeywordQuery, textSearchString, highlightParts, matchingLines, keywordSearch };
@@ -0,0 +1,127 @@
+// utils/language.js
+// Output languages + a small offline language detector for transcripts.
+
+// code -> English name (the name is what we put in prompts)
+const LANGUAGES = {
+  en: 'English',
+  hi: 'Hindi',
+  bn: 'Bengali',
+  mr: 'Marathi',
+  gu: 'Gujarati',
+  pa: 'Punjabi',
+  ta: 'Tamil',
+  te: 'Telugu',
+  kn: 'Kannada',
+  ml: 'Malayalam',
+  ur: 'Urdu',
+  ar: 'Arabic',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+  ru: 'Russian',
+  ja: 'Japanese',
+  ko: 'Korean',
+  zh: 'Chinese',
+};
+
+function isLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+function languageName(code) {
+  return LANGUAGES[code] || code || '';
+}
+
+// Non-Latin scripts are decided by character ranges
+const SCRIPTS = [
+  { code: 'hi', re: /[ऀ-ॿ]/g }, // Devanagari (Hindi / Marathi share it; Hindi is the safer guess)
+  { code: 'bn', re: /[ঀ-৿]/g },
+  { code: 'pa', re: /[਀-੿]/g },
+  { code: 'gu', re: /[઀-૿]/g },
+  { code: 'ta', re: /[஀-௿]/g },
+  { code: 'te', re: /[ఀ-౿]/g },
+  { code: 'kn', re: /[ಀ-೿]/g },
+  { code: 'ml', re: /[ഀ-ൿ]/g },
+  { code: 'ar', re: /[؀-ۿ]/g },
+  { code: 'ru', re: /[Ѐ-ӿ]/g },
+  { code: 'ko', re: /[가-힯]/g },
+  { code: 'ja', re: /[぀-ヿ]/g }, // kana
+  { code: 'zh', re: /[一-鿿]/g },
+];
+
+// Latin-script languages are decided by common function words
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'to', 'of', 'we', 'that', 'this', 'it', 'you', 'for', 'on', 'with', 'have', 'are'],
+  es: ['el', 'la', 'que', 'de', 'y', 'es', 'en', 'los', 'por', 'para', 'con', 'una', 'pero', 'como', 'está'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'que', 'de', 'des', 'pour', 'pas', 'une', 'nous', 'vous', 'avec', 'sur'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'wir', 'ich', 'mit', 'für', 'auf', 'ein', 'eine', 'auch', 'dass'],
+  it: ['il', 'che', 'di', 'e', 'non', 'la', 'per', 'una', 'sono', 'questo', 'con', 'anche', 'gli', 'come', 'abbiamo'],
+  pt: ['o', 'que', 'de', 'e', 'não', 'uma', 'para', 'com', 'os', 'mas', 'isso', 'está', 'você', 'nós', 'também'],
+  nl: ['de', 'het', 'en', 'een', 'is', 'dat', 'niet', 'we', 'ik', 'van', 'voor', 'met', 'op', 'ook', 'maar'],
+};
+
+// "Speaker Name: text" -> "text" so names don't skew the guess
+function stripSpeakers(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map(l => l.replace(/^[^:\n]{1,80}:\s/, ''))
+    .join('\n');
+}
+
+/**
+ * Guess the main language of a transcript.
+ * Returns { code, confidence } (confidence 0..1), or { code: '', confidence: 0 } when there is too little text.
+ */
+function detectLanguage(text) {
+  const sample = stripSpeakers(text).slice(0, 20000);
+  const letters = (sample.match(/\p{L}/gu) || []).length;
+  if (letters < 20) return { code: '', confidence: 0 };
+
+  // 1) scripts
+  let best = { code: '', count: 0 };
+  for (const s of SCRIPTS) {
+    const n = (sample.match(s.re) || []).length;
+    if (n > best.count) best = { code: s.code, count: n };
+  }
+  // Japanese text mixes kana with kanji: any real amount of kana means Japanese
+  const kana = (sample.match(/[぀-ヿ]/g) || []).length;
+  if (best.code === 'zh' && kana > best.count * 0.1) best = { code: 'ja', count: best.count + kana };
+  // Urdu uses Arabic script with a few extra letters
+  if (best.code === 'ar' && /[ٹڈڑںھہے]/.test(sample)) best.code = 'ur';
+
+  const share = best.count / letters;
+  if (share >= 0.3) return { code: best.code, confidence: Math.min(1, Number(share.toFixed(2))) };
+
+  // 2) Latin function words
+  const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+  const counts = {};
+  for (const w of words) counts[w] = (counts[w] || 0) + 1;
+
+  const scores = Object.entries(STOPWORDS)
+    .map(([code, list]) => ({ code, score: list.reduce((sum, w) => sum + (counts[w] || 0), 0) }))
+    .sort((a, b) => b.score - a.score);
+
+  const top = scores[0];
+  if (!top || !top.score) return { code: '', confidence: 0 };
+
+  const second = scores[1]?.score || 0;
+  const confidence = Number((top.score / (top.score + second)).toFixed(2));
+  return { code: top.code, confidence };
+}
+
+/**
+ * Language a summary should be written in:
+ * org setting, or (auto) the transcript's own language, falling back to English.
+ */
+function resolveOutputLanguage(org, doc) {
+  const configured = org?.language?.output;
+  if (configured && configured !== 'auto' && isLanguage(configured)) return configured;
+
+  const detected = doc?.language?.code;
+  return isLanguage(detected) ? detected : 'en';
+}
+
+module.exports = { LANGUAGES, isLanguage, languageName, detectLanguage, resolveOutputLanguage };
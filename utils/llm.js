@@ -0,0 +1,308 @@
+// utils/llm.js
+// LLM provider layer used by the summary/notes generators.
+//
+// Providers:
+//  - openai : api.openai.com Responses API            (OPENAI_API_KEY, optional OPENAI_BASE_URL)
+//  - azure  : Azure OpenAI Chat Completions, our tenant (AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT,
+//             AZURE_OPENAI_DEPLOYMENT, AZURE_OPENAI_API_VERSION)
+//  - local  : any OpenAI-compatible server (Ollama, vLLM, LM Studio...) via Chat Completions
+//             (LOCAL_LLM_BASE_URL, optional LOCAL_LLM_API_KEY / LOCAL_LLM_MODEL)
+//
+// Choice: Org.ai.provider (unless 'default') -> LLM_PROVIDER env -> 'openai'.
+// Server keys only ever come from env; the org can pick provider, model and Azure deployment.
+// An org that points Azure at its own resource (Org.ai.azureEndpoint) brings that resource's key
+// (stored sealed in Org.ai.azureApiKey): AZURE_OPENAI_API_KEY is only sent to AZURE_OPENAI_ENDPOINT.
+// Calls give up after LLM_TIMEOUT_MS (default 120 s) unless the caller passes its own timeoutMs.
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const PROVIDERS = ['openai', 'azure', 'local'];
+
+// env is read lazily (server.js loads dotenv after requiring routes)
+const defaultTimeoutMs = () => Number(process.env.LLM_TIMEOUT_MS || 120 * 1000);
+
+function trimSlash(s) {
+  return String(s || '').trim().replace(/\/+$/, '');
+}
+
+/* ------------------------------
+   Azure endpoint of an org
+   ------------------------------ */
+
+const AZURE_HOST = /^[a-z0-9][a-z0-9-]*\.(?:openai\.azure\.com|cognitiveservices\.azure\.com)$/;
+
+/**
+ * Endpoint typed in the org settings -> { endpoint } (normalised to https://host) or { error }.
+ * Only Azure OpenAI resource hosts over https are accepted.
+ */
+function parseAzureEndpoint(raw) {
+  const s = trimSlash(raw);
+  if (!s) return { endpoint: '' };
+
+  let u;
+  try {
+    u = new URL(s);
+  } catch (e) {
+    return { error: 'Azure OpenAI endpoint is not a valid URL.' };
+  }
+  if (u.protocol !== 'https:' || u.username || u.password || u.port || (u.pathname !== '/' && u.pathname !== '') || u.search) {
+    return { error: 'Azure OpenAI endpoint must be https://<resource>.openai.azure.com (no path, port or query).' };
+  }
+  if (!AZURE_HOST.test(u.hostname)) {
+    return { error: 'Azure OpenAI endpoint must be an *.openai.azure.com or *.cognitiveservices.azure.com host.' };
+  }
+  return { endpoint: `https://${u.hostname}` };
+}
+
+// TOKEN_ENCRYPTION_KEY (any string) protects stored API keys; SESSION_SECRET is the fallback
+function secretKey() {
+  const secret = process.env.TOKEN_ENCRYPTION_KEY || process.env.SESSION_SECRET;
+  if (!secret) throw new Error('TOKEN_ENCRYPTION_KEY (or SESSION_SECRET) must be set to store API keys');
+  return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+function sealApiKey(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', secretKey(), iv);
+  const enc = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), enc].map(b => b.toString('base64')).join('.');
+}
+
+function unsealApiKey(sealed) {
+  try {
+    const [iv, tag, enc] = String(sealed).split('.').map(s => Buffer.from(s, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', secretKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(enc), decipher.final()]).toString('utf8');
+  } catch (e) {
+    return ''; // key changed: the org admin enters the API key again
+  }
+}
+
+// Org (or nothing) -> provider config
+function resolveLlmConfig(org) {
+  const o = org?.ai || {};
+
+  let provider = o.provider && o.provider !== 'default' ? o.provider : '';
+  if (!provider) provider = String(process.env.LLM_PROVIDER || 'openai').toLowerCase().trim();
+  if (!PROVIDERS.includes(provider)) throw new Error(`Unknown LLM provider: ${provider}`);
+
+  // the org's own Azure resource, unless it is the server's one
+  const serverEndpoint = trimSlash(process.env.AZURE_OPENAI_ENDPOINT);
+  const orgEndpoint = trimSlash(o.azureEndpoint);
+  const ownEndpoint = !!orgEndpoint && orgEndpoint !== serverEndpoint;
+
+  return {
+    provider,
+    model: String(o.model || '').trim(),
+    azureEndpoint: ownEndpoint ? orgEndpoint : serverEndpoint,
+    azureDeployment: String(o.azureDeployment || process.env.AZURE_OPENAI_DEPLOYMENT || '').trim(),
+    // sealed; only read by azureAuth()
+    azureOrgKey: ownEndpoint ? String(o.azureApiKey || '') : null,
+  };
+}
+
+/**
+ * Endpoint + api-key for an Azure call (chat here, embeddings in utils/embeddings.js).
+ * Stored endpoints are checked again, so a value saved before validation cannot receive a key.
+ */
+function azureAuth(config) {
+  if (config.azureOrgKey === null || config.azureOrgKey === undefined) {
+    const apiKey = process.env.AZURE_OPENAI_API_KEY;
+    if (!apiKey) throw new Error('AZURE_OPENAI_API_KEY missing');
+    if (!config.azureEndpoint) throw new Error('Azure OpenAI endpoint missing (AZURE_OPENAI_ENDPOINT)');
+    return { endpoint: config.azureEndpoint, apiKey };
+  }
+
+  const { endpoint, error } = parseAzureEndpoint(config.azureEndpoint);
+  if (error) throw new Error(`Org Azure OpenAI endpoint refused: ${error}`);
+  const apiKey = config.azureOrgKey ? unsealApiKey(config.azureOrgKey) : '';
+  if (!apiKey) throw new Error('API key of the org\'s Azure OpenAI endpoint missing (org settings)');
+  return { endpoint, apiKey };
+}
+
+/* ------------------------------
+   Output text extraction
+   ------------------------------ */
+
+// Responses API payload
+function extractResponsesText(json) {
+  // Best case
+  if (json?.output_text && typeof json.output_text === 'string') {
+    return json.output_text;
+  }
+
+  // output: [{ type:"message", content:[{type:"output_text", text:"..."}], ... }]
+  const out = json?.output;
+  if (Array.isArray(out)) {
+    for (const item of out) {
+      if (item?.type === 'message' && Array.isArray(item.content)) {
+        for (const c of item.content) {
+          if (c?.type === 'output_text' && typeof c.text === 'string') {
+            return c.text;
+          }
+        }
+      }
+    }
+  }
+
+  return '';
+}
+
+// Chat Completions payload: choices[0].message.content (string, or array of parts on some servers)
+function extractChatText(json) {
+  const content = json?.choices?.[0]?.message?.content;
+  if (typeof content === 'string') return content;
+
+  if (Array.isArray(content)) {
+    return content
+      .map(p => (typeof p === 'string' ? p : (p?.text || '')))
+      .join('');
+  }
+
+  return '';
+}
+
+function extractOutputText(provider, json) {
+  return provider === 'openai' ? extractResponsesText(json) : extractChatText(json);
+}
+
+/* ------------------------------
+   Requests per provider
+   ------------------------------ */
+
+function chatBody({ model, instructions, input, json }) {
+  const body = {
+    messages: [
+      { role: 'system', content: instructions },
+      { role: 'user', content: input },
+    ],
+  };
+  if (model) body.model = model;
+  if (json) body.response_format = { type: 'json_object' };
+  return body;
+}
+
+function buildRequest(config, { model, instructions, input, json }) {
+  if (config.provider === 'openai') {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) throw new Error('OPENAI_API_KEY missing');
+
+    const body = { model, instructions, input };
+    if (json) body.text = { format: { type: 'json_object' } };
+
+    return {
+      url: `${trimSlash(process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1')}/responses`,
+      headers: { Authorization: `Bearer ${apiKey}` },
+      body,
+      model,
+    };
+  }
+
+  if (config.provider === 'azure') {
+    const { endpoint, apiKey } = azureAuth(config);
+    if (!config.azureDeployment) throw new Error('Azure OpenAI deployment missing (AZURE_OPENAI_DEPLOYMENT)');
+
+    const apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2024-10-21';
+
+    // Azure routes by deployment; the model field is not needed
+    return {
+      url: `${endpoint}/openai/deployments/${encodeURIComponent(config.azureDeployment)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`,
+      headers: { 'api-key': apiKey },
+      body: chatBody({ instructions, input, json }),
+      model: `azure:${config.azureDeployment}`,
+    };
+  }
+
+  // local OpenAI-compatible server
+  const baseUrl = trimSlash(process.env.LOCAL_LLM_BASE_URL || 'http://127.0.0.1:11434/v1');
+  const headers = {};
+  if (process.env.LOCAL_LLM_API_KEY) headers.Authorization = `Bearer ${process.env.LOCAL_LLM_API_KEY}`;
+
+  return {
+    url: `${baseUrl}/chat/completions`,
+    headers,
+    body: chatBody({ model, instructions, input, json }),
+    model,
+  };
+}
+
+// Model precedence: org override -> provider env -> caller's default
+function pickModel(config, defaultModel) {
+  if (config.model) return config.model;
+  if (config.provider === 'local' && process.env.LOCAL_LLM_MODEL) return process.env.LOCAL_LLM_MODEL;
+  return defaultModel;
+}
+
+/**
+ * POST a JSON body, aborted after timeoutMs (also used for embeddings, utils/embeddings.js).
+ * Returns { resp, payload } (payload null when the answer is not JSON); a timeout throws "<label> did not answer…".
+ */
+async function postJson(url, { headers = {}, body, timeoutMs = defaultTimeoutMs(), label }) {
+  const controller = new AbortController();
+  const timer = timeoutMs > 0 ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+  try {
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    const payload = await resp.json().catch(e => {
+      if (e.name === 'AbortError') throw e;
+      return null;
+    });
+    return { resp, payload };
+  } catch (e) {
+    if (e.name === 'AbortError') throw new Error(`${label} did not answer within ${timeoutMs / 1000}s`);
+    throw e;
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+}
+
+/**
+ * One completion call.
+ * Returns { text, model, provider } where model is what we record on the Transcript.
+ * json=true asks the provider for a JSON object (the caller still validates it).
+ * A call that takes longer than timeoutMs is aborted and throws.
+ */
+async function completeText(config, { model, instructions, input, json = false, timeoutMs = defaultTimeoutMs() }) {
+  const req = buildRequest(config, {
+    model: pickModel(config, model),
+    instructions,
+    input,
+    json,
+  });
+
+  const { resp, payload } = await postJson(req.url, {
+    headers: req.headers,
+    body: req.body,
+    timeoutMs,
+    label: `${config.provider} LLM`,
+  });
+
+  if (!resp.ok) {
+    const msg = payload?.error?.message || `${config.provider} LLM error ${resp.status}`;
+    throw new Error(msg);
+  }
+
+  return {
+    text: extractOutputText(config.provider, payload).trim(),
+    model: req.model || payload?.model || '',
+    provider: config.provider,
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  trimSlash,
+  postJson,
+  resolveLlmConfig,
+  parseAzureEndpoint,
+  sealApiKey,
+  azureAuth,
+  completeText,
+  extractOutputText,
+};
@@ -0,0 +1,31 @@
+// utils/meetingAccess.js
+// Which stored transcripts a user may find. Keyword search (utils/keywordSearch.js) and semantic search /
+// cross-meeting Q&A (utils/searchIndex.js attendedTranscripts) both use it, so they see the same meetings.
+const EventCache = require('../models/EventCache');
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Transcript filter for the meetings a user attended: listed as participant (matched on the local part,
+ * aliases across domains like routes/user.js sameMailbox) or on one of the user's cached calendar events.
+ * allMeetings (org admins who ask for it): the whole org.
+ */
+async function attendedFilter({ orgId, email, allMeetings = false }) {
+  if (allMeetings) return { orgId };
+
+  const me = String(email || '').toLowerCase().trim();
+  const local = me.split('@')[0];
+  const eventIds = await EventCache.distinct('eventId', { orgId, userEmail: me, hasTranscript: true });
+
+  return {
+    orgId,
+    $or: [
+      { participantEmails: new RegExp(`^${escapeRegExp(local)}@`, 'i') },
+      ...(eventIds.length ? [{ eventId: { $in: eventIds } }] : []),
+    ],
+  };
+}
+
+module.exports = { attendedFilter };
@@ -0,0 +1,128 @@
+// utils/meetingQa.js
+// "Ask this meeting": answers grounded only in one transcript, with verbatim supporting lines.
+const { resolveLlmConfig, completeText } = require('./llm');
+const { parseJsonLoose } = require('./openaiSummary');
+const { cuesToCitedText } = require('./vtt');
+
+const NOT_DISCUSSED = 'Not discussed in this meeting.';
+
+// Context budget per question. Longer transcripts send only the best matching passages.
+const MAX_CONTEXT_CHARS = 40000;
+const WINDOW = 3; // lines of context around each matching line
+const TIMEOUT_MS = 60 * 1000; // the user is waiting on the page
+
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'about', 'at', 'by', 'from',
+  'is', 'are', 'was', 'were', 'be', 'been', 'did', 'do', 'does', 'we', 'you', 'i', 'they', 'it',
+  'what', 'when', 'who', 'how', 'which', 'why', 'that', 'this', 'there', 'any', 'our', 'us',
+]);
+
+function terms(s) {
+  return (String(s || '').toLowerCase().match(/\p{L}[\p{L}\p{N}'-]*|\d+/gu) || [])
+    .filter(w => w.length > 1 && !STOPWORDS.has(w));
+}
+
+/**
+ * Pick the lines to send with a question.
+ * Whole transcript when it fits; otherwise windows around the lines that share most words with the question.
+ */
+function selectContext(cues, question, maxChars = MAX_CONTEXT_CHARS) {
+  const full = cuesToCitedText(cues);
+  if (full.length <= maxChars) return cues;
+
+  const q = new Set(terms(question));
+  const scored = cues
+    .map((c, i) => {
+      const words = terms(`${c.speaker} ${c.text}`);
+      const hits = words.filter(w => q.has(w)).length;
+      return { i, score: hits ? hits / Math.sqrt(words.length || 1) : 0 };
+    })
+    .filter(s => s.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const keep = new Set();
+  let size = 0;
+  for (const s of scored) {
+    for (let j = Math.max(0, s.i - WINDOW); j <= Math.min(cues.length - 1, s.i + WINDOW); j++) {
+      if (keep.has(j)) continue;
+      const len = cues[j].text.length + cues[j].speaker.length + 12;
+      if (size + len > maxChars) break;
+      keep.add(j);
+      size += len;
+    }
+    if (size >= maxChars * 0.95) break;
+  }
+
+  return [...keep].sort((a, b) => a - b).map(j => cues[j]);
+}
+
+/**
+ * Answer one question.
+ * history: earlier [{ role, content }] of this user's conversation (for follow-ups like "and who owns it?").
+ * Returns { answer, notDiscussed, quotes: [{ cue, speaker, text, start }], model }.
+ */
+async function answerMeetingQuestion({ cues, question, history = [], subject, llm = resolveLlmConfig() }) {
+  const q = String(question || '').trim();
+  if (!q) throw new Error('Empty question');
+
+  const context = selectContext(cues, q);
+  if (!context.length) {
+    return { answer: NOT_DISCUSSED, notDiscussed: true, quotes: [], model: '' };
+  }
+
+  const instructions = `
+You answer questions about ONE meeting, using ONLY the transcript lines provided.
+Each line starts with a reference like [c12].
+
+Rules:
+- Use only what is said in the lines. No outside knowledge, no guessing.
+- If the lines do not answer the question, set "discussed" to false.
+- Keep the answer short (1-4 sentences). Answer in the language of the question.
+- "quotes": the references of the 1-5 lines that best support the answer.
+
+Return ONLY JSON: {"discussed": true, "answer": "...", "quotes": ["c12", "c40"]}
+`;
+
+  const past = (history || [])
+    .slice(-6)
+    .map(m => `${m.role === 'assistant' ? 'Answer' : 'Question'}: ${m.content}`)
+    .join('\n');
+
+  const model = process.env.OPENAI_QA_MODEL || process.env.OPENAI_SUMMARY_MODEL || 'gpt-4o-mini';
+  const out = await completeText(llm, {
+    model,
+    instructions,
+    json: true,
+    timeoutMs: TIMEOUT_MS,
+    input:
+      `Meeting subject: ${subject || '(unknown)'}\n\n` +
+      `Transcript lines:\n${cuesToCitedText(context)}\n\n` +
+      (past ? `Earlier in this conversation:\n${past}\n\n` : '') +
+      `Question: ${q}`,
+  });
+
+  const parsed = parseJsonLoose(out.text);
+  if (!parsed) throw new Error('LLM returned invalid JSON for the answer');
+
+  // Quotes come from the transcript itself, never from the model's wording
+  const byId = new Map(context.map(c => [c.id, c]));
+  const quotes = [...new Set((Array.isArray(parsed.quotes) ? parsed.quotes : []).map(r => String(r).replace(/[[\]\s]/g, '')))]
+    .filter(r => byId.has(r))
+    .slice(0, 5)
+    .map(r => {
+      const c = byId.get(r);
+      return { cue: c.id, speaker: c.speaker, text: c.text, start: c.start };
+    });
+
+  const answer = String(parsed.answer || '').trim();
+  const notDiscussed = parsed.discussed === false || !answer || !quotes.length;
+
+  return {
+    answer: notDiscussed ? NOT_DISCUSSED : answer,
+    notDiscussed,
+    quotes: notDiscussed ? [] : quotes,
+    model: out.model,
+  };
+}
+
+module.exports = { answerMeetingQuestion, selectContext, NOT_DISCUSSED };
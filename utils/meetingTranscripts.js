@@ -0,0 +1,203 @@
+// utils/meetingTranscripts.js
+// Graph meeting transcript -> Transcript document, shared by the "open transcript" route (routes/user.js)
+// and change notifications (workers/graphNotificationJobs.js). AI and search jobs are queued by the caller.
+const EventCache = require('../models/EventCache');
+const Transcript = require('../models/Transcript');
+const { getStitchedTranscript } = require('./transcripts');
+const { getEventPeople } = require('./graph');
+const { isUnavailable } = require('./graphClient');
+const { segmentsToText, segmentsToCues, transcriptSegments } = require('./vtt');
+const { detectLanguage } = require('./language');
+const { computeSpeakerStats } = require('./speakerStats');
+const { redactForStorage } = require('./redaction');
+
+// Organizer + attendees of an event with their display names: [{ email, name }]
+async function getEventAttendees(graph, eventId) {
+  if (!eventId) return [];
+
+  let j = null;
+  try {
+    j = await getEventPeople(graph, eventId);
+  } catch (e) {
+    if (!isUnavailable(e)) throw e;
+    return []; // event deleted / not visible: participants are enrichment only
+  }
+
+  const people = new Map();
+  const add = (a) => {
+    const email = String(a?.emailAddress?.address || '').toLowerCase().trim();
+    if (email && !people.has(email)) people.set(email, { email, name: String(a?.emailAddress?.name || '').trim() });
+  };
+
+  add(j?.organizer);
+  (Array.isArray(j?.attendees) ? j.attendees : []).forEach(add);
+
+  return [...people.values()];
+}
+
+// All transcripts of the occurrence from the calendar cache (earliest first), or only the linked one
+async function occurrenceParts(orgId, userEmail, eventId, linked) {
+  const ev = eventId
+    ? await EventCache.findOne({ orgId, userEmail, eventId }).select({ transcripts: 1 }).lean()
+    : null;
+  const list = (ev?.transcripts || []).filter(t => t.transcriptId);
+  return list.some(t => t.transcriptId === linked.transcriptId) ? list : [linked];
+}
+
+// Stitched Graph transcript (utils/transcripts.js) -> stored fields, with the org's redaction applied
+// (vault: the entries of a transcript that is stitched again)
+function stitchedFields(org, stitched, participantEmails, vault = []) {
+  const { vtt, text, segments, parts, redaction } = redactForStorage(org, {
+    vtt: stitched.vtt,
+    segments: stitched.segments,
+    text: segmentsToText(stitched.segments),
+    parts: stitched.parts,
+  }, vault);
+
+  return {
+    vtt,
+    text,
+    segments,
+    parts,
+    ...(redaction ? { redaction } : {}),
+    speakerStats: { ...computeSpeakerStats(segments, { participantEmails }), computedAt: new Date() },
+    language: { ...detectLanguage(text), detectedAt: new Date() },
+  };
+}
+
+/**
+ * A stored transcript split back into its parts, for stitching in a part that arrived later:
+ * [{ meetingId, transcriptId, createdDateTime, vtt, cues }] with cue times relative to the part's start.
+ * The cues are the stored ones (ids, corrections and redaction kept). Parts follow each other in the
+ * segments, each starting at its firstCueId.
+ */
+function storedParts(doc) {
+  const cues = segmentsToCues(transcriptSegments(doc));
+  const parts = doc.parts?.length
+    ? doc.parts
+    : [{ meetingId: doc.meetingId, transcriptId: doc.transcriptId, createdDateTime: '', offset: 0, firstCueId: cues[0]?.id || '' }];
+  const firsts = parts.map(p => (p.firstCueId ? cues.findIndex(c => c.id === p.firstCueId) : -1));
+
+  return parts.map((p, i) => {
+    const from = firsts[i];
+    const next = firsts.slice(i + 1).find(x => x >= 0);
+    const own = from < 0 ? [] : cues.slice(from, next === undefined ? cues.length : next);
+    const offset = Number(p.offset) || 0;
+    return {
+      meetingId: p.meetingId,
+      transcriptId: p.transcriptId,
+      createdDateTime: p.createdDateTime,
+      vtt: p.vtt || '',
+      cues: own.map(c => ({ ...c, start: c.start === null ? null : c.start - offset, end: c.end === null ? null : c.end - offset })),
+    };
+  });
+}
+
+/**
+ * Find or create the stored transcript of a meeting occurrence.
+ * Every transcript of the occurrence (transcription stopped and restarted) ends up in one stitched document;
+ * a part that was not known when the document was saved stitches it again.
+ * Returns { doc, restitched } (doc is null when it could neither be created nor loaded).
+ */
+async function saveGraphTranscript({ graph, org, userEmail, eventId = '', meetingId, transcriptId, subject = '', start = '', end = '' }) {
+  const orgId = org._id;
+  let restitched = false;
+
+  const parts = await occurrenceParts(orgId, userEmail, eventId, { meetingId, transcriptId, createdDateTime: '' });
+  const partIds = parts.map(p => p.transcriptId);
+
+  // ✅ MIGRATION-SAFE LOOKUP (any part of the occurrence finds the document):
+  // New key: (orgId, eventId, transcriptId)
+  // Old key: (orgId, meetingId, transcriptId)
+  const findExisting = async () =>
+    (await Transcript.findOne({ orgId, eventId, transcriptId: { $in: partIds } })) ||
+    Transcript.findOne({ orgId, meetingId, transcriptId: { $in: partIds } });
+
+  let doc = await findExisting();
+
+  // Create if missing
+  if (!doc) {
+    const stitched = await getStitchedTranscript(graph, parts);
+
+    // Fetch participants for enrichment (not hard-auth gate)
+    const attendees = await getEventAttendees(graph, eventId);
+    const participantEmails = attendees.map(a => a.email);
+
+    try {
+      doc = await Transcript.create({
+        orgId,
+        eventId,
+        meetingId,
+        transcriptId,
+        subject,
+        startDateTime: start,
+        endDateTime: end,
+        participantEmails,
+        attendees,
+        ...stitchedFields(org, stitched, participantEmails),
+        ai: { status: 'none' },
+      });
+    } catch (e) {
+      if (e.code === 11000) {
+        doc = await findExisting();
+      } else {
+        throw e;
+      }
+    }
+  } else {
+    const kept = storedParts(doc);
+    const stored = new Set(kept.map(p => p.transcriptId));
+    const added = parts.filter(p => !stored.has(p.transcriptId));
+
+    if (added.length && doc.source === 'graph' && !doc.retention?.transcriptPurgedAt) {
+      // stored parts are not downloaded again: their lines keep ids, corrections and placeholders
+      const created = new Map(parts.map(p => [p.transcriptId, p.createdDateTime]));
+      kept.forEach(p => { p.createdDateTime = p.createdDateTime || created.get(p.transcriptId) || ''; });
+
+      const stitched = await getStitchedTranscript(graph, [...kept, ...added]).catch(e => {
+        if (!isUnavailable(e)) throw e;
+        return null; // new part not downloadable yet: picked up on a later visit
+      });
+
+      if (stitched) {
+        const vault = doc.redaction?.applyAt === 'ingest' ? doc.redaction.vault : [];
+        const revision = doc.corrections?.revision || 0;
+        // a correction saved meanwhile would be overwritten: leave the restitch to the next visit
+        const r = await Transcript.updateOne(
+          { _id: doc._id, 'corrections.revision': revision ? revision : { $in: [0, null] } },
+          { $set: { ...stitchedFields(org, stitched, doc.participantEmails, vault), 'search.status': 'none' } }
+        );
+        doc = await Transcript.findById(doc._id);
+        restitched = r.modifiedCount > 0;
+      }
+    }
+  }
+
+  if (!doc) return { doc: null, restitched };
+
+  // Backfill participants if missing
+  if (!doc.participantEmails || !doc.participantEmails.length || !doc.attendees?.length) {
+    const attendees = await getEventAttendees(graph, eventId);
+    if (attendees.length) {
+      const participantEmails = doc.participantEmails?.length ? doc.participantEmails : attendees.map(a => a.email);
+      // "who never spoke" and speaker identities depend on the participant list
+      const speakerStats = { ...computeSpeakerStats(transcriptSegments(doc), { participantEmails }), computedAt: new Date() };
+      await Transcript.updateOne(
+        { _id: doc._id },
+        { $set: { participantEmails, attendees, speakerStats }, $unset: { 'speakerIdentities.resolvedAt': 1 } }
+      );
+      doc.participantEmails = participantEmails;
+      doc.attendees = attendees;
+      doc.speakerIdentities = undefined;
+    }
+  }
+
+  return { doc, restitched };
+}
+
+module.exports = {
+  getEventAttendees,
+  occurrenceParts,
+  stitchedFields,
+  saveGraphTranscript,
+};
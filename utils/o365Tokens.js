@@ -0,0 +1,194 @@
+// utils/o365Tokens.js
+// Delegated Graph tokens from the Office 365 login (server.js OIDC callback):
+// { access_token, refresh_token, scope, expires_at }.
+//
+// Refresh redeems the refresh token at the Microsoft identity platform v2.0 token endpoint
+// (TENANT_ID, CLIENT_ID, CLIENT_SECRET, OIDC_SCOPES). O365_TOKEN_URL points it elsewhere,
+// e.g. a local stand-in that answers the same form POST.
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const User = require('../models/User');
+const { createGraphClient } = require('./graphClient');
+
+const DEFAULT_SCOPES = 'openid profile offline_access https://graph.microsoft.com/User.Read';
+
+// seconds taken off expires_in so a token is never used in its last minute
+const EXPIRY_SKEW_SECONDS = 60;
+
+function tokenEndpoint() {
+  const override = String(process.env.O365_TOKEN_URL || '').trim();
+  if (override) return override;
+  return `https://login.microsoftonline.com/${process.env.TENANT_ID}/oauth2/v2.0/token`;
+}
+
+// expires_in (seconds) -> expires_at (ms), same rule as the login callback; 0 = unknown
+function expiresAt(expiresIn) {
+  const s = Number(expiresIn);
+  return s ? Date.now() + (s - EXPIRY_SKEW_SECONDS) * 1000 : 0;
+}
+
+// Tokens without a known expiry are used until Graph rejects them
+function isExpired(tokens, now = Date.now()) {
+  return !!tokens?.expires_at && now >= Number(tokens.expires_at);
+}
+
+/**
+ * Redeem a refresh token. Returns the new token set (the refresh token is rotated when the
+ * endpoint sends a new one). Throws with err.reauth = true when only a new login can help
+ * (no refresh token, revoked / expired grant, consent needed).
+ */
+async function refreshTokens(tokens) {
+  const refreshToken = String(tokens?.refresh_token || '').trim();
+  if (!refreshToken) {
+    const e = new Error('No refresh token; sign in again.');
+    e.reauth = true;
+    throw e;
+  }
+
+  const { CLIENT_ID, CLIENT_SECRET, OIDC_SCOPES = DEFAULT_SCOPES } = process.env;
+  if (!CLIENT_ID || !CLIENT_SECRET) throw new Error('Azure OIDC not configured (CLIENT_ID/CLIENT_SECRET missing).');
+
+  const resp = await fetch(tokenEndpoint(), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'refresh_token',
+      client_id: CLIENT_ID,
+      client_secret: CLIENT_SECRET,
+      refresh_token: refreshToken,
+      scope: OIDC_SCOPES,
+    }).toString(),
+  });
+
+  const payload = await resp.json().catch(() => null);
+  if (!resp.ok || !payload?.access_token) {
+    const code = payload?.error || '';
+    const e = new Error(`Token refresh failed (${resp.status}${code ? ` ${code}` : ''}): ${payload?.error_description || 'no access token returned'}`);
+    // 4xx from the identity platform: the grant itself is no good (invalid_grant, interaction_required…)
+    e.reauth = resp.status >= 400 && resp.status < 500;
+    throw e;
+  }
+
+  return {
+    access_token: payload.access_token,
+    refresh_token: payload.refresh_token || refreshToken,
+    scope: payload.scope || tokens.scope || '',
+    expires_at: expiresAt(payload.expires_in),
+  };
+}
+
+// One refresh per refresh token at a time: parallel requests of the same session share the result
+// (a rotated refresh token may only be redeemed once)
+const inflight = new Map();
+
+function refreshTokensOnce(tokens) {
+  const key = String(tokens?.refresh_token || '');
+  if (!key) return refreshTokens(tokens);
+  if (!inflight.has(key)) {
+    inflight.set(key, refreshTokens(tokens).finally(() => inflight.delete(key)));
+  }
+  return inflight.get(key);
+}
+
+/* ------------------------------
+   Stored refresh tokens (background sync)
+   ------------------------------ */
+
+// TOKEN_ENCRYPTION_KEY (any string) protects stored refresh tokens; SESSION_SECRET is the fallback
+function tokenKey() {
+  const secret = process.env.TOKEN_ENCRYPTION_KEY || process.env.SESSION_SECRET;
+  if (!secret) throw new Error('TOKEN_ENCRYPTION_KEY (or SESSION_SECRET) must be set to store refresh tokens');
+  return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+function seal(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', tokenKey(), iv);
+  const enc = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), enc].map(b => b.toString('base64')).join('.');
+}
+
+function unseal(sealed) {
+  try {
+    const [iv, tag, enc] = String(sealed).split('.').map(s => Buffer.from(s, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', tokenKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(enc), decipher.final()]).toString('utf8');
+  } catch (e) {
+    return null; // key changed: the user has to sign in again
+  }
+}
+
+// Keep the user's latest refresh token (login, session refresh, background refresh)
+async function saveUserTokens(userId, tokens) {
+  if (!userId || !tokens?.refresh_token) return;
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        'graphTokens.refreshToken': seal(tokens.refresh_token),
+        'graphTokens.scope': tokens.scope || '',
+        'graphTokens.savedAt': new Date(),
+        'graphTokens.invalidAt': null,
+        'graphTokens.error': '',
+      },
+    }
+  );
+}
+
+/**
+ * A fresh access token for a user without a session (background jobs).
+ * Returns null when there is no usable refresh token; a grant that stopped working is marked
+ * invalid so it is not retried until the user signs in again.
+ */
+async function accessTokenForUser(userId) {
+  const user = await User.findById(userId).select('+graphTokens.refreshToken').lean();
+  const sealed = user?.graphTokens?.refreshToken;
+  if (!sealed || user.graphTokens.invalidAt) return null;
+
+  const refreshToken = unseal(sealed);
+  try {
+    if (!refreshToken) {
+      const e = new Error('Stored refresh token cannot be decrypted; sign in again.');
+      e.reauth = true;
+      throw e;
+    }
+
+    const fresh = await refreshTokensOnce({ refresh_token: refreshToken, scope: user.graphTokens.scope });
+    if (fresh.refresh_token !== refreshToken) await saveUserTokens(userId, fresh);
+    return fresh.access_token;
+  } catch (e) {
+    if (!e.reauth) throw e;
+    await User.updateOne(
+      { _id: userId },
+      { $set: { 'graphTokens.refreshToken': '', 'graphTokens.invalidAt': new Date(), 'graphTokens.error': e.message } }
+    );
+    return null;
+  }
+}
+
+/**
+ * Graph client (utils/graphClient.js) for a background job: a fresh access token, re-redeemed when Graph
+ * answers 401. null when the user has to sign in again.
+ */
+async function graphClientForUser(user) {
+  const accessToken = await accessTokenForUser(user._id);
+  if (!accessToken) return null;
+  return createGraphClient({
+    accessToken,
+    refresh: () => accessTokenForUser(user._id),
+    orgId: user.org?._id || user.org,
+    user: user.email,
+  });
+}
+
+module.exports = {
+  tokenEndpoint,
+  expiresAt,
+  isExpired,
+  refreshTokens,
+  refreshTokensOnce,
+  saveUserTokens,
+  accessTokenForUser,
+  graphClientForUser,
+};
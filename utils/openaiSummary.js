@@ -1,41 +1,19 @@
 // utils/openaiSummary.js
-const fetch = require('node-fetch');
+const { resolveLlmConfig, completeText } = require('./llm');
+const { languageName } = require('./language');
 
-function extractOutputText(json) {
-  // Best case
-  if (json?.output_text && typeof json.output_text === 'string') {
-    return json.output_text;
-  }
-
-  // Your actual payload looks like:
-  // output: [{ type:"message", content:[{type:"output_text", text:"..."}], ... }]
-  const out = json?.output;
-  if (Array.isArray(out)) {
-    for (const item of out) {
-      if (item?.type === 'message' && Array.isArray(item.content)) {
-        for (const c of item.content) {
-          if (c?.type === 'output_text' && typeof c.text === 'string') {
-            return c.text;
-          }
-        }
-      }
-    }
-  }
-
-  return '';
+// Single LLM call -> output text (provider chosen in utils/llm.js)
+async function callLlm(llm, { model, instructions, input }) {
+  const { text } = await completeText(llm, { model, instructions, input });
+  return text;
 }
 
-async function generateMeetingSummary({ text, subject }) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) throw new Error('OPENAI_API_KEY missing');
-
-  const trimmed = String(text || '').trim();
-  if (!trimmed) throw new Error('Empty transcript text');
-
-  const MAX_CHARS = 12000;
-  const inputText = trimmed.length > MAX_CHARS ? trimmed.slice(0, MAX_CHARS) : trimmed;
+/* ------------------------------
+   Prompts (built-in + org templates)
+   ------------------------------ */
 
-  const instructions = `
+// Built-in summary prompt (used when the org has no template for the meeting)
+const SUMMARY_INSTRUCTIONS = `
     You are an enterprise meeting-notes assistant.
     Write a crisp, leadership-ready recap for internal sharing.
     NO QUOTES section. Do not include verbatim quotes.
@@ -65,48 +43,8 @@ async function generateMeetingSummary({ text, subject }) {
     - optional bullets for context (keep concise)
     `;
 
-
-
-  const body = {
-    model: process.env.OPENAI_SUMMARY_MODEL || 'gpt-4o-mini',
-    instructions,
-    input: `Meeting subject: ${subject || '(unknown)'}\n\nTranscript:\n${inputText}`,
-  };
-
-  const resp = await fetch('https://api.openai.com/v1/responses', {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(body),
-  });
-
-  const json = await resp.json().catch(() => null);
-  if (!resp.ok) {
-    const msg = json?.error?.message || `OpenAI error ${resp.status}`;
-    throw new Error(msg);
-  }
-
-  const outputText = extractOutputText(json).trim();
-  if (!outputText) {
-    throw new Error('OpenAI returned empty summary text');
-  }
-
-  return { model: body.model, summary: outputText };
-}
-
-async function generateDetailedMeetingNotes({ text, subject }) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) throw new Error('OPENAI_API_KEY missing');
-
-  const trimmed = String(text || '').trim();
-  if (!trimmed) throw new Error('Empty transcript text');
-
-  const MAX_CHARS = 16000; // detailed notes can use a bit more
-  const inputText = trimmed.length > MAX_CHARS ? trimmed.slice(0, MAX_CHARS) : trimmed;
-
-  const instructions = `
+// Built-in detailed notes prompt
+const NOTES_INSTRUCTIONS = `
 You are an enterprise meeting-notes assistant.
 
 Write DETAILED, HUMAN-READABLE MEETING NOTES.
@@ -144,31 +82,553 @@ Structure your output EXACTLY as follows:
 ### Next Steps (Narrative)
 `;
 
-  const body = {
-    model: process.env.OPENAI_DETAILED_MODEL || process.env.OPENAI_SUMMARY_MODEL || 'gpt-4o-mini',
-    instructions,
-    input: `Meeting subject: ${subject || '(unknown)'}\n\nTranscript:\n${inputText}`,
+function templateRules(template) {
+  return String(template?.rules || '')
+    .split(/\r?\n/)
+    .map(r => r.trim().replace(/^[-*]\s*/, ''))
+    .filter(Boolean)
+    .map(r => `- ${r}`)
+    .join('\n');
+}
+
+// Org template (models/SummaryTemplate.js) -> summary instructions
+function buildSummaryInstructions(template) {
+  const headings = template?.headings || [];
+  if (!headings.length && !template?.rules) return SUMMARY_INSTRUCTIONS;
+  if (!headings.length) return `${SUMMARY_INSTRUCTIONS}\nAdditional rules:\n${templateRules(template)}\n`;
+
+  const extra = templateRules(template);
+
+  return `
+    You are an enterprise meeting-notes assistant.
+    Write a crisp recap for internal sharing using the sections below.
+    Do not include verbatim quotes.
+
+    Rules:
+    - Be factual and specific.
+    - Use short bullets. Avoid long paragraphs.
+    - If something is unclear, write "Unclear".
+    - For action items use: [Owner: Name/Unassigned] Action — Due: Date/Unclear
+    - If a section has nothing, write "None".
+${extra ? extra.split('\n').map(l => `    ${l}`).join('\n') + '\n' : ''}
+    Output format (markdown) — follow EXACTLY these headings:
+
+${headings.map(h => `    ### ${h}\n    - bullets`).join('\n\n')}
+    `;
+}
+
+// Org template -> detailed notes instructions
+function buildNotesInstructions(template) {
+  const headings = template?.headings || [];
+  if (!headings.length && !template?.rules) return NOTES_INSTRUCTIONS;
+  if (!headings.length) return `${NOTES_INSTRUCTIONS}\nAdditional rules:\n${templateRules(template)}\n`;
+
+  const extra = templateRules(template);
+
+  return `
+You are an enterprise meeting-notes assistant.
+
+Write DETAILED, HUMAN-READABLE MEETING NOTES.
+This is NOT a transcript and must NOT read like one.
+
+Rules:
+- Do NOT use quotes.
+- Do NOT attribute sentences to speakers.
+- Do NOT list timestamps.
+- Write in clear, professional paragraphs (not bullet explosion).
+- Be factual. If unclear, write "Unclear".
+- Do not invent decisions or intent.
+${extra ? `${extra}\n` : ''}
+Structure your output EXACTLY as follows:
+
+## Detailed Notes
+
+${headings.map(h => `### ${h}`).join('\n\n')}
+`;
+}
+
+// Output language line appended to either prompt (headings stay as given so sections can still be found)
+function withLanguage(instructions, language) {
+  if (!language || language === 'en') return instructions;
+  return `${instructions}\nWrite all content in ${languageName(language)}. Keep the markdown headings exactly as given above.\n`;
+}
+
+// Source citations: transcript lines come as "[c12] Speaker: text" (utils/vtt.js cuesToCitedText)
+const CITATION_RULES = `
+Citations:
+- Each transcript line starts with a reference like [c12].
+- End every bullet under Quick Summary, Decisions and Quick Actions (and any other decision or action section)
+  with the references of the lines it is based on, e.g. [c12] or [c12, c40]. At most 3 references per bullet.
+- Use only references that appear in the transcript. Never invent one.
+`;
+
+function withCitations(instructions, citations) {
+  return citations ? `${instructions}\n${CITATION_RULES}` : instructions;
+}
+
+// Redacted transcripts (utils/redaction.js) carry placeholders the output must keep so they can be revealed later
+const REDACTION_RULES = `
+Redacted data:
+- Some values were replaced with placeholders like [PHONE_1], [EMAIL_2] or [REDACTED_1].
+- Keep every placeholder you use exactly as written. Never guess what it stands for.
+`;
+
+function withRedaction(instructions, redacted) {
+  return redacted ? `${instructions}\n${REDACTION_RULES}` : instructions;
+}
+
+/* ------------------------------
+   Map-reduce for long transcripts
+   ------------------------------ */
+
+// "Speaker Name: text" (as produced by vttToText)
+const SPEAKER_LINE = /^[^:\n]{1,80}:\s/;
+
+// Group lines into speaker turns (a turn = speaker line + any continuation lines)
+function splitIntoTurns(text) {
+  const turns = [];
+  for (const line of String(text || '').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    if (!turns.length || SPEAKER_LINE.test(line)) turns.push(line);
+    else turns[turns.length - 1] += `\n${line}`;
+  }
+  return turns;
+}
+
+// Hard-split a single oversized turn on sentence boundaries
+function splitLongTurn(turn, maxChars) {
+  const sentences = turn.match(/[^.!?\n]+[.!?]*\s*/g) || [turn];
+  const parts = [];
+  let cur = '';
+  for (const s of sentences) {
+    if (cur && (cur.length + s.length) > maxChars) {
+      parts.push(cur.trim());
+      cur = '';
+    }
+    // a single "sentence" longer than maxChars: cut it
+    if (s.length > maxChars) {
+      for (let i = 0; i < s.length; i += maxChars) parts.push(s.slice(i, i + maxChars).trim());
+      continue;
+    }
+    cur += s;
+  }
+  if (cur.trim()) parts.push(cur.trim());
+  return parts;
+}
+
+/**
+ * Split transcript text into chunks of <= maxChars, cutting only between speaker turns
+ * (unless one turn alone is longer than maxChars).
+ */
+function chunkTranscript(text, maxChars) {
+  const chunks = [];
+  let cur = [];
+  let curLen = 0;
+
+  const flush = () => {
+    if (cur.length) chunks.push(cur.join('\n'));
+    cur = [];
+    curLen = 0;
   };
 
-  const resp = await fetch('https://api.openai.com/v1/responses', {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(body),
+  for (const turn of splitIntoTurns(text)) {
+    if (turn.length > maxChars) {
+      flush();
+      chunks.push(...splitLongTurn(turn, maxChars));
+      continue;
+    }
+    if (curLen && (curLen + 1 + turn.length) > maxChars) flush();
+    cur.push(turn);
+    curLen += (curLen ? 1 : 0) + turn.length;
+  }
+  flush();
+
+  return chunks;
+}
+
+const MAP_INSTRUCTIONS = `
+You are an enterprise meeting-notes assistant.
+You are given ONE PART of a longer meeting transcript. Other parts are processed separately
+and your output will later be merged with theirs.
+
+Extract everything that matters from THIS part only, as concise markdown bullets:
+
+### Discussion
+- key points, facts, numbers, context (who raised what, in summary form)
+
+### Actions
+- [Owner: Name/Unassigned] Action — Due: Date/Unclear
+
+### Decisions
+- bullets (or "None")
+
+### Risks / Blockers
+- bullets (or "None")
+
+Rules:
+- Be factual and specific. Do not invent anything.
+- No verbatim quotes.
+- Do not write an introduction or conclusion.
+`;
+
+// Pack whole blocks (partial notes { text, chars }) into groups of <= maxChars;
+// chars = transcript characters the notes were made from
+function packBlocks(blocks, maxChars) {
+  const groups = [];
+  let cur = null;
+  for (const b of blocks) {
+    if (cur && (cur.text.length + 2 + b.text.length) > maxChars) {
+      groups.push(cur);
+      cur = null;
+    }
+    cur = cur ? { text: `${cur.text}\n\n${b.text}`, chars: cur.chars + b.chars } : { ...b };
+  }
+  if (cur) groups.push(cur);
+  return groups;
+}
+
+// The blocks that fit in one call of maxChars (whole blocks, in order; a first block that is too long
+// alone is cut). chars = transcript characters behind what is sent.
+function fitBlocks(blocks, maxChars) {
+  let text = '';
+  let chars = 0;
+  for (const b of blocks) {
+    const next = text ? `${text}\n\n${b.text}` : b.text;
+    if (next.length <= maxChars) {
+      text = next;
+      chars += b.chars;
+      continue;
+    }
+    if (!text) {
+      text = b.text.slice(0, maxChars);
+      chars = Math.floor((b.chars * maxChars) / b.text.length);
+    }
+    break;
+  }
+  return { text, chars };
+}
+
+/**
+ * Run the map step over every chunk, then merge with `reduceInstructions`.
+ * If the partial notes are themselves too long, they are merged in groups first (hierarchical reduce).
+ * Notes that still do not fit in the final call are left out: coveredChars / totalChars count the
+ * transcript characters (of the chunks) whose notes reached it.
+ */
+async function mapReduce({ llm, text, subject, model, maxChars, reduceInstructions, focusHeadings = [], citations = false, redacted = false, onProgress }) {
+  const chunks = chunkTranscript(text, maxChars);
+  const total = chunks.length;
+
+  // template sections must survive the map step too
+  let mapInstructions = focusHeadings.length
+    ? `${MAP_INSTRUCTIONS}\nAlso capture anything relevant to these sections: ${focusHeadings.join('; ')}.\n`
+    : MAP_INSTRUCTIONS;
+
+  // references must survive the map step, or the final summary cannot cite anything
+  if (citations) mapInstructions += '\nEnd every bullet with the [cN] references of the lines it comes from (keep them when merging notes).\n';
+  mapInstructions = withRedaction(mapInstructions, redacted);
+
+  const partials = [];
+  const totalChars = chunks.reduce((n, c) => n + c.length, 0);
+  for (let i = 0; i < chunks.length; i++) {
+    if (onProgress) await onProgress({ done: i, total, stage: 'map' });
+
+    const out = await callLlm(llm, {
+      model,
+      instructions: mapInstructions,
+      input: `Meeting subject: ${subject || '(unknown)'}\nTranscript part ${i + 1} of ${total}:\n\n${chunks[i]}`,
+    });
+    partials.push({ text: `## Part ${i + 1} of ${total}\n${out || '(nothing notable)'}`, chars: chunks[i].length });
+  }
+
+  // reported before every reduce call too: the job lock is kept fresh through onProgress (workers/aiJobs.js)
+  const reducing = async () => {
+    if (onProgress) await onProgress({ done: total, total, stage: 'reduce' });
+  };
+
+  // Merge in groups until everything fits in one reduce call
+  let layer = partials;
+  while (layer.map(b => b.text).join('\n\n').length > maxChars && layer.length > 1) {
+    const groups = packBlocks(layer, maxChars);
+    if (groups.length >= layer.length) break; // cannot shrink further: what does not fit is left out below
+    const next = [];
+    for (const g of groups) {
+      await reducing();
+      const out = await callLlm(llm, {
+        model,
+        instructions: mapInstructions,
+        input: `Meeting subject: ${subject || '(unknown)'}\nThese are partial notes from consecutive parts of one meeting. Combine them:\n\n${g.text}`,
+      });
+      next.push({ text: out, chars: g.chars });
+    }
+    layer = next;
+  }
+
+  const notes = fitBlocks(layer, maxChars);
+  const complete = notes.chars >= totalChars;
+
+  await reducing();
+  const merged = await completeText(llm, {
+    model,
+    instructions: reduceInstructions,
+    input:
+      `Meeting subject: ${subject || '(unknown)'}\n\n` +
+      (complete
+        ? `The transcript was too long for one pass. Below are notes covering ALL ${total} parts, in order.\n` +
+          'Write the final output from them, covering the whole meeting:\n\n'
+        : 'The transcript was too long for one pass. Below are notes covering the first part of the meeting, in order;\n' +
+          'the rest could not be included. Write the final output from them:\n\n') +
+      notes.text,
+  });
+
+  return { output: merged.text, chunks: total, model: merged.model, coveredChars: notes.chars, totalChars };
+}
+
+/**
+ * What the summary was built from. Without map-reduce the whole text went in one call;
+ * otherwise mapReduce counted the transcript characters whose notes reached the final call.
+ */
+function buildCoverage(trimmed, chunks, reduced = null) {
+  const complete = !reduced || reduced.coveredChars >= reduced.totalChars;
+  return {
+    chunks,
+    totalChars: trimmed.length,
+    coveredChars: complete ? trimmed.length : reduced.coveredChars,
+    complete,
+  };
+}
+
+/**
+ * citations: `text` is cited transcript text ("[c12] Speaker: text"); bullets get [cN] references back.
+ * redacted: `text` contains redaction placeholders that must survive into the summary.
+ */
+async function generateMeetingSummary({ text, subject, onProgress, llm = resolveLlmConfig(), template = null, language = '', citations = false, redacted = false }) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) throw new Error('Empty transcript text');
+
+  // Per-call input budget. Longer transcripts go through map-reduce instead of being cut.
+  const MAX_CHARS = 12000;
+
+  const instructions = withLanguage(withRedaction(withCitations(buildSummaryInstructions(template), citations), redacted), language);
+  const model = process.env.OPENAI_SUMMARY_MODEL || 'gpt-4o-mini';
+
+  // template model wins over org/server defaults
+  if (template?.model) llm = { ...llm, model: template.model };
+
+  if (trimmed.length <= MAX_CHARS) {
+    const out = await completeText(llm, {
+      model,
+      instructions,
+      input: `Meeting subject: ${subject || '(unknown)'}\n\nTranscript:\n${trimmed}`,
+    });
+    if (!out.text) throw new Error('LLM returned empty summary text');
+
+    return { model: out.model, summary: out.text, coverage: buildCoverage(trimmed, 1) };
+  }
+
+  const reduced = await mapReduce({
+    llm,
+    text: trimmed,
+    subject,
+    model,
+    maxChars: MAX_CHARS,
+    reduceInstructions: instructions,
+    focusHeadings: template?.headings || [],
+    citations,
+    redacted,
+    onProgress,
   });
+  if (!reduced.output) throw new Error('LLM returned empty summary text');
 
-  const json = await resp.json().catch(() => null);
-  if (!resp.ok) {
-    const msg = json?.error?.message || `OpenAI error ${resp.status}`;
-    throw new Error(msg);
+  return { model: reduced.model, summary: reduced.output, coverage: buildCoverage(trimmed, reduced.chunks, reduced) };
+}
+
+async function generateDetailedMeetingNotes({ text, subject, onProgress, llm = resolveLlmConfig(), template = null, language = '', redacted = false }) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) throw new Error('Empty transcript text');
+
+  const MAX_CHARS = 16000; // detailed notes can use a bit more
+
+  const instructions = withLanguage(withRedaction(buildNotesInstructions(template), redacted), language);
+  const model = process.env.OPENAI_DETAILED_MODEL || process.env.OPENAI_SUMMARY_MODEL || 'gpt-4o-mini';
+
+  // template model wins over org/server defaults
+  if (template?.model) llm = { ...llm, model: template.model };
+
+  if (trimmed.length <= MAX_CHARS) {
+    const out = await completeText(llm, {
+      model,
+      instructions,
+      input: `Meeting subject: ${subject || '(unknown)'}\n\nTranscript:\n${trimmed}`,
+    });
+    if (!out.text) throw new Error('LLM returned empty detailed notes');
+
+    return { model: out.model, notes: out.text, coverage: buildCoverage(trimmed, 1) };
   }
 
-  const outputText = extractOutputText(json).trim();
-  if (!outputText) throw new Error('OpenAI returned empty detailed notes');
+  const reduced = await mapReduce({
+    llm,
+    text: trimmed,
+    subject,
+    model,
+    maxChars: MAX_CHARS,
+    reduceInstructions: instructions,
+    focusHeadings: template?.headings || [],
+    redacted,
+    onProgress,
+  });
+  if (!reduced.output) throw new Error('LLM returned empty detailed notes');
+
+  return { model: reduced.model, notes: reduced.output, coverage: buildCoverage(trimmed, reduced.chunks, reduced) };
+}
+
+/* ------------------------------
+   Structured action items
+   ------------------------------ */
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const CUE_ID = /^c\d+$/;
+const CUE_REFS = /\s*\[(c\d+(?:\s*,\s*c\d+)*)\]/g;
+
+// Section of a generated summary (markdown) whose heading matches, e.g. /action/i -> "Quick Actions"
+function sectionFromSummary(summary, headingRe) {
+  const lines = String(summary || '').split(/\r?\n/);
+  const out = [];
+  let inSection = false;
+
+  for (const line of lines) {
+    const t = line.trim();
+    if (/^#{2,4}\s/.test(t)) {
+      inSection = headingRe.test(t.replace(/^#+\s*/, ''));
+      continue;
+    }
+    if (inSection && t) out.push(t);
+  }
+  return out.join('\n');
+}
+
+function parseJsonLoose(text) {
+  const s = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/```$/, '').trim();
+  try {
+    return JSON.parse(s);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Validate/normalize LLM output into action items.
+ * Drops anything without action text; owner email must be a meeting participant (else cleared).
+ */
+function validateActionItems(raw, { participantEmails = [] } = {}) {
+  const list = Array.isArray(raw) ? raw : (Array.isArray(raw?.actions) ? raw.actions : []);
+  const known = new Set((participantEmails || []).map(e => String(e).toLowerCase().trim()));
+
+  const out = [];
+  for (const a of list) {
+    // "[c12, c40]" references -> cues (the link back to the transcript), out of the text
+    const rawText = String(a?.action || a?.text || '');
+    const cues = new Set((Array.isArray(a?.cues) ? a.cues : []).map(c => String(c).trim()).filter(c => CUE_ID.test(c)));
+    for (const m of rawText.matchAll(CUE_REFS)) m[1].split(',').forEach(c => cues.add(c.trim()));
+
+    const text = rawText.replace(CUE_REFS, '').replace(/\s+/g, ' ').trim();
+    if (!text || /^none\.?$/i.test(text)) continue;
+
+    let ownerName = String(a?.owner || a?.ownerName || '').trim();
+    if (/^(unassigned|unclear|none|n\/a)$/i.test(ownerName)) ownerName = '';
+
+    let ownerEmail = String(a?.ownerEmail || '').toLowerCase().trim();
+    if (!EMAIL_RE.test(ownerEmail) || (known.size && !known.has(ownerEmail))) ownerEmail = '';
+
+    const dueText = String(a?.due || a?.dueText || '').trim();
+    let dueDate = null;
+    const iso = String(a?.dueDate || '').trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(iso)) {
+      const d = new Date(`${iso}T00:00:00Z`);
+      if (Number.isFinite(d.getTime())) dueDate = d;
+    }
+
+    out.push({ text: text.slice(0, 1000), ownerName, ownerEmail, dueText, dueDate, cues: [...cues].slice(0, 5) });
+  }
+  return out.slice(0, 100);
+}
+
+/**
+ * Turn the "Quick Actions" of a summary into validated structured items.
+ * Returns [] when the summary has no actions.
+ */
+async function extractActionItems({ summary, subject, meetingDate, participantEmails = [], speakers = [], llm = resolveLlmConfig() }) {
+  // built-in prompt: "Quick Actions"; org templates may name it differently
+  const actionsMd = sectionFromSummary(summary, /action/i);
+  if (!actionsMd || /^-?\s*none\.?$/i.test(actionsMd.trim())) return { model: '', items: [] };
+
+  const instructions = `
+You convert meeting action items into JSON.
+Return ONLY a JSON object: {"actions":[{"action":"...","owner":"...","ownerEmail":"...","due":"...","dueDate":"YYYY-MM-DD or null","cues":["c12"]}]}
+
+Rules:
+- One entry per action line. Keep the action text short and specific.
+- owner: the person's name as written, or "Unassigned".
+- ownerEmail: ONLY if the owner clearly matches one of the speakers or participant emails given; otherwise "".
+- due: the due date as written (e.g. "next Friday", "Unclear").
+- dueDate: resolve to YYYY-MM-DD relative to the meeting date when possible, else null.
+- cues: the [cN] references written after the action line, if any (e.g. ["c12","c40"]); else [].
+- Do not invent actions.
+`;
+
+  const model = process.env.OPENAI_SUMMARY_MODEL || 'gpt-4o-mini';
+  const out = await completeText(llm, {
+    model,
+    instructions,
+    json: true,
+    input:
+      `Meeting subject: ${subject || '(unknown)'}\n` +
+      `Meeting date: ${meetingDate || 'unknown'}\n` +
+      `Participant emails: ${(participantEmails || []).join(', ') || '(none)'}\n` +
+      `Speakers: ${speakers.filter(sp => sp.email).map(sp => `${sp.label} = ${sp.email}`).join('; ') || '(unknown)'}\n\n` +
+      `Action items:\n${actionsMd}`,
+  });
+
+  const parsed = parseJsonLoose(out.text);
+  if (!parsed) throw new Error('LLM returned invalid JSON for action items');
+
+  const known = [...(participantEmails || []), ...speakers.map(sp => sp.email).filter(Boolean)];
+  return { model: out.model, items: validateActionItems(parsed, { participantEmails: known }) };
+}
+
+/* ------------------------------
+   Translation
+   ------------------------------ */
+
+// Translate a generated summary / notes (markdown) into `language` (code from utils/language.js)
+async function translateMarkdown({ text, language, llm = resolveLlmConfig() }) {
+  const source = String(text || '').trim();
+  if (!source) throw new Error('Nothing to translate');
+
+  const instructions = `
+You translate internal meeting notes.
+Translate the markdown below into ${languageName(language)}.
+
+Rules:
+- Keep the markdown structure exactly: same headings levels, bullets and line breaks.
+- Translate heading text too.
+- Keep names of people, products, companies, emails and dates as they are.
+- Keep references like [c12] and placeholders like [PHONE_1] exactly as they are.
+- Do not add, drop or summarize anything.
+- Return only the translated markdown.
+`;
+
+  const model = process.env.OPENAI_TRANSLATE_MODEL || process.env.OPENAI_SUMMARY_MODEL || 'gpt-4o-mini';
+  const out = await completeText(llm, { model, instructions, input: source });
+  if (!out.text) throw new Error('LLM returned empty translation');
 
-  return { model: body.model, notes: outputText };
+  return { model: out.model, text: out.text };
 }
 
-module.exports = { generateMeetingSummary, generateDetailedMeetingNotes };
\ No newline at end of file
+module.exports = {
+  generateMeetingSummary,
+  generateDetailedMeetingNotes,
+  extractActionItems,
+  validateActionItems,
+  translateMarkdown,
+  parseJsonLoose,
+};
\ No newline at end of file
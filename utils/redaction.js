@@ -0,0 +1,480 @@
+// utils/redaction.js
+// PII / sensitive-data redaction. Org settings (Org.redaction) pick the built-in detectors and add
+// custom regexes and keywords. Matches become placeholders like [PHONE_1]; the same value gets the same
+// placeholder across one transcript. The originals are kept encrypted on the transcript
+// (Transcript.redaction.vault) so authorized viewers can reveal them.
+const crypto = require('crypto');
+const Transcript = require('../models/Transcript');
+const { transcriptSegments, segmentsToCues, segmentsTimed, cuesToVtt, segmentsToText } = require('./vtt');
+
+/* ------------------------------
+   Detectors
+   ------------------------------ */
+
+function digitsOf(s) {
+  return String(s).replace(/\D/g, '');
+}
+
+function luhnValid(s) {
+  const d = digitsOf(s);
+  if (d.length < 13 || d.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < d.length; i++) {
+    let n = Number(d[d.length - 1 - i]);
+    if (i % 2 === 1) {
+      n *= 2;
+      if (n > 9) n -= 9;
+    }
+    sum += n;
+  }
+  return sum % 10 === 0;
+}
+
+function ibanValid(s) {
+  const iban = String(s).replace(/\s+/g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) return false;
+  const moved = `${iban.slice(4)}${iban.slice(0, 4)}`.replace(/[A-Z]/g, ch => String(ch.charCodeAt(0) - 55));
+  let rest = 0;
+  for (const ch of moved) rest = (rest * 10 + Number(ch)) % 97;
+  return rest === 1;
+}
+
+// Built-in detectors, in priority order: when matches overlap, the earlier detector wins
+const DETECTORS = {
+  email: {
+    label: 'Email addresses',
+    type: 'EMAIL',
+    re: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}\b/gi,
+  },
+  card: {
+    label: 'Payment card numbers',
+    type: 'CARD',
+    re: /\b\d(?:[ -]?\d){12,18}\b/g,
+    fit: s => (luhnValid(s) ? s : null),
+  },
+  iban: {
+    label: 'IBAN / bank account numbers',
+    type: 'IBAN',
+    re: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+    // the match can run into a following capitalised word: drop trailing groups until the checksum holds
+    fit: s => {
+      const groups = s.split(' ');
+      for (let n = groups.length; n > 0; n--) {
+        const candidate = groups.slice(0, n).join(' ');
+        if (ibanValid(candidate)) return candidate;
+      }
+      return null;
+    },
+  },
+  nationalId: {
+    label: 'National IDs (Aadhaar, PAN, SSN, UK NI)',
+    type: 'NATIONAL_ID',
+    // Aadhaar 1234 5678 9012 | PAN ABCDE1234F | SSN 123-45-6789 | UK NI AB 12 34 56 C
+    re: /\b(?:[2-9]\d{3}[ -]?\d{4}[ -]?\d{4}|[A-Z]{5}\d{4}[A-Z]|\d{3}-\d{2}-\d{4}|[A-CEGHJ-PR-TW-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D])\b/g,
+  },
+  phone: {
+    label: 'Phone numbers',
+    type: 'PHONE',
+    // +91 98765 43210 | (555) 123-4567 | 020 7946 0958
+    re: /(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,5}\)[ .-]?)?\d{2,5}(?:[ .-]?\d{2,5}){1,4}/g,
+    // a leading + or (area code), else at least 10 digits: shorter runs are more often amounts and years.
+    // Dates, year lists and amounts grouped in thousands are left alone whatever their length.
+    fit: s => {
+      const d = digitsOf(s);
+      if (d.length > 15 || d.length < 8) return null;
+      if (/^[+(]/.test(s)) return s;
+      if (d.length < 10) return null;
+      if (/\d{4}-\d{2}-\d{2}|\d{1,2}[./-]\d{1,2}[./-]\d{4}/.test(s)) return null; // 2024-01-15, 15.01.2024
+      if (/^(?:(?:19|20)\d{2}[ .-]?)+$/.test(s)) return null; // 2023 2024 2025
+      if (/^\d{1,3}(?:[ .]\d{3})+$/.test(s)) return null; // 1 250 000 000
+      return s;
+    },
+  },
+};
+
+const DEFAULT_DETECTORS = Object.keys(DETECTORS);
+
+const MAX_PATTERN_LENGTH = 200;
+
+// "Salary band" -> "SALARY_BAND" (placeholder type of a custom pattern)
+function placeholderType(label) {
+  return String(label || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 24) || 'CUSTOM';
+}
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Quantifier at src[i] ("*", "+", "?", "{2,}"…) or ''
+function quantifierAt(src, i) {
+  const m = src.slice(i).match(/^(?:[*+?]|\{\d+(?:,\d*)?\})/);
+  return m ? m[0] : '';
+}
+
+/**
+ * Does the pattern repeat a group that itself repeats or has alternatives ((a+)+, (\w|\d)*)?
+ * Those backtrack exponentially on a line that almost matches and would block the event loop
+ * during ingest and edits, so they are refused (the usual safe-regex rule, on the pattern source).
+ */
+function hasNestedQuantifier(src) {
+  const groups = [{ repeats: false, alternation: false }];
+  let i = 0;
+
+  while (i < src.length) {
+    const ch = src[i];
+    let inner = null;
+
+    if (ch === '\\') {
+      i += 2;
+    } else if (ch === '[') {
+      for (i++; i < src.length && src[i] !== ']'; i++) if (src[i] === '\\') i++;
+      i++;
+    } else if (ch === '(') {
+      groups.push({ repeats: false, alternation: false });
+      i++;
+      // (?: (?= (?! (?<= (?<! (?<name>
+      if (src[i] === '?') i = src[i + 1] === '<' && !'=!'.includes(src[i + 2]) ? src.indexOf('>', i) + 1 : i + (src[i + 1] === '<' ? 3 : 2);
+      continue;
+    } else if (ch === ')') {
+      inner = groups.pop();
+      i++;
+    } else if (ch === '|') {
+      groups[groups.length - 1].alternation = true;
+      i++;
+      continue;
+    } else {
+      i++;
+    }
+
+    const outer = groups[groups.length - 1];
+    const q = quantifierAt(src, i);
+    if (q) {
+      i += q.length;
+      if (src[i] === '?') i++; // lazy
+      if (!/^(?:\?|\{[01](?:,1)?\})$/.test(q)) {
+        if (inner && (inner.repeats || inner.alternation)) return true;
+        outer.repeats = true;
+      }
+    }
+    if (inner?.repeats) outer.repeats = true;
+  }
+  return false;
+}
+
+/**
+ * A custom pattern from /org/settings -> RegExp, or an error message.
+ * Patterns that match the empty string would redact nothing useful and are refused, and so are
+ * patterns with nested repeats (see hasNestedQuantifier).
+ */
+function compileCustomPattern(pattern) {
+  const src = String(pattern || '').trim();
+  if (!src) return { error: 'Pattern is empty.' };
+  if (src.length > MAX_PATTERN_LENGTH) return { error: `Pattern is longer than ${MAX_PATTERN_LENGTH} characters.` };
+
+  let re;
+  try {
+    re = new RegExp(src, 'giu');
+  } catch (e) {
+    return { error: e.message };
+  }
+  if (hasNestedQuantifier(src)) {
+    return { error: 'Pattern repeats a group that itself repeats or has alternatives, like (a+)+ or (a|b)*; this can stall the server.' };
+  }
+  if (re.test('')) return { error: 'Pattern matches empty text.' };
+  re.lastIndex = 0;
+  return { re };
+}
+
+/**
+ * Org -> active rules [{ type, re, fit? }], or null when redaction is off.
+ * fit(match) returns the part to redact, or null to leave the match alone.
+ */
+function redactionRules(org) {
+  const r = org?.redaction;
+  if (!r?.enabled) return null;
+
+  const rules = [];
+  const detectors = r.detectors || DEFAULT_DETECTORS;
+  for (const key of DEFAULT_DETECTORS) {
+    if (detectors.includes(key)) rules.push({ type: DETECTORS[key].type, re: DETECTORS[key].re, fit: DETECTORS[key].fit });
+  }
+
+  for (const p of r.customPatterns || []) {
+    const { re } = compileCustomPattern(p.pattern);
+    if (re) rules.push({ type: placeholderType(p.label), re });
+  }
+
+  const keywords = (r.keywords || []).map(k => String(k).trim()).filter(Boolean);
+  if (keywords.length) {
+    const alternation = keywords.sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+    rules.push({ type: 'REDACTED', re: new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternation})(?![\\p{L}\\p{N}])`, 'giu') });
+  }
+
+  return rules.length ? rules : null;
+}
+
+/* ------------------------------
+   Vault (encrypted originals)
+   ------------------------------ */
+
+// REDACTION_KEY (any string) protects the originals; SESSION_SECRET is the fallback
+function vaultKey() {
+  const secret = process.env.REDACTION_KEY || process.env.SESSION_SECRET;
+  if (!secret) throw new Error('REDACTION_KEY (or SESSION_SECRET) must be set to store redacted values');
+  return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+function seal(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', vaultKey(), iv);
+  const enc = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), enc].map(b => b.toString('base64')).join('.');
+}
+
+function unseal(sealed) {
+  try {
+    const [iv, tag, enc] = String(sealed).split('.').map(s => Buffer.from(s, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', vaultKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(enc), decipher.final()]).toString('utf8');
+  } catch (e) {
+    return null; // wrong key or damaged entry: the placeholder stays
+  }
+}
+
+// Stored vault -> Map(token -> original)
+function openVault(vault = []) {
+  const map = new Map();
+  for (const e of vault) {
+    const value = unseal(e.value);
+    if (value !== null) map.set(e.token, value);
+  }
+  return map;
+}
+
+/* ------------------------------
+   Redaction
+   ------------------------------ */
+
+/**
+ * rules + existing vault -> redactor. redactor.redact(text) replaces matches with placeholders;
+ * redactor.vault() returns the entries to store (existing ones keep their placeholders).
+ */
+function createRedactor(rules, vault = []) {
+  const byValue = new Map(); // "TYPE\u0000value" -> token
+  const entries = [...vault];
+  const counters = {};
+
+  for (const [token, value] of openVault(vault)) {
+    const m = token.match(/^\[([A-Z0-9_]+)_(\d+)\]$/);
+    if (!m) continue;
+    byValue.set(`${m[1]}\u0000${value.toLowerCase()}`, token);
+    counters[m[1]] = Math.max(counters[m[1]] || 0, Number(m[2]));
+  }
+
+  const tokenFor = (type, value) => {
+    const key = `${type}\u0000${value.toLowerCase()}`;
+    if (!byValue.has(key)) {
+      counters[type] = (counters[type] || 0) + 1;
+      const token = `[${type}_${counters[type]}]`;
+      byValue.set(key, token);
+      entries.push({ token, type, value: seal(value) });
+    }
+    return byValue.get(key);
+  };
+
+  function redact(text) {
+    const s = String(text || '');
+    if (!s) return s;
+
+    const spans = [];
+    rules.forEach((rule, priority) => {
+      rule.re.lastIndex = 0;
+      for (const m of s.matchAll(rule.re)) {
+        const trimmed = m[0].trim();
+        const value = trimmed && rule.fit ? rule.fit(trimmed) : trimmed;
+        if (!value) continue;
+        const start = m.index + m[0].indexOf(value);
+        spans.push({ start, end: start + value.length, type: rule.type, value, priority });
+      }
+    });
+    if (!spans.length) return s;
+
+    // earlier detector first, then longer match; overlapping later matches are dropped
+    spans.sort((a, b) => a.priority - b.priority || (b.end - b.start) - (a.end - a.start));
+    const kept = [];
+    for (const sp of spans) {
+      if (!kept.some(k => sp.start < k.end && k.start < sp.end)) kept.push(sp);
+    }
+    kept.sort((a, b) => a.start - b.start);
+
+    let out = '';
+    let pos = 0;
+    for (const sp of kept) {
+      out += s.slice(pos, sp.start) + tokenFor(sp.type, sp.value);
+      pos = sp.end;
+    }
+    return out + s.slice(pos);
+  }
+
+  return { redact, vault: () => entries };
+}
+
+function plain(x) {
+  return x?.toObject ? x.toObject() : x;
+}
+
+function redactSegments(segments, redactor) {
+  return segments.map(seg => ({
+    ...plain(seg),
+    text: redactor.redact(seg.text),
+    cues: (seg.cues || []).map(c => ({ ...plain(c), text: redactor.redact(c.text) })),
+  }));
+}
+
+// WebVTT -> the same file with the spoken text redacted (header, timings and <v Speaker> tags untouched)
+function redactVtt(vtt, redactor) {
+  let inCue = false;
+  return String(vtt || '').split('\n').map(line => {
+    if (line.includes('-->')) {
+      inCue = true;
+      return line;
+    }
+    if (!line.trim()) {
+      inCue = false;
+      return line;
+    }
+    return inCue ? line.split(/(<[^>]*>)/).map(s => (s.startsWith('<') ? s : redactor.redact(s))).join('') : line;
+  }).join('\n');
+}
+
+// Placeholder counts per type: { PHONE: 2, EMAIL: 1 }
+function vaultCounts(vault = []) {
+  return vault.reduce((acc, e) => ({ ...acc, [e.type]: (acc[e.type] || 0) + 1 }), {});
+}
+
+/**
+ * New transcript fields -> the same fields redacted, plus Transcript.redaction.
+ * Used at ingestion when the org redacts before storage. Returns the input unchanged when that is off.
+ * parts: Graph transcript parts whose received WebVTT (parts[].vtt) is redacted in place of the original.
+ * vault: the transcript's existing entries when it is stitched again (known values keep their placeholders).
+ */
+function redactForStorage(org, { segments = [], vtt = '', text = '', parts }, vault = []) {
+  const rules = redactionRules(org);
+  if (!rules || org.redaction.applyAt !== 'ingest') return { segments, vtt, text, parts, redaction: undefined };
+
+  const redactor = createRedactor(rules, plain(vault) || []);
+  const clean = redactSegments(segments, redactor);
+  const cleanParts = parts && parts.map(p => ({ ...plain(p), vtt: redactVtt(p.vtt, redactor) }));
+  const entries = redactor.vault();
+
+  return {
+    segments: clean,
+    // the original WebVTT is not kept; timed transcripts get one rebuilt from the redacted cues
+    vtt: segmentsTimed(clean) ? cuesToVtt(segmentsToCues(clean)) : '',
+    text: clean.length ? segmentsToText(clean) : redactor.redact(text),
+    parts: cleanParts,
+    redaction: { applyAt: 'ingest', appliedAt: new Date(), vault: entries, counts: vaultCounts(entries) },
+  };
+}
+
+/**
+ * A corrected transcript line, redacted like the rest of its transcript when the org redacts before
+ * storage (known values keep their placeholders). Returns { text, redaction } with redaction undefined
+ * when the vault did not change.
+ */
+function redactEdit(org, doc, text) {
+  const rules = redactionRules(org);
+  if (!rules || doc.redaction?.applyAt !== 'ingest') return { text, redaction: undefined };
+
+  const before = plain(doc.redaction.vault) || [];
+  const redactor = createRedactor(rules, before);
+  const clean = redactor.redact(text);
+  const vault = redactor.vault();
+  if (vault.length === before.length) return { text: clean, redaction: undefined };
+
+  return { text: clean, redaction: { vault, counts: vaultCounts(vault) } };
+}
+
+/**
+ * Transcript segments as they may be sent to an LLM or embedding provider.
+ * With "redact before AI calls" the stored transcript is verbatim: it is redacted here and the
+ * placeholders are added to the transcript's vault, so generated summaries can be revealed later.
+ */
+async function segmentsForAi(doc, org) {
+  const segments = transcriptSegments(doc);
+  const rules = redactionRules(org);
+  if (!rules || org.redaction.applyAt !== 'ai' || doc.redaction?.applyAt === 'ingest') return segments;
+
+  const before = doc.redaction?.vault || [];
+  const redactor = createRedactor(rules, before);
+  const clean = redactSegments(segments, redactor);
+  const vault = redactor.vault();
+
+  if (vault.length !== before.length || doc.redaction?.applyAt !== 'ai') {
+    const redaction = { applyAt: 'ai', appliedAt: new Date(), vault, counts: vaultCounts(vault) };
+    await Transcript.updateOne({ _id: doc._id }, { $set: { 'redaction.applyAt': 'ai', 'redaction.appliedAt': redaction.appliedAt, 'redaction.vault': vault, 'redaction.counts': redaction.counts } });
+    doc.redaction = { ...(plain(doc.redaction) || {}), ...redaction };
+  }
+  return clean;
+}
+
+/* ------------------------------
+   Reveal
+   ------------------------------ */
+
+// Users who may see the originals: org admins
+function canReveal(user) {
+  return user?.role === 'admin';
+}
+
+const PLACEHOLDER = /\[[A-Z0-9_]+_\d+\]/g;
+
+function revealText(text, values) {
+  if (!text || !values?.size) return text;
+  return String(text).replace(PLACEHOLDER, token => (values.has(token) ? values.get(token) : token));
+}
+
+/**
+ * Put the originals back into a loaded transcript for display (never saved):
+ * segments, transcript text, summary, notes and their translations.
+ * Returns the revealed segments.
+ */
+function revealTranscript(doc, segments) {
+  const values = openVault(doc.redaction?.vault || []);
+  if (!values.size) return segments;
+
+  if (doc.ai) {
+    doc.ai.summary = revealText(doc.ai.summary, values);
+    doc.ai.detailedNotes = revealText(doc.ai.detailedNotes, values);
+  }
+  (doc.translations || []).forEach(t => { t.content = revealText(t.content, values); });
+  doc.text = revealText(doc.text, values);
+  doc.vtt = revealText(doc.vtt, values);
+
+  return (segments || []).map(seg => ({
+    ...plain(seg),
+    text: revealText(seg.text, values),
+    cues: (seg.cues || []).map(c => ({ ...plain(c), text: revealText(c.text, values) })),
+  }));
+}
+
+module.exports = {
+  DETECTORS,
+  DEFAULT_DETECTORS,
+  compileCustomPattern,
+  placeholderType,
+  redactionRules,
+  createRedactor,
+  redactForStorage,
+  redactEdit,
+  segmentsForAi,
+  canReveal,
+  revealText,
+  revealTranscript,
+  openVault,
+};
@@ -0,0 +1,235 @@
+// utils/retention.js
+// Enforces Org.retention:
+// - meetingDays: meetings older than this are deleted with everything derived from them
+//   (transcript, summary versions, action items, search passages, Q&A chats, corrections) and their calendar
+//   cache rows
+// - transcriptDays: older transcripts lose their text (VTT, text, segments, search passages, Q&A chats,
+//   corrections, which quote the lines); summary, notes and action items stay
+// - storeRawTranscript = false: the raw WebVTT (vtt, parts[].vtt) is dropped (the parsed segments keep the
+//   transcript readable). Corrected transcripts keep it until transcriptDays: it is what corrections are
+//   compared with (routes/user.js original.vtt); the view says when it is gone.
+// A meeting's age is counted from its start time, or from when it was saved when the start is unknown.
+const Transcript = require('../models/Transcript');
+const EventCache = require('../models/EventCache');
+const ActionItem = require('../models/ActionItem');
+const SummaryVersion = require('../models/SummaryVersion');
+const TranscriptChunk = require('../models/TranscriptChunk');
+const MeetingChat = require('../models/MeetingChat');
+const TranscriptEdit = require('../models/TranscriptEdit');
+const RetentionReport = require('../models/RetentionReport');
+const { vttToSegments } = require('./vtt');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REPORT_ITEMS_MAX = 500; // meetings listed per report; counts are always complete
+const PREVIEW_ITEMS_MAX = 50;
+
+function retentionPolicy(org) {
+  const days = (v, fallback) => {
+    const n = Math.floor(Number(v));
+    return Number.isFinite(n) && n >= 1 ? n : fallback;
+  };
+  return {
+    meetingDays: days(org?.retention?.meetingDays, 90),
+    transcriptDays: days(org?.retention?.transcriptDays, 30),
+    storeRawTranscript: !!org?.retention?.storeRawTranscript,
+  };
+}
+
+// Graph and upload start times are ISO strings ("2026-10-01T10:00:00.0000000" / "...000Z"): compared as text
+function olderThan(cutoff) {
+  const iso = cutoff.toISOString().slice(0, 19);
+  return {
+    $or: [
+      { startDateTime: { $gt: '', $lt: iso } },
+      { startDateTime: { $in: ['', null] }, createdAt: { $lt: cutoff } },
+    ],
+  };
+}
+
+/**
+ * Org -> the filters one run works with.
+ */
+function retentionPlan(org, now = new Date()) {
+  const policy = retentionPolicy(org);
+  const meetingCutoff = new Date(now.getTime() - policy.meetingDays * DAY_MS);
+  const transcriptCutoff = new Date(now.getTime() - policy.transcriptDays * DAY_MS);
+
+  return {
+    policy,
+    meetingCutoff,
+    transcriptCutoff,
+    meetings: { orgId: org._id, ...olderThan(meetingCutoff) },
+    // text not stripped yet; meetings due for deletion are handled by the step before
+    transcripts: {
+      orgId: org._id,
+      'retention.transcriptPurgedAt': null,
+      $and: [olderThan(transcriptCutoff), { $nor: [olderThan(meetingCutoff)] }],
+    },
+    rawVtt: policy.storeRawTranscript
+      ? null
+      : {
+        orgId: org._id,
+        'corrections.revision': { $not: { $gt: 0 } },
+        $or: [{ vtt: { $gt: '' } }, { 'parts.vtt': { $gt: '' } }],
+      },
+    events: { orgId: org._id, startDateTime: { $gt: '', $lt: meetingCutoff.toISOString().slice(0, 19) } },
+  };
+}
+
+const ITEM_FIELDS = { subject: 1, startDateTime: 1 };
+
+function toItem(doc, action) {
+  return { transcriptId: doc._id, subject: doc.subject || '', startDateTime: doc.startDateTime || '', action };
+}
+
+/**
+ * Dry run: what the next purge would do, without changing anything.
+ * Returns { policy, meetingCutoff, transcriptCutoff, counts, items, itemsTruncated }.
+ */
+async function previewRetention(org, now = new Date()) {
+  const plan = retentionPlan(org, now);
+
+  const [meetingsDeleted, transcriptsStripped, rawVttDropped, eventsDeleted, editsDeleted] = await Promise.all([
+    Transcript.countDocuments(plan.meetings),
+    Transcript.countDocuments(plan.transcripts),
+    plan.rawVtt ? Transcript.countDocuments(plan.rawVtt) : 0,
+    EventCache.countDocuments(plan.events),
+    Promise.all([Transcript.distinct('_id', plan.meetings), Transcript.distinct('_id', plan.transcripts)])
+      .then(([a, b]) => TranscriptEdit.countDocuments({ transcriptId: { $in: [...a, ...b] } })),
+  ]);
+
+  const [deleting, stripping] = await Promise.all([
+    Transcript.find(plan.meetings).select(ITEM_FIELDS).sort({ startDateTime: 1 }).limit(PREVIEW_ITEMS_MAX).lean(),
+    Transcript.find(plan.transcripts).select(ITEM_FIELDS).sort({ startDateTime: 1 }).limit(PREVIEW_ITEMS_MAX).lean(),
+  ]);
+
+  return {
+    policy: plan.policy,
+    meetingCutoff: plan.meetingCutoff,
+    transcriptCutoff: plan.transcriptCutoff,
+    counts: { meetingsDeleted, transcriptsStripped, rawVttDropped, eventsDeleted, editsDeleted },
+    items: [...deleting.map(d => toItem(d, 'deleted')), ...stripping.map(d => toItem(d, 'stripped'))],
+    itemsTruncated: meetingsDeleted > deleting.length || transcriptsStripped > stripping.length,
+  };
+}
+
+// Everything derived from a transcript's text
+async function deleteDerived(ids, { keepSummaries }) {
+  const [chunks, chats, edits, versions, actions] = await Promise.all([
+    TranscriptChunk.deleteMany({ transcriptId: { $in: ids } }),
+    MeetingChat.deleteMany({ transcriptId: { $in: ids } }),
+    TranscriptEdit.deleteMany({ transcriptId: { $in: ids } }),
+    keepSummaries ? null : SummaryVersion.deleteMany({ transcriptId: { $in: ids } }),
+    keepSummaries ? null : ActionItem.deleteMany({ transcriptId: { $in: ids } }),
+  ]);
+  return {
+    chunksDeleted: chunks.deletedCount || 0,
+    chatsDeleted: chats.deletedCount || 0,
+    editsDeleted: edits.deletedCount || 0,
+    versionsDeleted: versions?.deletedCount || 0,
+    actionItemsDeleted: actions?.deletedCount || 0,
+  };
+}
+
+/**
+ * Run the purge for one org and write its RetentionReport.
+ * Work goes in batches; `onBatch` is called after each (job lock keep-alive).
+ */
+async function applyRetention(org, { trigger = 'schedule', requestedBy = '', onBatch, now = new Date(), batchSize = 200 } = {}) {
+  const plan = retentionPlan(org, now);
+  const report = await RetentionReport.create({
+    orgId: org._id,
+    trigger,
+    requestedBy,
+    policy: plan.policy,
+    meetingCutoff: plan.meetingCutoff,
+    transcriptCutoff: plan.transcriptCutoff,
+  });
+
+  const counts = { ...report.toObject().counts };
+  const items = [];
+  let itemsTruncated = false;
+
+  const add = (delta) => Object.entries(delta).forEach(([k, v]) => { counts[k] += v; });
+  const note = (docs, action) => docs.forEach(d => {
+    if (items.length < REPORT_ITEMS_MAX) items.push(toItem(d, action));
+    else itemsTruncated = true;
+  });
+
+  // every step re-queries until nothing matches: processed documents drop out of the filter
+  const inBatches = async (filter, fn) => {
+    for (;;) {
+      const docs = await Transcript.find(filter).select(ITEM_FIELDS).limit(batchSize).lean();
+      if (!docs.length) return;
+      await fn(docs, docs.map(d => d._id));
+      if (onBatch) await onBatch();
+      if (docs.length < batchSize) return;
+    }
+  };
+
+  try {
+    await inBatches(plan.meetings, async (docs, ids) => {
+      add(await deleteDerived(ids, { keepSummaries: false }));
+      const r = await Transcript.deleteMany({ _id: { $in: ids } });
+      add({ meetingsDeleted: r.deletedCount || 0 });
+      note(docs, 'deleted');
+    });
+
+    const events = await EventCache.deleteMany(plan.events);
+    add({ eventsDeleted: events.deletedCount || 0 });
+
+    await inBatches(plan.transcripts, async (docs, ids) => {
+      add(await deleteDerived(ids, { keepSummaries: true }));
+      const r = await Transcript.updateMany(
+        { _id: { $in: ids } },
+        {
+          $set: {
+            vtt: '',
+            text: '',
+            segments: [],
+            'search.chunks': 0,
+            'retention.transcriptPurgedAt': now,
+          },
+        }
+      );
+      await Transcript.updateMany({ _id: { $in: ids }, 'parts.0': { $exists: true } }, { $set: { 'parts.$[].vtt': '' } });
+      add({ transcriptsStripped: r.modifiedCount || 0 });
+      note(docs, 'stripped');
+    });
+
+    if (plan.rawVtt) {
+      await inBatches(plan.rawVtt, async (docs, ids) => {
+        // keep the transcript readable: parse the VTT into segments before it goes
+        const missing = await Transcript.find({ _id: { $in: ids }, 'segments.0': { $exists: false } }).select({ vtt: 1 }).lean();
+        for (const d of missing) {
+          const segments = vttToSegments(d.vtt);
+          if (segments.length) await Transcript.updateOne({ _id: d._id }, { $set: { segments } });
+        }
+
+        const r = await Transcript.updateMany(
+          { _id: { $in: ids } },
+          { $set: { vtt: '', 'retention.rawDroppedAt': now } }
+        );
+        await Transcript.updateMany({ _id: { $in: ids }, 'parts.0': { $exists: true } }, { $set: { 'parts.$[].vtt': '' } });
+        add({ rawVttDropped: r.modifiedCount || 0 });
+        note(docs, 'raw_dropped');
+      });
+    }
+
+    await RetentionReport.updateOne(
+      { _id: report._id },
+      { $set: { status: 'done', finishedAt: new Date(), counts, items, itemsTruncated } }
+    );
+  } catch (err) {
+    // what was done so far is still reported
+    await RetentionReport.updateOne(
+      { _id: report._id },
+      { $set: { status: 'error', error: err.message || String(err), finishedAt: new Date(), counts, items, itemsTruncated } }
+    );
+    throw err;
+  }
+
+  return RetentionReport.findById(report._id).lean();
+}
+
+module.exports = { retentionPolicy, retentionPlan, previewRetention, applyRetention };
@@ -0,0 +1,153 @@
+// utils/searchIndex.js
+// Semantic search across meetings: transcripts are cut into passages, embedded (utils/embeddings.js)
+// and stored in Mongo (models/TranscriptChunk.js). Queries are ranked by cosine similarity in process.
+const Transcript = require('../models/Transcript');
+const TranscriptChunk = require('../models/TranscriptChunk');
+const { transcriptSegments, segmentsToCues } = require('./vtt');
+const { embedTexts, cosine } = require('./embeddings');
+const { attendedFilter } = require('./meetingAccess');
+
+// Passage size: a few speaker turns, small enough for a readable snippet
+const CHUNK_CHARS = 900;
+const CHUNK_OVERLAP_CUES = 1; // last line repeated at the start of the next passage
+
+/**
+ * Transcript -> passages [{ seq, cueIds, start, end, speakers, text }].
+ * Built from the transcript's segments, cue by cue, so passages can point at exact lines.
+ * `segments` overrides the stored ones (redacted copies, utils/redaction.js).
+ */
+function buildChunks(doc, segments = transcriptSegments(doc)) {
+  const cues = segmentsToCues(segments);
+
+  const chunks = [];
+  let cur = [];
+  let size = 0;
+  let carried = 0; // overlap lines at the start of `cur`
+
+  const flush = () => {
+    if (!cur.length) return;
+    chunks.push({
+      seq: chunks.length,
+      cueIds: cur.map(c => c.id),
+      start: cur[0].start,
+      end: cur[cur.length - 1].end,
+      speakers: [...new Set(cur.map(c => c.speaker).filter(Boolean))],
+      text: cur.map(c => (c.speaker ? `${c.speaker}: ${c.text}` : c.text)).join('\n'),
+    });
+  };
+
+  for (const c of cues) {
+    const len = c.text.length + c.speaker.length + 3;
+    if (cur.length > carried && size + len > CHUNK_CHARS) {
+      flush();
+      cur = cur.slice(-CHUNK_OVERLAP_CUES);
+      carried = cur.length;
+      size = cur.reduce((n, x) => n + x.text.length + x.speaker.length + 3, 0);
+    }
+    cur.push(c);
+    size += len;
+  }
+  if (cur.length > carried) flush();
+
+  return chunks;
+}
+
+function isIndexed(doc, embedder) {
+  return doc.search?.status === 'done' && doc.search?.embedder === embedder.key;
+}
+
+/**
+ * (Re)build the index of one transcript with `embedder`.
+ * Old passages (any embedder) are replaced. Returns the number of passages.
+ */
+async function indexTranscript(doc, embedder, { onBatch, segments } = {}) {
+  const chunks = buildChunks(doc, segments);
+  const vectors = await embedTexts(embedder, chunks.map(c => c.text), { onBatch });
+
+  await TranscriptChunk.deleteMany({ transcriptId: doc._id });
+  if (chunks.length) {
+    await TranscriptChunk.insertMany(
+      chunks.map((c, i) => ({ ...c, orgId: doc.orgId, transcriptId: doc._id, embedder: embedder.key, vector: vectors[i] }))
+    );
+  }
+
+  await Transcript.updateOne(
+    { _id: doc._id },
+    { $set: { search: { status: 'done', embedder: embedder.key, chunks: chunks.length, error: '', indexedAt: new Date() } } }
+  );
+  return chunks.length;
+}
+
+/**
+ * Transcripts a user attended (utils/meetingAccess.js, the same meetings keyword search finds).
+ */
+async function attendedTranscripts(orgId, email) {
+  return Transcript.find(await attendedFilter({ orgId, email }))
+    .select({ _id: 1, search: 1 })
+    .lean();
+}
+
+/**
+ * Rank passages of `transcriptIds` against `query`.
+ * Streams the vectors (never loads the whole index) and keeps the best `limit` passages.
+ * Returns [{ transcriptId, seq, cueIds, start, end, speakers, text, score }] best first.
+ */
+async function searchPassages({ orgId, transcriptIds, query, embedder, limit = 20 }) {
+  const q = String(query || '').trim();
+  if (!q || !transcriptIds.length) return [];
+
+  const [qv] = await embedTexts(embedder, [q]);
+
+  const best = [];
+  const cursor = TranscriptChunk.find({ orgId, embedder: embedder.key, transcriptId: { $in: transcriptIds } })
+    .select({ transcriptId: 1, seq: 1, cueIds: 1, start: 1, end: 1, speakers: 1, text: 1, vector: 1 })
+    .lean()
+    .cursor();
+
+  for await (const c of cursor) {
+    const score = cosine(qv, c.vector || []);
+    if (score < embedder.minScore) continue;
+    if (best.length >= limit && score <= best[best.length - 1].score) continue;
+
+    const { vector, ...rest } = c;
+    best.push({ ...rest, score });
+    best.sort((a, b) => b.score - a.score);
+    if (best.length > limit) best.pop();
+  }
+
+  return best;
+}
+
+/**
+ * Snippet around the words of the query, split into parts for <mark> highlighting in the view.
+ * Returns [{ text, hit }].
+ */
+function snippetParts(text, query, maxChars = 320) {
+  const flat = String(text || '').replace(/\s*\n\s*/g, ' · ');
+  const words = (String(query || '').toLowerCase().match(/\p{L}[\p{L}\p{N}'-]*|\d+/gu) || []).filter(w => w.length > 2);
+
+  let from = 0;
+  if (flat.length > maxChars && words.length) {
+    const lower = flat.toLowerCase();
+    const hit = words.map(w => lower.indexOf(w)).filter(i => i >= 0).sort((a, b) => a - b)[0];
+    if (hit !== undefined) from = Math.max(0, Math.min(hit - 60, flat.length - maxChars));
+  }
+
+  let s = flat.slice(from, from + maxChars);
+  if (from > 0) s = `…${s}`;
+  if (from + maxChars < flat.length) s = `${s}…`;
+
+  if (!words.length) return [{ text: s, hit: false }];
+
+  const re = new RegExp(`(${words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'giu');
+  return s.split(re).filter(Boolean).map(part => ({ text: part, hit: words.includes(part.toLowerCase()) }));
+}
+
+module.exports = {
+  buildChunks,
+  isIndexed,
+  indexTranscript,
+  attendedTranscripts,
+  searchPassages,
+  snippetParts,
+};
@@ -0,0 +1,194 @@
+// utils/speakerIdentity.js
+// Transcript speaker labels ("Sharma, Priya (IT)") -> people (email + name).
+// Sources, strongest first:
+//  - alias:     a mapping someone in the org confirmed (models/SpeakerAlias.js), reused across meetings
+//  - attendee:  the event's attendee list, by display name or email
+//  - directory: org users (models/User.js)
+// An automatic match is only taken when exactly one person fits.
+const Transcript = require('../models/Transcript');
+const SpeakerAlias = require('../models/SpeakerAlias');
+const User = require('../models/User');
+const ActionItem = require('../models/ActionItem');
+const { speakerMatchesEmail, UNKNOWN } = require('./speakerStats');
+const { transcriptSegments } = require('./vtt');
+
+// "Sharma, Priya (IT)" / "Priya  Sharma" / "Priya Sharma [Guest]" -> "priya sharma"
+function speakerKey(label) {
+  let s = String(label || '').replace(/\(.*?\)|\[.*?\]/g, ' ').trim();
+  const comma = s.match(/^([^,]+),\s*([^,]+)$/);
+  if (comma) s = `${comma[2]} ${comma[1]}`;
+
+  const words = s.toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '').match(/[\p{L}\p{N}]+/gu) || [];
+  return words.join(' ');
+}
+
+// same words, any order ("priya sharma" / "sharma priya")
+function sameName(a, b) {
+  if (!a || !b) return false;
+  return a.split(' ').sort().join(' ') === b.split(' ').sort().join(' ');
+}
+
+function matchPeople(key, people) {
+  if (!key) return [];
+  const byName = people.filter(p => p.name && sameName(key, speakerKey(p.name)));
+  if (byName.length) return byName;
+  return people.filter(p => speakerMatchesEmail(key, p.email));
+}
+
+// exactly one person (the same email listed twice counts once)
+function single(list) {
+  return new Set(list.map(p => p.email)).size === 1 ? list[0] : null;
+}
+
+function people(list) {
+  const out = new Map();
+  for (const p of list) {
+    const email = String(p?.email || '').toLowerCase().trim();
+    if (!email) continue;
+    if (!out.has(email) || (!out.get(email).name && p.name)) out.set(email, { email, name: String(p.name || '').trim() });
+  }
+  return [...out.values()];
+}
+
+function speakerLabels(segments) {
+  return [...new Set((segments || []).map(s => String(s.speaker || '').trim()).filter(l => l && l !== UNKNOWN))];
+}
+
+/**
+ * Speaker labels of one meeting -> [{ label, key, email, name, source }] (source '' = not matched).
+ * attendees: [{ email, name }] from the calendar event; participantEmails fill in when names are unknown.
+ */
+async function resolveSpeakers({ orgId, labels = [], attendees = [], participantEmails = [] }) {
+  const uniq = [...new Set(labels.map(l => String(l || '').trim()).filter(l => l && l !== UNKNOWN))];
+  if (!uniq.length) return [];
+
+  const keys = [...new Set(uniq.map(speakerKey).filter(Boolean))];
+  const [aliases, users] = await Promise.all([
+    SpeakerAlias.find({ orgId, key: { $in: keys } }).lean(),
+    User.find({ org: orgId, status: 'active' }).select({ name: 1, email: 1 }).lean(),
+  ]);
+
+  const aliasByKey = new Map(aliases.map(a => [a.key, a]));
+  const invited = people([...attendees, ...participantEmails.map(email => ({ email, name: '' }))]);
+  const directory = people(users);
+  // directory names ("Priya Sharma") read better than calendar display names ("Sharma, Priya (IT)")
+  const nameOf = email => directory.find(p => p.email === email)?.name || invited.find(p => p.email === email)?.name || '';
+
+  return uniq.map(label => {
+    const key = speakerKey(label);
+
+    const alias = aliasByKey.get(key);
+    if (alias) return { label, key, email: alias.email, name: alias.name || nameOf(alias.email), source: 'alias' };
+
+    const attendee = single(matchPeople(key, invited));
+    if (attendee) return { label, key, email: attendee.email, name: nameOf(attendee.email), source: 'attendee' };
+
+    const user = single(matchPeople(key, directory));
+    if (user) return { label, key, email: user.email, name: user.name, source: 'directory' };
+
+    return { label, key, email: '', name: '', source: '' };
+  });
+}
+
+/**
+ * Resolve and store the speakers of a transcript once (like speakerStats); returns the identities.
+ */
+async function ensureSpeakerIdentities(doc, segments) {
+  if (doc.speakerIdentities?.resolvedAt) return doc.speakerIdentities.speakers || [];
+
+  const speakers = await resolveSpeakers({
+    orgId: doc.orgId,
+    labels: speakerLabels(segments || transcriptSegments(doc)),
+    attendees: doc.attendees || [],
+    participantEmails: doc.participantEmails || [],
+  });
+  const speakerIdentities = { resolvedAt: new Date(), speakers };
+
+  await Transcript.updateOne({ _id: doc._id }, { $set: { speakerIdentities } });
+  doc.speakerIdentities = speakerIdentities;
+  return speakers;
+}
+
+// label -> identity with an email (unmatched labels are left out)
+function identityMap(identities) {
+  return new Map((identities || []).filter(i => i.email).map(i => [i.label, i]));
+}
+
+/**
+ * An action item owner as the LLM wrote it ("Priya", "Sharma, Priya (IT)") -> email of a matched speaker.
+ * Full names match on the label; a first name only when one speaker has it.
+ */
+function ownerEmailFor(ownerName, identities) {
+  const key = speakerKey(ownerName);
+  if (!key) return '';
+  const known = (identities || []).filter(i => i.email);
+
+  const full = single(known.filter(i => sameName(key, i.key) || (i.name && sameName(key, speakerKey(i.name)))));
+  if (full) return full.email;
+
+  if (key.includes(' ')) return '';
+  const first = single(known.filter(i => i.key.split(' ').includes(key) || speakerKey(i.name).split(' ')[0] === key));
+  return first ? first.email : '';
+}
+
+/**
+ * Confirm (or correct) who a speaker label is, for every meeting of the org.
+ * email '' marks the label as nobody we know. Stored identities with the same key and action items
+ * owned by that label without an email are updated at once.
+ */
+async function saveSpeakerAlias({ orgId, label, email, updatedBy = '' }) {
+  const key = speakerKey(label);
+  if (!key) throw new Error('Speaker name is empty.');
+
+  const mail = String(email || '').toLowerCase().trim();
+  const user = mail ? await User.findOne({ org: orgId, email: mail }).select({ name: 1 }).lean() : null;
+  const name = user?.name || '';
+
+  const alias = await SpeakerAlias.findOneAndUpdate(
+    { orgId, key },
+    { $set: { label: String(label).trim(), email: mail, name, updatedBy } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  await Transcript.updateMany(
+    { orgId, 'speakerIdentities.speakers.key': key },
+    {
+      $set: {
+        'speakerIdentities.speakers.$[s].email': mail,
+        'speakerIdentities.speakers.$[s].name': name,
+        'speakerIdentities.speakers.$[s].source': 'alias',
+      },
+    },
+    { arrayFilters: [{ 's.key': key }] }
+  );
+
+  if (mail) {
+    await ActionItem.updateMany(
+      { orgId, ownerEmail: '', ownerName: String(label).trim() },
+      { $set: { ownerEmail: mail } }
+    );
+  }
+
+  return alias;
+}
+
+/**
+ * Forget a confirmed mapping: the label is matched automatically again.
+ * Stored identities are resolved afresh the next time their meeting is opened.
+ */
+async function removeSpeakerAlias({ orgId, label }) {
+  const key = speakerKey(label);
+  await SpeakerAlias.deleteOne({ orgId, key });
+  await Transcript.updateMany({ orgId, 'speakerIdentities.speakers.key': key }, { $unset: { 'speakerIdentities.resolvedAt': 1 } });
+}
+
+module.exports = {
+  speakerKey,
+  speakerLabels,
+  resolveSpeakers,
+  ensureSpeakerIdentities,
+  identityMap,
+  ownerEmailFor,
+  saveSpeakerAlias,
+  removeSpeakerAlias,
+};
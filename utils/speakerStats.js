@@ -0,0 +1,135 @@
+// utils/speakerStats.js
+// Participation per speaker, from the transcript segments (utils/vtt.js).
+const { segmentsTimed } = require('./vtt');
+
+const UNKNOWN = 'Unknown speaker';
+
+function countWords(s) {
+  return (String(s || '').match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).length;
+}
+
+// "Is that ready?" / "ready??" -> 1 each
+function countQuestions(s) {
+  return (String(s || '').match(/\?+/g) || []).length;
+}
+
+function duration(start, end) {
+  if (start === null || start === undefined || end === null || end === undefined) return 0;
+  return Math.max(0, end - start);
+}
+
+// "Priya Sharma" vs "priya.sharma@x.com" / "psharma@x.com": same person?
+function speakerMatchesEmail(speaker, email) {
+  const local = String(email || '').toLowerCase().split('@')[0];
+  const parts = String(speaker || '').toLowerCase().replace(/\(.*?\)/g, ' ').match(/\p{L}+/gu) || [];
+  if (!local || !parts.length) return false;
+
+  const flat = local.replace(/[^a-z0-9]/g, '');
+  if (flat === parts.join('')) return true;
+
+  const localParts = local.split(/[._-]+/).filter(Boolean);
+  if (parts.length && localParts.includes(parts[0]) && localParts.includes(parts[parts.length - 1])) return true;
+
+  // initial + last name ("psharma")
+  return parts.length > 1 && flat === `${parts[0][0]}${parts[parts.length - 1]}`;
+}
+
+/**
+ * Segments -> per-speaker stats.
+ * Returns {
+ *   timed, totalSeconds, totalWords, totalTurns,
+ *   speakers: [{ speaker, talkSeconds, timeShare, words, wordShare, turns, longestTurnSeconds, longestTurnWords, questions }]
+ *             (most words first),
+ *   silent: participant emails no speaker could be matched to
+ * }
+ * Talk time is the sum of cue durations; a turn is one segment; the longest monologue is the longest turn.
+ */
+function computeSpeakerStats(segments = [], { participantEmails = [] } = {}) {
+  const timed = segmentsTimed(segments);
+  const bySpeaker = new Map();
+
+  for (const seg of segments) {
+    const name = String(seg.speaker || '').trim() || UNKNOWN;
+    if (!bySpeaker.has(name)) {
+      bySpeaker.set(name, { speaker: name, talkSeconds: 0, words: 0, turns: 0, longestTurnSeconds: 0, longestTurnWords: 0, questions: 0 });
+    }
+    const s = bySpeaker.get(name);
+
+    const cues = seg.cues?.length ? seg.cues : [{ start: seg.start, end: seg.end, text: seg.text }];
+    const seconds = cues.reduce((n, c) => n + duration(c.start, c.end), 0);
+    const words = countWords(seg.text);
+
+    s.talkSeconds += seconds;
+    s.words += words;
+    s.turns += 1;
+    s.questions += cues.reduce((n, c) => n + countQuestions(c.text), 0);
+    if (seconds > s.longestTurnSeconds) s.longestTurnSeconds = seconds;
+    if (words > s.longestTurnWords) s.longestTurnWords = words;
+  }
+
+  const speakers = [...bySpeaker.values()];
+  const totalSeconds = speakers.reduce((n, s) => n + s.talkSeconds, 0);
+  const totalWords = speakers.reduce((n, s) => n + s.words, 0);
+
+  speakers.forEach(s => {
+    s.timeShare = totalSeconds ? Number((s.talkSeconds / totalSeconds).toFixed(3)) : 0;
+    s.wordShare = totalWords ? Number((s.words / totalWords).toFixed(3)) : 0;
+    s.talkSeconds = Math.round(s.talkSeconds);
+    s.longestTurnSeconds = Math.round(s.longestTurnSeconds);
+  });
+  speakers.sort((a, b) => b.words - a.words);
+
+  const named = speakers.map(s => s.speaker).filter(n => n !== UNKNOWN);
+  const silent = [...new Set((participantEmails || []).map(e => String(e).toLowerCase().trim()).filter(Boolean))]
+    .filter(e => !named.some(n => speakerMatchesEmail(n, e)));
+
+  return {
+    timed,
+    totalSeconds: Math.round(totalSeconds),
+    totalWords,
+    totalTurns: segments.length,
+    speakers,
+    silent,
+  };
+}
+
+/**
+ * Many meetings' stats -> one row per speaker:
+ * [{ speaker, email, meetings, talkSeconds, words, turns, questions, avgWordShare, longestTurnSeconds }] (most words first).
+ * Speakers resolved to a person (utils/speakerIdentity.js sets `email`) are one row whatever their label.
+ */
+function aggregateSpeakerStats(statsList = []) {
+  const rows = new Map();
+
+  for (const st of statsList) {
+    for (const s of st?.speakers || []) {
+      const key = s.email ? `email:${s.email}` : s.speaker;
+      if (!rows.has(key)) {
+        rows.set(key, { speaker: s.speaker, email: s.email || '', meetings: 0, talkSeconds: 0, words: 0, turns: 0, questions: 0, shareSum: 0, longestTurnSeconds: 0 });
+      }
+      const r = rows.get(key);
+      r.meetings += 1;
+      r.talkSeconds += s.talkSeconds || 0;
+      r.words += s.words || 0;
+      r.turns += s.turns || 0;
+      r.questions += s.questions || 0;
+      r.shareSum += s.wordShare || 0;
+      r.longestTurnSeconds = Math.max(r.longestTurnSeconds, s.longestTurnSeconds || 0);
+    }
+  }
+
+  return [...rows.values()]
+    .map(({ shareSum, ...r }) => ({ ...r, avgWordShare: r.meetings ? Number((shareSum / r.meetings).toFixed(3)) : 0 }))
+    .sort((a, b) => b.words - a.words);
+}
+
+// Recurring meetings share a subject; "RE:"/"FW:" prefixes and case don't matter
+function seriesKey(subject) {
+  return String(subject || '')
+    .toLowerCase()
+    .replace(/^\s*((re|fw|fwd)\s*:\s*)+/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = { computeSpeakerStats, aggregateSpeakerStats, speakerMatchesEmail, seriesKey, UNKNOWN };
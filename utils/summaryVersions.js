@@ -0,0 +1,104 @@
+// utils/summaryVersions.js
+const SummaryVersion = require('../models/SummaryVersion');
+
+// Transcript.ai field names per kind
+const FIELDS = {
+  summary: {
+    content: 'summary', model: 'model', templateId: 'templateId', templateName: 'templateName',
+    coverage: 'coverage', version: 'version', pinned: 'pinnedVersion', createdAt: 'createdAt',
+    language: 'language', transcriptRevision: 'transcriptRevision',
+  },
+  notes: {
+    content: 'detailedNotes', model: 'detailedModel', templateId: 'detailedTemplateId', templateName: 'detailedTemplateName',
+    coverage: 'detailedCoverage', version: 'detailedVersion', pinned: 'detailedPinnedVersion', createdAt: 'detailedCreatedAt',
+    language: 'detailedLanguage', transcriptRevision: 'detailedTranscriptRevision',
+  },
+};
+
+async function latestVersion(transcriptId, kind) {
+  return SummaryVersion.findOne({ transcriptId, kind }).sort({ version: -1 }).lean();
+}
+
+// Transcripts summarized before versions were kept: store what they have as version 1
+async function backfillLegacyVersion(doc, kind) {
+  const f = FIELDS[kind];
+  const content = doc.ai?.[f.content];
+  if (!content) return null;
+  if (await SummaryVersion.exists({ transcriptId: doc._id, kind })) return null;
+
+  try {
+    return await SummaryVersion.create({
+      orgId: doc.orgId,
+      transcriptId: doc._id,
+      kind,
+      version: 1,
+      content,
+      model: doc.ai?.[f.model] || '',
+      templateId: doc.ai?.[f.templateId] || null,
+      templateName: doc.ai?.[f.templateName] || '',
+      language: doc.ai?.[f.language] || '',
+      coverage: doc.ai?.[f.coverage] || undefined,
+      trigger: 'legacy',
+      createdAt: doc.ai?.[f.createdAt] || undefined,
+    });
+  } catch (e) {
+    if (e.code === 11000) return null; // someone else backfilled
+    throw e;
+  }
+}
+
+/**
+ * Store a generation run as the next version.
+ * Retries on a version-number race (two runs finishing at the same time).
+ */
+async function recordVersion(doc, kind, { content, model, template, language, coverage, createdBy, trigger, transcriptRevision }) {
+  await backfillLegacyVersion(doc, kind);
+
+  for (let i = 0; i < 5; i++) {
+    const last = await latestVersion(doc._id, kind);
+    try {
+      return await SummaryVersion.create({
+        orgId: doc.orgId,
+        transcriptId: doc._id,
+        kind,
+        version: (last?.version || 0) + 1,
+        content,
+        model,
+        templateId: template?._id || null,
+        templateName: template?.name || '',
+        language: language || '',
+        coverage,
+        createdBy: createdBy || '',
+        trigger: trigger || 'auto',
+        transcriptRevision: transcriptRevision || 0,
+      });
+    } catch (e) {
+      if (e.code !== 11000) throw e;
+    }
+  }
+  throw new Error('Could not allocate a summary version number');
+}
+
+// $set for Transcript.ai that makes `v` the displayed version
+function canonicalUpdate(kind, v) {
+  const f = FIELDS[kind];
+  return {
+    [`ai.${f.content}`]: v.content,
+    [`ai.${f.model}`]: v.model,
+    [`ai.${f.templateId}`]: v.templateId || null,
+    [`ai.${f.templateName}`]: v.templateName || '',
+    [`ai.${f.language}`]: v.language || '',
+    [`ai.${f.coverage}`]: v.coverage,
+    [`ai.${f.version}`]: v.version,
+    [`ai.${f.transcriptRevision}`]: v.transcriptRevision || 0,
+  };
+}
+
+// The transcript was corrected after the displayed summary / notes were generated
+function staleAfterCorrections(doc, kind) {
+  const f = FIELDS[kind];
+  if (!doc.ai?.[f.content]) return false;
+  return (doc.corrections?.revision || 0) > (doc.ai?.[f.transcriptRevision] || 0);
+}
+
+module.exports = { FIELDS, latestVersion, backfillLegacyVersion, recordVersion, canonicalUpdate, staleAfterCorrections };
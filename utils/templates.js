@@ -0,0 +1,35 @@
+// utils/templates.js
+const mongoose = require('mongoose');
+const Org = require('../models/Org');
+const SummaryTemplate = require('../models/SummaryTemplate');
+
+/**
+ * Pick the template for a generation run.
+ * Order: explicit pick -> template whose subject pattern matches -> org default -> null (built-in prompt).
+ */
+async function resolveTemplate({ orgId, kind, subject, templateId }) {
+  if (templateId && mongoose.isValidObjectId(templateId)) {
+    const picked = await SummaryTemplate.findOne({ _id: templateId, orgId, kind }).lean();
+    if (picked) return picked;
+  }
+
+  const all = await SummaryTemplate.find({ orgId, kind }).sort({ name: 1 }).lean();
+  if (!all.length) return null;
+
+  const subj = String(subject || '').toLowerCase();
+  if (subj) {
+    const bySubject = all.find(t => (t.subjectPatterns || []).some(p => subj.includes(String(p).toLowerCase())));
+    if (bySubject) return bySubject;
+  }
+
+  const org = await Org.findById(orgId).select({ templates: 1 }).lean();
+  const defId = kind === 'notes' ? org?.templates?.defaultNotesId : org?.templates?.defaultSummaryId;
+  if (defId) {
+    const def = all.find(t => String(t._id) === String(defId));
+    if (def) return def;
+  }
+
+  return null;
+}
+
+module.exports = { resolveTemplate };
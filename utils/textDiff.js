@@ -0,0 +1,42 @@
+// utils/textDiff.js
+// Line diff (LCS) for comparing summary versions. Summaries are short, so O(n*m) is fine.
+
+const MAX_LINES = 3000;
+
+/**
+ * diffLines('a\nb', 'a\nc') -> [{ op: ' ', text: 'a' }, { op: '-', text: 'b' }, { op: '+', text: 'c' }]
+ */
+function diffLines(oldText, newText) {
+  const a = String(oldText || '').split(/\r?\n/).slice(0, MAX_LINES);
+  const b = String(newText || '').split(/\r?\n/).slice(0, MAX_LINES);
+  const n = a.length;
+  const m = b.length;
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      out.push({ op: ' ', text: a[i] });
+      i++; j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ op: '-', text: a[i++] });
+    } else {
+      out.push({ op: '+', text: b[j++] });
+    }
+  }
+  while (i < n) out.push({ op: '-', text: a[i++] });
+  while (j < m) out.push({ op: '+', text: b[j++] });
+
+  return out;
+}
+
+module.exports = { diffLines };
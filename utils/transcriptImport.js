@@ -0,0 +1,217 @@
+// utils/transcriptImport.js
+// Uploaded transcript files (VTT, SRT, TXT, DOCX) -> the same structure Teams transcripts get:
+// { vtt, segments, text } (see utils/vtt.js). Timed formats are normalised to WebVTT.
+const path = require('path');
+const mammoth = require('mammoth');
+const { vttToCues, parseTimestamp, cuesToVtt, cuesToSegments, segmentsToText } = require('./vtt');
+
+const FORMATS = {
+  vtt: 'WebVTT',
+  srt: 'SubRip (SRT)',
+  txt: 'Plain text',
+  docx: 'Word (DOCX)',
+};
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+// Speaking rate used to estimate the end of the last line when a text transcript only has start times
+const WORDS_PER_SECOND = 2.5;
+
+function detectFormat(filename, buffer) {
+  const ext = path.extname(String(filename || '')).toLowerCase().replace('.', '');
+  if (FORMATS[ext]) return ext;
+  if (ext === 'text' || ext === 'md') return 'txt';
+
+  // no useful extension: sniff
+  if (buffer?.slice(0, 2).toString('latin1') === 'PK') return 'docx';
+  const head = buffer ? buffer.slice(0, 200).toString('utf8').replace(/^\uFEFF/, '').trimStart() : '';
+  if (head.startsWith('WEBVTT')) return 'vtt';
+  if (/^\d+\s*\r?\n\d{1,2}:\d{2}:\d{2},\d{3}\s*-->/.test(head)) return 'srt';
+  return 'txt';
+}
+
+// "Priya: text" / "[Priya] text" -> { speaker, text }
+function splitSpeaker(line) {
+  let m = line.match(/^\[([^\]\d][^\]]{0,79})\]\s*(.+)$/);
+  if (m) return { speaker: m[1].trim(), text: m[2].trim() };
+
+  m = line.match(/^([^:\n]{1,80}):\s(.*)$/);
+  if (m && !/^\d+$/.test(m[1].trim())) return { speaker: m[1].trim(), text: m[2].trim() };
+
+  return { speaker: '', text: line.trim() };
+}
+
+/**
+ * SubRip -> cues. Speakers are taken from "<v Name>", "[Name]" or "Name:" at the start of the text.
+ */
+function srtToCues(srt = '') {
+  const blocks = String(srt).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/);
+  const cues = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n').map(l => l.trim()).filter(Boolean);
+    const timeIdx = lines.findIndex(l => l.includes('-->'));
+    if (timeIdx === -1) continue;
+
+    const [startRaw, endRaw] = lines[timeIdx].split('-->');
+    const start = parseTimestamp(startRaw);
+    const end = parseTimestamp(String(endRaw || '').trim().split(/\s+/)[0]);
+    if (start === null) continue;
+
+    const raw = lines.slice(timeIdx + 1).join(' ');
+    const voice = raw.match(/^<v\s+([^>]+)>(.*?)(?:<\/v>)?$/i);
+    const { speaker, text } = voice
+      ? { speaker: voice[1].trim(), text: voice[2] }
+      : splitSpeaker(raw.replace(/<[^>]+>/g, ''));
+
+    const clean = String(text).replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+    if (!clean) continue;
+
+    cues.push({ id: `c${cues.length + 1}`, start, end: end === null ? start : end, speaker, text: clean });
+  }
+
+  return cues;
+}
+
+const TS = '(\\d{1,2}:\\d{2}(?::\\d{2})?(?:[.,]\\d{1,3})?)';
+// "[00:01:02] Priya: text" / "00:01:02 Priya: text"
+const LINE_WITH_TIME = new RegExp(`^\\[?${TS}\\]?\\s*[-–]?\\s*(.+)$`);
+// "Priya Sharma   0:03" / "Priya Sharma 00:01:02" on its own line (Teams / Zoom DOCX exports); text follows
+const HEADER_WITH_TIME = new RegExp(`^(\\D[^\\n]{0,79}?)\\s+${TS}$`);
+// "0:03" / "00:01:02" alone on a line, before the text it belongs to
+const TIME_ONLY = new RegExp(`^\\[?${TS}\\]?$`);
+
+// "Priya Sharma" / "priya@contoso.com" - not "Let's meet at" (a sentence that ends in a time)
+function looksLikeName(s) {
+  const t = String(s || '').trim();
+  if (t.includes(':')) return false;
+  if (/^\S+@\S+$/.test(t)) return true;
+  const words = t.split(/\s+/);
+  return words.length <= 5 && words.every(w => /^[\p{Lu}(]/u.test(w));
+}
+
+/**
+ * Plain-text transcript -> cues.
+ * Understands "Name: text" lines, optional timestamps in front of a line, and the
+ * "Name  0:03" + text layout of Teams / Zoom exports. Without any timestamps start/end stay null.
+ */
+function plainTextToCues(text = '') {
+  const lines = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n').map(l => l.trim());
+  const cues = [];
+  let pending = null; // { speaker, start, cue } from a header line; its text follows (DOCX puts a blank line between)
+
+  const push = (speaker, start, body) => {
+    const clean = String(body || '').replace(/\s+/g, ' ').trim();
+    if (!clean) return;
+    cues.push({ id: `c${cues.length + 1}`, start, end: null, speaker, text: clean });
+  };
+
+  for (const line of lines) {
+    if (!line) {
+      if (pending?.cue) pending = null;
+      continue;
+    }
+
+    const header = line.match(HEADER_WITH_TIME);
+    if (header && looksLikeName(header[1])) {
+      pending = { speaker: header[1].trim(), start: parseTimestamp(header[2]), cue: null };
+      continue;
+    }
+
+    const timeOnly = line.match(TIME_ONLY);
+    if (timeOnly) {
+      pending = { speaker: pending && !pending.cue ? pending.speaker : '', start: parseTimestamp(timeOnly[1]), cue: null };
+      continue;
+    }
+
+    if (pending) {
+      // more lines of the same turn stay in one cue
+      if (pending.cue) pending.cue.text = `${pending.cue.text} ${line}`;
+      else {
+        const before = cues.length;
+        push(pending.speaker, pending.start, line);
+        if (cues.length > before) pending.cue = cues[cues.length - 1];
+      }
+      continue;
+    }
+
+    const timed = line.match(LINE_WITH_TIME);
+    if (timed && parseTimestamp(timed[1]) !== null) {
+      const { speaker, text: body } = splitSpeaker(timed[2]);
+      push(speaker, parseTimestamp(timed[1]), body);
+      continue;
+    }
+
+    const { speaker, text: body } = splitSpeaker(line);
+    push(speaker, null, body);
+  }
+
+  // end = next start; the last line gets an estimate from its length
+  if (cues.some(c => c.start !== null)) {
+    cues.forEach((c, i) => {
+      if (c.start === null) return;
+      const next = cues.slice(i + 1).find(n => n.start !== null);
+      const words = c.text.split(/\s+/).length;
+      c.end = next ? Math.max(c.start, next.start) : c.start + Math.ceil(words / WORDS_PER_SECOND);
+    });
+  }
+
+  return cues;
+}
+
+function timedCues(cues) {
+  return cues.length > 0 && cues.every(c => c.start !== null);
+}
+
+/**
+ * Uploaded file -> { format, vtt, segments, text, durationSeconds }.
+ * Throws with a user-facing message when the file has no transcript text.
+ */
+async function importTranscriptFile({ buffer, filename }) {
+  if (!buffer || !buffer.length) throw new Error('The file is empty.');
+
+  const format = detectFormat(filename, buffer);
+  let cues;
+
+  if (format === 'vtt') {
+    cues = vttToCues(buffer.toString('utf8'));
+  } else if (format === 'srt') {
+    cues = srtToCues(buffer.toString('utf8'));
+  } else if (format === 'docx') {
+    let raw;
+    try {
+      ({ value: raw } = await mammoth.extractRawText({ buffer }));
+    } catch (e) {
+      throw new Error('Could not read the Word document. Is it a .docx file?');
+    }
+    cues = plainTextToCues(raw);
+  } else {
+    cues = plainTextToCues(buffer.toString('utf8'));
+  }
+
+  if (!cues.length) throw new Error(`No transcript text found in this ${FORMATS[format]} file.`);
+
+  const timed = timedCues(cues);
+  const segments = cuesToSegments(timed ? cues : cues.map(c => ({ ...c, start: null, end: null })));
+
+  let vtt = '';
+  if (format === 'vtt') vtt = buffer.toString('utf8');
+  else if (timed) vtt = cuesToVtt(cues);
+
+  return {
+    format,
+    vtt,
+    segments,
+    text: segmentsToText(segments),
+    durationSeconds: timed ? Math.max(...cues.map(c => c.end || c.start || 0)) : 0,
+  };
+}
+
+module.exports = {
+  FORMATS,
+  MAX_UPLOAD_BYTES,
+  detectFormat,
+  srtToCues,
+  plainTextToCues,
+  importTranscriptFile,
+};
@@ -1,5 +1,7 @@
   // utils/transcripts.js (Node 16, CommonJS)
-  const fetch = require('node-fetch');
+  // Graph calls go through utils/graphClient.js: beta / v1.0 fallbacks are its FALLBACKS lookups.
+  const { vttToCues, cuesToSegments, stitchVtts } = require('./vtt');
+  const { asGraphClient, isUnavailable } = require('./graphClient');
 
   const DEBUG = (process.env.DEBUG_TRANSCRIPTS || '').toLowerCase() === 'true';
   function dbg(...args) {
@@ -42,22 +44,6 @@
     return out;
   }
 
-  async function graphJson(accessToken, url) {
-    const r = await fetch(url, { headers: { Authorization: `Bearer ${accessToken}` } });
-    const txt = await r.text().catch(() => '');
-    if (!r.ok) throw new Error(`Graph JSON ${r.status}: ${txt.slice(0, 220)}`);
-    return txt ? JSON.parse(txt) : {};
-  }
-
-  async function graphText(accessToken, url, headers = {}) {
-    const r = await fetch(url, {
-      headers: { Authorization: `Bearer ${accessToken}`, ...headers }
-    });
-    const txt = await r.text().catch(() => '');
-    if (!r.ok) throw new Error(`Graph TEXT ${r.status}: ${txt.slice(0, 220)}`);
-    return txt;
-  }
-
   // Extract Teams join URL from an event
   function getJoinUrlFromEvent(ev) {
     const url = ev?.onlineMeeting?.joinUrl || ev?.onlineMeetingUrl || null;
@@ -65,15 +51,12 @@
   }
 
   /**
-   * Find OnlineMeeting by join URL
-   * Try:
-   *  - beta/communications
-   *  - beta/me
-   *  - v1.0/communications
-   *  - v1.0/me
-   * And try eq(full), eq(base), startswith(base)
+   * Find OnlineMeeting by join URL (lookup 'meetingByJoinUrl')
+   * Try eq(full), eq(base), startswith(base) on the tenant's route.
+   * A filter the route rejects (400) is skipped; the first one it answers decides (an empty answer = no
+   * online meeting). A route that rejects all of them falls back to the next.
    */
-  async function findMeetingByJoinUrl(accessToken, joinUrl) {
+  async function findMeetingByJoinUrl(graph, joinUrl) {
     const full = normHttps(joinUrl);
     if (!full) return null;
     const base = stripQuery(full);
@@ -88,113 +71,86 @@
       filters.push(`startswith(joinWebUrl,'${safe}')`);
     }
 
-    const bases = ['https://graph.microsoft.com/beta', 'https://graph.microsoft.com/v1.0'];
-    const roots = ['/communications/onlineMeetings', '/me/onlineMeetings'];
-
-    for (const b of bases) {
-      for (const root of roots) {
+    try {
+      return await graph.withFallback('meetingByJoinUrl', async (route) => {
+        let lastError = null;
         for (const f of filters) {
-          const url = `${b}${root}?$filter=${encodeURIComponent(f)}`;
+          const url = `${route.root}?$filter=${encodeURIComponent(f)}`;
           try {
-            dbg('findMeetingByJoinUrl ->', url);
-            const j = await graphJson(accessToken, url);
+            dbg('findMeetingByJoinUrl ->', route.key, f);
+            const j = await graph.json(url, { version: route.version });
             const arr = Array.isArray(j?.value) ? j.value : [];
-            if (arr[0]?.id) return arr[0];
+            return arr[0]?.id ? arr[0] : null;
           } catch (e) {
-            // keep trying
+            if (e.type !== 'bad_request') throw e;
+            lastError = e;
           }
         }
-      }
+        throw lastError;
+      });
+    } catch (e) {
+      if (!isUnavailable(e)) throw e;
+      dbg('findMeetingByJoinUrl failed:', e.message);
+      return null;
     }
-
-    return null;
   }
 
   /**
-   * Fallback: find meetings by time (±90 mins)
-   * Use beta/communications first. Many tenants don’t support this filter on v1.0.
+   * Fallback: find meetings by time (±90 mins), lookup 'meetingsByTime'
+   * Many tenants don’t support this filter on v1.0.
    */
-  async function findMeetingsByTime(accessToken, event) {
+  async function findMeetingsByTime(graph, event) {
     const start = new Date(event.start?.dateTime || Date.now());
     const end = new Date(event.end?.dateTime || start);
 
     const from = new Date(start.getTime() - 90 * 60 * 1000);
     const to = new Date(end.getTime() + 90 * 60 * 1000);
 
-    const fromIso = from.toISOString();
-    const toIso = to.toISOString();
-
-    const candidates = [
-      `https://graph.microsoft.com/beta/communications/onlineMeetings?$filter=${encodeURIComponent(
-        `startDateTime ge '${fromIso}' and endDateTime le '${toIso}'`
-      )}`,
-      `https://graph.microsoft.com/beta/me/onlineMeetings?$filter=${encodeURIComponent(
-        `startDateTime ge '${fromIso}' and endDateTime le '${toIso}'`
-      )}`,
-    ];
-
-    for (const url of candidates) {
-      try {
-        dbg('findMeetingsByTime ->', url);
-        const j = await graphJson(accessToken, url);
-        const arr = Array.isArray(j?.value) ? j.value : [];
-        if (arr.length) return arr;
-      } catch (e) {
-        dbg('findMeetingsByTime failed:', e.message);
-      }
+    const filter = `startDateTime ge '${from.toISOString()}' and endDateTime le '${to.toISOString()}'`;
+
+    try {
+      return await graph.withFallback('meetingsByTime', async (route) => {
+        dbg('findMeetingsByTime ->', route.key);
+        const j = await graph.json(`${route.root}?$filter=${encodeURIComponent(filter)}`, { version: route.version });
+        return Array.isArray(j?.value) ? j.value : [];
+      });
+    } catch (e) {
+      if (!isUnavailable(e)) throw e;
+      dbg('findMeetingsByTime failed:', e.message);
+      return [];
     }
-
-    return [];
   }
 
   /**
-   * List transcripts for a meetingId
-   * beta/communications is typically the most reliable.
+   * List transcripts for a meetingId (lookup 'transcripts')
    */
-  async function listTranscripts(accessToken, meetingId) {
-    const urls = [
-      `https://graph.microsoft.com/beta/communications/onlineMeetings/${encodeURIComponent(meetingId)}/transcripts`,
-      `https://graph.microsoft.com/beta/me/onlineMeetings/${encodeURIComponent(meetingId)}/transcripts`,
-      // fallback (some tenants)
-      `https://graph.microsoft.com/v1.0/communications/onlineMeetings/${encodeURIComponent(meetingId)}/transcripts`,
-      `https://graph.microsoft.com/v1.0/me/onlineMeetings/${encodeURIComponent(meetingId)}/transcripts`,
-    ];
-
-    for (const url of urls) {
-      try {
-        dbg('listTranscripts ->', url);
-        const j = await graphJson(accessToken, url);
+  async function listTranscripts(graph, meetingId) {
+    try {
+      return await graph.withFallback('transcripts', async (route) => {
+        dbg('listTranscripts ->', route.key);
+        const j = await graph.json(`${route.root}/${encodeURIComponent(meetingId)}/transcripts`, { version: route.version });
         const items = Array.isArray(j?.value) ? j.value : [];
-        return { items, status: 200, used: url };
-      } catch (e) {
-        dbg('listTranscripts failed:', e.message);
-      }
+        return { items, status: 200, used: route.key };
+      });
+    } catch (e) {
+      if (!isUnavailable(e)) throw e;
+      dbg('listTranscripts failed:', e.message);
+      return { items: [], status: e.status || 0, used: null };
     }
-
-    return { items: [], status: 0, used: null };
   }
 
   /**
-   * Download transcript content using Accept header (avoid $format issues)
+   * Download transcript content using Accept header (avoid $format issues), lookup 'transcriptContent'
    */
-  async function getTranscript(accessToken, meetingId, transcriptId, accept = 'text/vtt') {
-    const urls = [
-      `https://graph.microsoft.com/beta/communications/onlineMeetings/${encodeURIComponent(meetingId)}/transcripts/${encodeURIComponent(transcriptId)}/content`,
-      `https://graph.microsoft.com/beta/me/onlineMeetings/${encodeURIComponent(meetingId)}/transcripts/${encodeURIComponent(transcriptId)}/content`,
-      `https://graph.microsoft.com/v1.0/communications/onlineMeetings/${encodeURIComponent(meetingId)}/transcripts/${encodeURIComponent(transcriptId)}/content`,
-      `https://graph.microsoft.com/v1.0/me/onlineMeetings/${encodeURIComponent(meetingId)}/transcripts/${encodeURIComponent(transcriptId)}/content`,
-    ];
-
-    for (const url of urls) {
-      try {
-        dbg('getTranscript ->', url, 'accept=', accept);
-        return await graphText(accessToken, url, { Accept: accept });
-      } catch (e) {
-        dbg('getTranscript failed:', e.message);
-      }
-    }
-
-    throw new Error('Transcript content not available.');
+  async function getTranscript(graph, meetingId, transcriptId, accept = 'text/vtt') {
+    const client = asGraphClient(graph);
+    return client.withFallback('transcriptContent', async (route) => {
+      dbg('getTranscript ->', route.key, 'accept=', accept);
+      return client.text(
+        `${route.root}/${encodeURIComponent(meetingId)}/transcripts/${encodeURIComponent(transcriptId)}/content`,
+        { version: route.version, headers: { Accept: accept } }
+      );
+    });
   }
 
   /* ------------------------------
@@ -223,14 +179,15 @@
     
 
   /**
-   * Pick the transcript that best matches THIS calendar occurrence.
+   * Pick the transcripts that belong to THIS calendar occurrence, earliest first.
+   * Transcription can be stopped and restarted mid-meeting: every transcript in the window is kept.
    * Heuristic:
-   * - anchor on event end time (preferred), else start time
-   * - prefer transcripts created within a reasonable window around the meeting
-   * - choose the closest transcript to the anchor
+   * - window around the meeting: [start-2h, end+8h] (generation can be delayed after meeting end)
+   * - nothing in the window: the transcript closest to the anchor (event end, else start)
+   * - no anchor at all: the latest transcript
    */
-  function pickBestTranscriptForEvent(items, ev) {
-    if (!Array.isArray(items) || items.length === 0) return null;
+  function pickTranscriptsForEvent(items, ev) {
+    if (!Array.isArray(items) || items.length === 0) return [];
 
     const startMs = toMs(ev?.start?.dateTime || ev?.startDateTime);
     const endMs = toMs(ev?.end?.dateTime || ev?.endDateTime);
@@ -239,11 +196,9 @@
     // If we can't anchor, fall back to latest createdDateTime
     if (!Number.isFinite(anchor)) {
       const sorted = [...items].sort((a, b) => toMs(b.createdDateTime) - toMs(a.createdDateTime));
-      return sorted[0] || null;
+      return sorted.slice(0, 1);
     }
 
-    // Transcript generation can be delayed after meeting end.
-    // Window: [start-2h, end+8h] (or around anchor if start/end missing)
     const windowStart = Number.isFinite(startMs) ? (startMs - 2 * 60 * 60 * 1000) : (anchor - 2 * 60 * 60 * 1000);
     const windowEnd = Number.isFinite(endMs) ? (endMs + 8 * 60 * 60 * 1000) : (anchor + 8 * 60 * 60 * 1000);
 
@@ -254,11 +209,76 @@
       return { t, inWindow, dist, c };
     });
 
-    const inWin = scored.filter(x => x.inWindow).sort((a, b) => a.dist - b.dist);
-    if (inWin.length) return inWin[0].t;
+    const inWin = scored.filter(x => x.inWindow).sort((a, b) => a.c - b.c);
+    if (inWin.length) return inWin.map(x => x.t);
 
     const any = scored.sort((a, b) => a.dist - b.dist);
-    return any[0]?.t || null;
+    return any[0] ? [any[0].t] : [];
+  }
+
+  /**
+   * Download every transcript of one occurrence and stitch them into one (utils/vtt.js stitchVtts).
+   * parts: [{ meetingId, transcriptId, createdDateTime }]. Each part is placed at its start relative
+   * to the first one. A part whose content is not available yet is left out (and picked up on a later visit).
+   * A part that comes with cues (already stored, see utils/meetingTranscripts.js) is not downloaded again
+   * and keeps its cue ids; at least one part must be new.
+   * Returns { vtt, segments, parts: [{ meetingId, transcriptId, createdDateTime, offset, firstCueId, vtt }] }
+   * with each part's WebVTT as received (stored parts pass theirs through).
+   */
+  async function getStitchedTranscript(graph, parts) {
+    const client = asGraphClient(graph);
+    const sorted = [...parts].sort((a, b) => (toMs(a.createdDateTime) || 0) - (toMs(b.createdDateTime) || 0));
+    const firstMs = toMs(sorted[0]?.createdDateTime);
+
+    const downloaded = [];
+    let lastError = null;
+    for (const p of sorted) {
+      const ms = toMs(p.createdDateTime);
+      const offset = Number.isFinite(ms) && Number.isFinite(firstMs) ? (ms - firstMs) / 1000 : null;
+      if (p.cues) {
+        downloaded.push({ ...p, offset });
+        continue;
+      }
+      try {
+        const vtt = await getTranscript(client, p.meetingId, p.transcriptId, 'text/vtt');
+        downloaded.push({ ...p, vtt, offset });
+      } catch (e) {
+        if (!isUnavailable(e)) throw e; // throttled, signed out…: not a missing part
+        lastError = e;
+        dbg('getStitchedTranscript: part not available', p.transcriptId, e.message);
+      }
+    }
+    if (!downloaded.some(p => !p.cues)) throw lastError || new Error('Transcript content not available.');
+
+    // a single transcript is kept as Teams wrote it
+    if (downloaded.length === 1) {
+      const [p] = downloaded;
+      const cues = vttToCues(p.vtt);
+      return {
+        vtt: p.vtt,
+        segments: cuesToSegments(cues),
+        parts: [{ meetingId: String(p.meetingId || ''), transcriptId: String(p.transcriptId || ''), createdDateTime: String(p.createdDateTime || ''), offset: 0, firstCueId: cues[0]?.id || '', vtt: p.vtt }],
+      };
+    }
+
+    const { vtt, segments, starts } = stitchVtts(downloaded);
+
+    // parts without cues (empty VTT) get no start
+    let i = 0;
+    const withStarts = downloaded.map(p => {
+      const hasCues = (p.cues || vttToCues(p.vtt)).length > 0;
+      const start = hasCues ? starts[i++] : null;
+      return {
+        meetingId: String(p.meetingId || ''),
+        transcriptId: String(p.transcriptId || ''),
+        createdDateTime: String(p.createdDateTime || ''),
+        offset: start ? start.offset : 0,
+        firstCueId: start ? start.firstCueId : '',
+        vtt: String(p.vtt || ''),
+      };
+    });
+
+    return { vtt, segments, parts: withStarts };
   }
 
   /**
@@ -269,15 +289,16 @@
    *
    * Note: Not “about limiting events”: this is about correct endpoints + matching.
    */
-  async function annotateEventsWithTranscripts(accessToken, events, opts = {}) {
+  async function annotateEventsWithTranscripts(graph, events, opts = {}) {
     const enabled = (process.env.CHECK_TRANSCRIPTS || '').toLowerCase() === 'true';
     if (!enabled) return events;
 
-    if (!accessToken || !accessToken.trim()) {
+    if (!graph || (typeof graph === 'string' && !graph.trim())) {
       dbg('skipped: empty access token');
       return events.map(ev => ({ ...ev, _hasTranscript: false, _tReason: 'no-token' }));
     }
 
+    const client = asGraphClient(graph);
     const maxChecks = Number(opts.maxChecks ?? 30);
     const concurrency = Number(opts.concurrency ?? 4); // keeps page responsive
 
@@ -315,11 +336,11 @@
         let mtg = null;
 
         // 1) Direct joinUrl
-        mtg = await findMeetingByJoinUrl(accessToken, joinUrl);
+        mtg = await findMeetingByJoinUrl(client, joinUrl);
 
         // 2) Fallback time window
         if (!mtg) {
-          const nearby = await findMeetingsByTime(accessToken, ev);
+          const nearby = await findMeetingsByTime(client, ev);
           if (nearby.length) {
             const base = stripQuery(joinUrl);
             mtg =
@@ -334,7 +355,7 @@
           return;
         }
 
-        const { items, used } = await listTranscripts(accessToken, mtg.id);
+        const { items, used } = await listTranscripts(client, mtg.id);
 
         if (!items.length) {
           ev._hasTranscript = false;
@@ -342,10 +363,10 @@
           return;
         }
 
-        // ✅ Recurring fix: choose the transcript matching THIS occurrence
-        const best = pickBestTranscriptForEvent(items, ev);
+        // ✅ Recurring fix: only the transcripts of THIS occurrence (all of them, earliest first)
+        const picked = pickTranscriptsForEvent(items, ev).filter(t => t?.id);
 
-        if (!best?.id) {
+        if (!picked.length) {
           ev._hasTranscript = false;
           ev._tReason = `no-best-transcript (endpoint=${used || 'none'})`;
           return;
@@ -353,14 +374,14 @@
 
         ev._hasTranscript = true;
 
-        // Store only the best one (so UI links resolve correctly per occurrence)
-        ev._transcripts = [{
-          id: best.id,
-          createdDateTime: best.createdDateTime || null,
+        // Stored per occurrence, so UI links resolve correctly; the first one opens the stitched transcript
+        ev._transcripts = picked.map(t => ({
+          id: t.id,
+          createdDateTime: t.createdDateTime || null,
           meetingId: mtg.id,
-        }];
+        }));
 
-        ev._tReason = `found(${items.length}) best=${best.id}`;
+        ev._tReason = `found(${items.length}) picked=${picked.map(t => t.id).join(',')}`;
         dbg('joinUrl=', joinUrl);
         dbg('meeting from joinUrl?', !!mtg);
 
@@ -383,4 +404,4 @@
     return working;
   }
 
-  module.exports = { annotateEventsWithTranscripts, getTranscript };
+  module.exports = { annotateEventsWithTranscripts, getTranscript, getStitchedTranscript };
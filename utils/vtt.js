@@ -1,40 +1,260 @@
 // utils/vtt.js
-function vttToText(vtt = '') {
-  const lines = String(vtt).split(/\r?\n/);
+// Teams WebVTT -> structured transcript.
+//  - cues:     one per VTT cue (per voice span), [{ id: 'c1', start, end, speaker, text }]; ids are what
+//              summaries cite ([c12]) and what the transcript view anchors on
+//  - segments: consecutive cues of the same speaker merged into one turn (stored on Transcript.segments)
+
+// "00:01:02.500" / "01:02.500" -> seconds
+function parseTimestamp(ts) {
+  const m = String(ts || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/);
+  if (!m) return null;
+  const [, h, min, sec, ms] = m;
+  return Number(h || 0) * 3600 + Number(min) * 60 + Number(sec) + Number((ms || '0').padEnd(3, '0')) / 1000;
+}
+
+// seconds -> "03:14" / "1:03:14"
+function formatCueTime(seconds) {
+  const s = Math.max(0, Math.floor(Number(seconds) || 0));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const ss = String(s % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${String(m).padStart(2, '0')}:${ss}`;
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', lrm: '', rlm: '' };
+
+function decodeEntities(s) {
+  return String(s || '')
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&([a-z]+);/gi, (m, name) => (name.toLowerCase() in ENTITIES ? ENTITIES[name.toLowerCase()] : m));
+}
+
+function cleanText(s) {
+  return decodeEntities(String(s || '').replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Cue payload -> [{ speaker, text }].
+ * Handles <v Speaker>, <v.class Speaker>, voice spans split across lines, a missing </v>
+ * and several voices in one cue. Other tags (<c>, <i>, inline timestamps) are dropped.
+ */
+function splitVoices(payload) {
   const out = [];
+  const re = /<v(?:\.[^\s>]*)?(?:\s+([^>]*))?>([\s\S]*?)(?:<\/v>|(?=<v[\s.>])|$)/gi;
 
-  for (const line of lines) {
-    const s = line.trim();
-    if (!s) continue;
-    if (s === 'WEBVTT') continue;
-    if (/^\d+$/.test(s)) continue;       // cue number
-    if (s.includes('-->')) continue;     // timestamp
-    if (/^NOTE\b/i.test(s)) continue;
-
-    // Handle <v Speaker>Text</v>
-    const speakerMatch = s.match(/^<v\s+([^>]+)>(.*)$/i);
-
-    if (speakerMatch) {
-      const speaker = speakerMatch[1].trim();
-      const text = speakerMatch[2].replace(/<\/v>/i, '').trim();
-      if (text) out.push(`${speaker}: ${text}`);
-      continue;
-    }
+  const before = payload.split(/<v[\s.>]/i)[0];
+  if (cleanText(before)) out.push({ speaker: '', text: cleanText(before) });
 
-    // Fallback: strip other tags
-    const cleaned = s.replace(/<[^>]+>/g, '').trim();
-    if (cleaned) out.push(cleaned);
+  let m;
+  while ((m = re.exec(payload))) {
+    const text = cleanText(m[2]);
+    if (text) out.push({ speaker: cleanText(m[1] || ''), text });
+    if (m[0] === '') re.lastIndex++;
   }
 
-  // De-duplicate consecutive identical lines
-  const deduped = [];
-  for (const t of out) {
-    if (!deduped.length || deduped[deduped.length - 1] !== t) {
-      deduped.push(t);
+  // text after the last </v>
+  const tail = payload.slice(payload.toLowerCase().lastIndexOf('</v>') + 4);
+  if (/<\/v>/i.test(payload) && cleanText(tail) && !/<v[\s.>]/i.test(tail)) out.push({ speaker: '', text: cleanText(tail) });
+
+  return out;
+}
+
+/**
+ * Parse WebVTT into cues [{ id: 'c1', start, end, speaker, text }] in transcript order.
+ * Header, NOTE, STYLE and REGION blocks are skipped; cue settings after the end time are ignored.
+ * A cue repeating the previous one (same speaker and text) only extends it.
+ * Ids count the cues with text, so they are stable for the same VTT.
+ */
+function vttToCues(vtt = '') {
+  const blocks = String(vtt).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/);
+  const cues = [];
+  let n = 0;
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const first = lines.find(l => l.trim())?.trim() || '';
+    if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(first) && !block.includes('-->')) continue;
+
+    const timeIdx = lines.findIndex(l => l.includes('-->'));
+    if (timeIdx === -1) continue;
+
+    const [startRaw, endRaw] = lines[timeIdx].split('-->');
+    const start = parseTimestamp(startRaw);
+    const end = parseTimestamp(String(endRaw || '').trim().split(/\s+/)[0]);
+    if (start === null) continue;
+
+    const payload = lines.slice(timeIdx + 1).map(l => l.trim()).filter(Boolean).join('\n');
+
+    for (const v of splitVoices(payload)) {
+      n++;
+      const prev = cues[cues.length - 1];
+      if (prev && prev.speaker === v.speaker && prev.text === v.text) {
+        prev.end = Math.max(prev.end, end === null ? start : end);
+        continue;
+      }
+      cues.push({ id: `c${n}`, start, end: end === null ? start : end, speaker: v.speaker, text: v.text });
+    }
+  }
+
+  return cues;
+}
+
+// Plain-text transcript ("Speaker: text" lines, no timing) -> cues with start/end null
+function textToCues(text = '') {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map(l => l.trim())
+    .filter(Boolean)
+    .map((l, i) => {
+      const m = l.match(/^([^:\n]{1,80}):\s(.*)$/);
+      return { id: `c${i + 1}`, start: null, end: null, speaker: m ? m[1].trim() : '', text: m ? m[2].trim() : l };
+    });
+}
+
+/**
+ * Merge consecutive cues of the same (known) speaker into turns.
+ * Returns segments [{ start, end, speaker, text, cues: [{ id, start, end, text }] }].
+ */
+function cuesToSegments(cues = []) {
+  const segments = [];
+
+  for (const c of cues) {
+    const prev = segments[segments.length - 1];
+    const cue = { id: c.id, start: c.start, end: c.end, text: c.text };
+
+    if (prev && c.speaker && prev.speaker === c.speaker) {
+      prev.cues.push(cue);
+      prev.text = `${prev.text} ${c.text}`;
+      if (c.end !== null) prev.end = c.end;
+      continue;
     }
+    segments.push({ start: c.start, end: c.end, speaker: c.speaker, text: c.text, cues: [cue] });
   }
 
-  return deduped.join('\n');
+  return segments;
+}
+
+// Segments -> flat cues again (speaker copied onto every cue)
+function segmentsToCues(segments = []) {
+  return segments.flatMap(s => (s.cues || []).map(c => ({
+    id: c.id,
+    start: c.start ?? null,
+    end: c.end ?? null,
+    speaker: s.speaker || '',
+    text: c.text,
+  })));
+}
+
+// Segments -> "Speaker: text" lines, one per turn
+function segmentsToText(segments = []) {
+  return segments.map(s => (s.speaker ? `${s.speaker}: ${s.text}` : s.text)).join('\n');
+}
+
+function vttToSegments(vtt = '') {
+  return cuesToSegments(vttToCues(vtt));
+}
+
+// Teams VTT -> "Speaker: text" lines (one per speaker turn)
+function vttToText(vtt = '') {
+  return segmentsToText(vttToSegments(vtt));
+}
+
+/**
+ * Structured segments of a Transcript document: the stored ones, else parsed from its VTT,
+ * else built from its plain text (transcripts without timing).
+ */
+function transcriptSegments(doc) {
+  if (doc?.segments?.length) return doc.segments;
+
+  const fromVtt = vttToSegments(doc?.vtt || '');
+  if (fromVtt.length) return fromVtt;
+
+  return cuesToSegments(textToCues(doc?.text || ''));
+}
+
+// Timed = at least one cue has a start time
+function segmentsTimed(segments = []) {
+  return segments.some(s => s.start !== null && s.start !== undefined);
+}
+
+// seconds -> "00:01:02.500" (VTT timestamp)
+function formatTimestamp(seconds) {
+  const ms = Math.max(0, Math.round((Number(seconds) || 0) * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms % 1000, 3)}`;
+}
+
+function escapeVttText(s) {
+  return String(s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Timed cues -> WebVTT (speakers as <v> tags, the way Teams writes them)
+function cuesToVtt(cues = []) {
+  const blocks = cues
+    .filter(c => c.start !== null && c.start !== undefined)
+    .map(c => {
+      const text = escapeVttText(c.text);
+      const end = c.end !== null && c.end !== undefined ? c.end : c.start;
+      return `${formatTimestamp(c.start)} --> ${formatTimestamp(end)}\n${c.speaker ? `<v ${escapeVttText(c.speaker)}>${text}</v>` : text}`;
+    });
+  return blocks.length ? `WEBVTT\n\n${blocks.join('\n\n')}\n` : '';
+}
+
+const cueNumber = id => Number(String(id || '').replace(/^c/, '')) || 0;
+
+/**
+ * Several WebVTT files of one meeting (transcription stopped and restarted) -> one transcript.
+ * parts: [{ vtt, offset }] in chronological order; offset = seconds after the first part started (null if unknown).
+ * A part that is already stored comes as { cues, offset } instead (times relative to the part's start):
+ * its cues keep their ids and text, so corrections and summary citations still point at the same lines.
+ * A part starts at its offset but never before the previous one ends; new cue ids run on after the highest
+ * id in use and turns are not merged across a boundary.
+ * Returns { vtt, segments, starts: [{ offset, firstCueId }] } (one entry per part that has cues).
+ */
+function stitchVtts(parts = []) {
+  const segments = [];
+  const starts = [];
+  let n = parts.flatMap(p => p.cues || []).reduce((max, c) => Math.max(max, cueNumber(c.id)), 0);
+  let prevEnd = 0;
+
+  for (const p of parts) {
+    const cues = p.cues || vttToCues(p.vtt);
+    if (!cues.length) continue;
+
+    const offset = Math.max(Number.isFinite(p.offset) ? p.offset : prevEnd, prevEnd);
+    const shifted = cues.map(c => ({ ...c, id: p.cues ? c.id : `c${++n}`, start: c.start + offset, end: c.end + offset }));
+
+    prevEnd = shifted.reduce((max, c) => Math.max(max, c.end), prevEnd);
+    starts.push({ offset, firstCueId: shifted[0].id });
+    segments.push(...cuesToSegments(shifted));
+  }
+
+  return { vtt: cuesToVtt(segmentsToCues(segments)), segments, starts };
+}
+
+// Transcript text for the LLM with a reference in front of every line: "[c12] Speaker: text"
+function cuesToCitedText(cues = []) {
+  return cues.map(c => `[${c.id}] ${c.speaker ? `${c.speaker}: ` : ''}${c.text}`).join('\n');
 }
 
-module.exports = { vttToText };
+module.exports = {
+  vttToText,
+  vttToCues,
+  vttToSegments,
+  textToCues,
+  cuesToSegments,
+  segmentsToCues,
+  segmentsToText,
+  segmentsTimed,
+  transcriptSegments,
+  cuesToCitedText,
+  cuesToVtt,
+  stitchVtts,
+  formatCueTime,
+  formatTimestamp,
+  parseTimestamp,
+};
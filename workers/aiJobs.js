@@ -0,0 +1,343 @@
+// workers/aiJobs.js
+// Background generation of AI summary + detailed notes.
+// Status lives on Transcript (ai.status / ai.detailedStatus), the retry bookkeeping lives on Job.
+const Org = require('../models/Org');
+const Transcript = require('../models/Transcript');
+const Job = require('../models/Job');
+const { resolveLlmConfig } = require('../utils/llm');
+const { registerJobHandler, enqueueJob, findActiveJob } = require('../utils/jobQueue');
+const { generateMeetingSummary, generateDetailedMeetingNotes, extractActionItems, translateMarkdown } = require('../utils/openaiSummary');
+const { replaceAiActionItems } = require('../utils/actionItems');
+const { resolveTemplate } = require('../utils/templates');
+const { recordVersion, canonicalUpdate, FIELDS } = require('../utils/summaryVersions');
+const { detectLanguage, resolveOutputLanguage } = require('../utils/language');
+const { segmentsToCues, segmentsToText, cuesToCitedText } = require('../utils/vtt');
+const { segmentsForAi } = require('../utils/redaction');
+const { ensureSpeakerIdentities, ownerEmailFor } = require('../utils/speakerIdentity');
+
+const JOB_SUMMARY = 'ai.summary';
+const JOB_NOTES = 'ai.notes';
+const JOB_ACTIONS = 'ai.actions';
+const JOB_TRANSLATE = 'ai.translate';
+
+function jobKey(type, transcriptId) {
+  return `${type}:${String(transcriptId)}`;
+}
+
+// Enqueue, or point an already-queued job at the new template. A running job is left alone.
+async function enqueueAiJob(type, payload) {
+  const key = jobKey(type, payload.transcriptId);
+  const job = await enqueueJob(type, payload, { key });
+
+  if (job.status === 'queued' && payload.force) {
+    await Job.updateOne({ _id: job._id, status: 'queued' }, { $set: { payload } });
+  }
+  return job;
+}
+
+/**
+ * Mark summary/notes as queued and enqueue the jobs.
+ * Safe to call repeatedly: already-done parts are skipped and jobs are deduped by key.
+ * Options:
+ * - summaryTemplateId / notesTemplateId: template picked by the user (else resolved by subject / org default)
+ * - force: generate again even if already done (e.g. with another template); stored as a new version
+ * - requestedBy: email recorded on the version
+ */
+async function queueTranscriptAi(doc, { summary = true, notes = true, summaryTemplateId = '', notesTemplateId = '', force = false, requestedBy = '' } = {}) {
+  const id = doc._id;
+  const queued = [];
+
+  if (notes && (force || !(doc.ai?.detailedStatus === 'done' && doc.ai?.detailedNotes))) {
+    await Transcript.updateOne(
+      force ? { _id: id } : { _id: id, 'ai.detailedStatus': { $ne: 'done' } },
+      { $set: { 'ai.detailedStatus': 'queued', 'ai.detailedError': '', 'ai.detailedUpdatedAt': new Date() } }
+    );
+    await enqueueAiJob(JOB_NOTES, { transcriptId: String(id), templateId: String(notesTemplateId || ''), force, requestedBy });
+    queued.push(JOB_NOTES);
+  }
+
+  if (summary && (force || !(doc.ai?.status === 'done' && doc.ai?.summary))) {
+    await Transcript.updateOne(
+      force ? { _id: id } : { _id: id, 'ai.status': { $ne: 'done' } },
+      { $set: { 'ai.status': 'queued', 'ai.error': '', 'ai.updatedAt': new Date() } }
+    );
+    await enqueueAiJob(JOB_SUMMARY, { transcriptId: String(id), templateId: String(summaryTemplateId || ''), force, requestedBy });
+    queued.push(JOB_SUMMARY);
+  }
+
+  return queued;
+}
+
+// Re-extract action items after the canonical summary changed (pin / unpin)
+async function queueActionSync(transcriptId) {
+  return enqueueJob(JOB_ACTIONS, { transcriptId: String(transcriptId) }, { key: jobKey(JOB_ACTIONS, transcriptId) });
+}
+
+/**
+ * Translate the canonical summary / notes into `lang` (cached in Transcript.translations).
+ * A cached translation of the current version is reused.
+ */
+async function queueTranslation(doc, kind, lang, requestedBy = '') {
+  const sourceVersion = Number(doc.ai?.[FIELDS[kind].version] || 0);
+  const existing = (doc.translations || []).find(t => t.kind === kind && t.lang === lang);
+
+  if (existing && existing.sourceVersion === sourceVersion && existing.status !== 'error') return existing;
+
+  const entry = { kind, lang, sourceVersion, status: 'queued', content: '', model: '', error: '', requestedBy, updatedAt: new Date() };
+  await Transcript.updateOne({ _id: doc._id }, { $pull: { translations: { kind, lang } } });
+  await Transcript.updateOne({ _id: doc._id }, { $push: { translations: entry } });
+
+  await enqueueJob(JOB_TRANSLATE, { transcriptId: String(doc._id), kind, lang }, { key: `${JOB_TRANSLATE}:${doc._id}:${kind}:${lang}` });
+  return entry;
+}
+
+// Transcripts saved before language detection existed
+async function ensureTranscriptLanguage(doc) {
+  if (doc.language?.code) return doc.language;
+
+  const language = { ...detectLanguage(doc.text), detectedAt: new Date() };
+  await Transcript.updateOne({ _id: doc._id }, { $set: { language } });
+  return language;
+}
+
+// Job state for the polling endpoint (queued / running / retrying)
+async function getTranscriptJobState(transcriptId) {
+  const [summaryJob, notesJob] = await Promise.all([
+    findActiveJob(jobKey(JOB_SUMMARY, transcriptId)),
+    findActiveJob(jobKey(JOB_NOTES, transcriptId)),
+  ]);
+
+  const view = (j) => (j ? {
+    state: j.status,
+    attempts: j.attempts,
+    maxAttempts: j.maxAttempts,
+    runAt: j.runAt,
+    lastError: j.lastError || '',
+  } : null);
+
+  return { summary: view(summaryJob), notes: view(notesJob) };
+}
+
+// Map-reduce progress -> Transcript (for the polling UI) + keep the job lock fresh
+function progressReporter(transcriptId, field, ctx) {
+  return async ({ stage, done, total }) => {
+    await Transcript.updateOne({ _id: transcriptId }, { $set: { [field]: { stage, done, total } } });
+    await ctx.touch();
+  };
+}
+
+// Structured actions from the summary. Failure here never fails the summary itself.
+// Owners are given emails through the meeting's resolved speakers (utils/speakerIdentity.js).
+async function syncActionItems(doc, summary, llm) {
+  try {
+    const speakers = await ensureSpeakerIdentities(doc);
+    const { items } = await extractActionItems({
+      summary,
+      subject: doc.subject || '',
+      meetingDate: String(doc.startDateTime || '').slice(0, 10),
+      participantEmails: doc.participantEmails || [],
+      speakers,
+      llm,
+    });
+    items.forEach(it => {
+      if (!it.ownerEmail && it.ownerName) it.ownerEmail = ownerEmailFor(it.ownerName, speakers);
+    });
+    const n = await replaceAiActionItems(doc, items);
+    await Transcript.updateOne(
+      { _id: doc._id },
+      { $set: { 'ai.actionsError': '', 'ai.actionsExtractedAt': new Date(), 'ai.actionsCount': n } }
+    );
+  } catch (err) {
+    console.log('AI action extraction failed:', err.message || err);
+    await Transcript.updateOne({ _id: doc._id }, { $set: { 'ai.actionsError': err.message || String(err) } });
+  }
+}
+
+registerJobHandler(JOB_SUMMARY, async ({ transcriptId, templateId, force, requestedBy }, ctx) => {
+  const doc = await Transcript.findById(transcriptId);
+  if (!doc) return; // deleted meanwhile
+  if (!force && doc.ai?.status === 'done' && doc.ai?.summary) return;
+
+  try {
+    console.log('AI summary generating:', String(doc._id), 'len:', (doc.text || '').length, 'attempt:', ctx.attempt);
+
+    const org = await Org.findById(doc.orgId).lean();
+    const llm = resolveLlmConfig(org);
+    const template = await resolveTemplate({ orgId: doc.orgId, kind: 'summary', subject: doc.subject, templateId });
+    const language = resolveOutputLanguage(org, { language: await ensureTranscriptLanguage(doc) });
+
+    // every line carries a cue reference the summary can cite
+    const cues = segmentsToCues(await segmentsForAi(doc, org));
+
+    const { model, summary, coverage } = await generateMeetingSummary({
+      text: cuesToCitedText(cues),
+      subject: doc.subject || '',
+      llm,
+      template,
+      language,
+      citations: cues.length > 0,
+      redacted: !!doc.redaction?.vault?.length,
+      onProgress: progressReporter(doc._id, 'ai.progress', ctx),
+    });
+
+    const version = await recordVersion(doc, 'summary', {
+      content: summary,
+      model,
+      template,
+      language,
+      coverage,
+      createdBy: requestedBy,
+      trigger: force ? 'regenerate' : 'auto',
+      transcriptRevision: doc.corrections?.revision || 0,
+    });
+
+    // a pinned version stays canonical; the new run is only added to the history
+    const pinned = (await Transcript.findById(doc._id).select({ 'ai.pinnedVersion': 1 }).lean())?.ai?.pinnedVersion || 0;
+
+    await Transcript.updateOne(
+      { _id: doc._id },
+      {
+        $set: {
+          ...(pinned ? {} : canonicalUpdate('summary', version)),
+          'ai.status': 'done',
+          'ai.progress': { stage: '', done: 0, total: 0 },
+          'ai.error': '',
+          'ai.createdAt': doc.ai?.createdAt || new Date(),
+          'ai.updatedAt': new Date(),
+        },
+      }
+    );
+
+    if (!pinned) await syncActionItems(doc, summary, llm);
+  } catch (err) {
+    console.log('AI summary failed:', err.message || err);
+
+    await Transcript.updateOne(
+      { _id: doc._id },
+      {
+        $set: {
+          // keep 'queued' while retries remain so the UI keeps polling
+          'ai.status': ctx.isLastAttempt ? 'error' : 'queued',
+          'ai.error': err.message || String(err),
+          'ai.updatedAt': new Date(),
+        },
+      }
+    );
+    throw err;
+  }
+});
+
+registerJobHandler(JOB_NOTES, async ({ transcriptId, templateId, force, requestedBy }, ctx) => {
+  const doc = await Transcript.findById(transcriptId);
+  if (!doc) return;
+  if (!force && doc.ai?.detailedStatus === 'done' && doc.ai?.detailedNotes) return;
+
+  try {
+    console.log('AI detailed notes generating:', String(doc._id), 'len:', (doc.text || '').length, 'attempt:', ctx.attempt);
+
+    const org = await Org.findById(doc.orgId).lean();
+    const template = await resolveTemplate({ orgId: doc.orgId, kind: 'notes', subject: doc.subject, templateId });
+    const language = resolveOutputLanguage(org, { language: await ensureTranscriptLanguage(doc) });
+
+    const { model, notes, coverage } = await generateDetailedMeetingNotes({
+      text: segmentsToText(await segmentsForAi(doc, org)),
+      subject: doc.subject || '',
+      llm: resolveLlmConfig(org),
+      template,
+      language,
+      redacted: !!doc.redaction?.vault?.length,
+      onProgress: progressReporter(doc._id, 'ai.detailedProgress', ctx),
+    });
+
+    const version = await recordVersion(doc, 'notes', {
+      content: notes,
+      model,
+      template,
+      language,
+      coverage,
+      createdBy: requestedBy,
+      trigger: force ? 'regenerate' : 'auto',
+      transcriptRevision: doc.corrections?.revision || 0,
+    });
+
+    const pinned = (await Transcript.findById(doc._id).select({ 'ai.detailedPinnedVersion': 1 }).lean())?.ai?.detailedPinnedVersion || 0;
+
+    await Transcript.updateOne(
+      { _id: doc._id },
+      {
+        $set: {
+          ...(pinned ? {} : canonicalUpdate('notes', version)),
+          'ai.detailedStatus': 'done',
+          'ai.detailedProgress': { stage: '', done: 0, total: 0 },
+          'ai.detailedError': '',
+          'ai.detailedCreatedAt': doc.ai?.detailedCreatedAt || new Date(),
+          'ai.detailedUpdatedAt': new Date(),
+        },
+      }
+    );
+  } catch (err) {
+    console.log('AI detailed notes failed:', err.message || err);
+
+    await Transcript.updateOne(
+      { _id: doc._id },
+      {
+        $set: {
+          'ai.detailedStatus': ctx.isLastAttempt ? 'error' : 'queued',
+          'ai.detailedError': err.message || String(err),
+          'ai.detailedUpdatedAt': new Date(),
+        },
+      }
+    );
+    throw err;
+  }
+});
+
+registerJobHandler(JOB_ACTIONS, async ({ transcriptId }) => {
+  const doc = await Transcript.findById(transcriptId);
+  if (!doc || !doc.ai?.summary) return;
+
+  await syncActionItems(doc, doc.ai.summary, resolveLlmConfig(await Org.findById(doc.orgId).lean()));
+});
+
+registerJobHandler(JOB_TRANSLATE, async ({ transcriptId, kind, lang }, ctx) => {
+  const doc = await Transcript.findById(transcriptId);
+  if (!doc) return;
+
+  const entry = (doc.translations || []).find(t => t.kind === kind && t.lang === lang);
+  if (!entry || entry.status === 'done') return;
+
+  const f = FIELDS[kind];
+  const where = { _id: doc._id, translations: { $elemMatch: { kind, lang } } };
+
+  try {
+    const { model, text } = await translateMarkdown({
+      text: doc.ai?.[f.content] || '',
+      language: lang,
+      llm: resolveLlmConfig(await Org.findById(doc.orgId).lean()),
+    });
+
+    await Transcript.updateOne(where, {
+      $set: {
+        'translations.$.status': 'done',
+        'translations.$.content': text,
+        'translations.$.model': model,
+        'translations.$.error': '',
+        'translations.$.sourceVersion': Number(doc.ai?.[f.version] || 0),
+        'translations.$.updatedAt': new Date(),
+      },
+    });
+  } catch (err) {
+    console.log('AI translation failed:', err.message || err);
+
+    await Transcript.updateOne(where, {
+      $set: {
+        'translations.$.status': ctx.isLastAttempt ? 'error' : 'queued',
+        'translations.$.error': err.message || String(err),
+        'translations.$.updatedAt': new Date(),
+      },
+    });
+    throw err;
+  }
+});
+
+module.exports = { queueTranscriptAi, queueActionSync, queueTranslation, getTranscriptJobState };
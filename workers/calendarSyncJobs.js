@@ -0,0 +1,94 @@
+// workers/calendarSyncJobs.js
+// Background calendar sync (utils/calendarSync.js), so the calendar page is current when it is opened.
+// A sweep every CALENDAR_SYNC_MINUTES (default 30; 0 = off) enqueues one sync job per active user
+// of an active org who has a stored refresh token (utils/o365Tokens.js).
+const Org = require('../models/Org');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const UserSyncState = require('../models/UserSyncState');
+const { registerJobHandler, enqueueJob } = require('../utils/jobQueue');
+const { graphClientForUser } = require('../utils/o365Tokens');
+const { syncUserCalendar } = require('../utils/calendarSync');
+
+const JOB_SWEEP = 'calendar.sweep';
+const JOB_SYNC = 'calendar.sync';
+
+// transcript lookups per run; meetings over the cap are checked in the next runs
+const MAXCHECKS = 120;
+
+const syncEveryMs = () => Number(process.env.CALENDAR_SYNC_MINUTES || 30) * 60 * 1000;
+
+/**
+ * Make sure a sweep is scheduled (called once the job worker runs).
+ * The sweep reschedules itself; this only fills the gap on first start or after a failed sweep.
+ */
+async function scheduleCalendarSync() {
+  if (!syncEveryMs()) return null;
+  const pending = await Job.findOne({ type: JOB_SWEEP, status: { $in: ['queued', 'running'] } }).lean();
+  if (pending) return pending;
+  return enqueueJob(JOB_SWEEP, {}, { key: `${JOB_SWEEP}:${Date.now()}`, maxAttempts: 1 });
+}
+
+// Sync one user now; deduped while one is queued or running
+async function queueCalendarSync(user) {
+  return enqueueJob(
+    JOB_SYNC,
+    { userId: String(user._id) },
+    { key: `${JOB_SYNC}:${user._id}`, maxAttempts: 2 }
+  );
+}
+
+registerJobHandler(JOB_SWEEP, async () => {
+  try {
+    const orgIds = await Org.find({ status: 'active' }).distinct('_id');
+    const users = await User.find({
+      org: { $in: orgIds },
+      status: 'active',
+      'graphTokens.savedAt': { $ne: null },
+      'graphTokens.invalidAt': null,
+    })
+      .select({ _id: 1 })
+      .lean();
+
+    for (const user of users) await queueCalendarSync(user);
+    console.log('[calendar-sync] sweep queued', users.length, 'users');
+  } finally {
+    // the sweep key is unique per run, so the next one is not deduped into this (still running) job
+    if (syncEveryMs()) {
+      const runAt = new Date(Date.now() + syncEveryMs());
+      await enqueueJob(JOB_SWEEP, {}, { key: `${JOB_SWEEP}:${runAt.getTime()}`, maxAttempts: 1, runAt });
+    }
+  }
+});
+
+registerJobHandler(JOB_SYNC, async ({ userId }) => {
+  const user = await User.findById(userId).select({ org: 1, email: 1, status: 1 }).lean();
+  if (!user || user.status !== 'active') return; // removed meanwhile
+
+  const orgId = user.org;
+  const userEmail = String(user.email || '').toLowerCase().trim();
+
+  const graph = await graphClientForUser(user);
+  if (!graph) {
+    await UserSyncState.updateOne(
+      { orgId, userEmail },
+      { $set: { lastError: 'Office 365 sign-in expired; background sync resumes after the next login.', lastErrorAt: new Date() } },
+      { upsert: true }
+    );
+    return;
+  }
+
+  try {
+    const r = await syncUserCalendar({ graph, orgId, userEmail, maxChecks: MAXCHECKS });
+    console.log('[calendar-sync]', userEmail, `${r.changed} changed, ${r.removed} removed, ${r.checked} checked, ${r.found} with transcripts`);
+  } catch (e) {
+    await UserSyncState.updateOne(
+      { orgId, userEmail },
+      { $set: { lastError: e.message || String(e), lastErrorAt: new Date() } },
+      { upsert: true }
+    );
+    throw e;
+  }
+});
+
+module.exports = { scheduleCalendarSync, queueCalendarSync };
@@ -0,0 +1,255 @@
+// workers/graphNotificationJobs.js
+// Graph change notifications (utils/graphSubscriptions.js, webhook in routes/graph.js).
+//  - a sweep every GRAPH_SUBSCRIPTION_SWEEP_MINUTES (default 60) creates missing subscriptions and renews
+//    the ones that expire soon, for users with a stored refresh token and live updates on
+//  - 'reauthorizationRequired' lifecycle notifications reauthorize that subscription right away
+//  - calendar notifications queue the user's calendar sync (workers/calendarSyncJobs.js)
+//  - transcript notifications check the matching EventCache entries now instead of at the next recheck,
+//    and save + summarize the transcript when the org has autoSummarizeTranscripts on
+const Org = require('../models/Org');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const EventCache = require('../models/EventCache');
+const GraphSubscription = require('../models/GraphSubscription');
+const { registerJobHandler, enqueueJob } = require('../utils/jobQueue');
+const { graphClientForUser } = require('../utils/o365Tokens');
+const { syncUserCalendar, runTranscriptChecks } = require('../utils/calendarSync');
+const { getOnlineMeeting } = require('../utils/graph');
+const { isUnavailable } = require('../utils/graphClient');
+const {
+  notificationsEnabled,
+  ensureUserSubscriptions,
+  reauthorizeUserSubscription,
+  removeUserSubscriptions,
+  parseTranscriptResource,
+} = require('../utils/graphSubscriptions');
+const { saveGraphTranscript } = require('../utils/meetingTranscripts');
+const { queueCalendarSync } = require('./calendarSyncJobs');
+const { queueTranscriptAi } = require('./aiJobs');
+const { queueTranscriptIndex } = require('./searchJobs');
+
+const JOB_SWEEP = 'graph.subscriptions.sweep';
+const JOB_ENSURE = 'graph.subscriptions.ensure';
+const JOB_REMOVE = 'graph.subscriptions.remove';
+const JOB_REAUTHORIZE = 'graph.subscriptions.reauthorize';
+const JOB_TRANSCRIPT = 'graph.transcript';
+
+// transcript lookups per notification (the notified meeting plus whatever else is due)
+const MAXCHECKS = 10;
+
+const sweepEveryMs = () => Number(process.env.GRAPH_SUBSCRIPTION_SWEEP_MINUTES || 60) * 60 * 1000;
+
+/**
+ * Make sure a sweep is scheduled (called once the job worker runs).
+ * The sweep reschedules itself; this only fills the gap on first start or after a failed sweep.
+ */
+async function scheduleGraphSubscriptions() {
+  if (!notificationsEnabled() || !sweepEveryMs()) return null;
+  const pending = await Job.findOne({ type: JOB_SWEEP, status: { $in: ['queued', 'running'] } }).lean();
+  if (pending) return pending;
+  return enqueueJob(JOB_SWEEP, {}, { key: `${JOB_SWEEP}:${Date.now()}`, maxAttempts: 1 });
+}
+
+// Create / renew one user's subscriptions now (login, live updates turned on, lifecycle notification)
+async function queueSubscriptionEnsure(user) {
+  if (!notificationsEnabled()) return null;
+  return enqueueJob(JOB_ENSURE, { userId: String(user._id) }, { key: `${JOB_ENSURE}:${user._id}`, maxAttempts: 2 });
+}
+
+async function queueSubscriptionRemove(user) {
+  return enqueueJob(JOB_REMOVE, { userId: String(user._id) }, { key: `${JOB_REMOVE}:${user._id}`, maxAttempts: 2 });
+}
+
+/**
+ * A verified notification (routes/graph.js) -> jobs. Lifecycle notifications reauthorize, renew or recreate
+ * the subscription; 'missed' ones fall back to a calendar sync.
+ */
+async function queueNotification(sub, n) {
+  const user = { _id: sub.userId };
+  await GraphSubscription.updateOne({ _id: sub._id }, { $set: { lastNotificationAt: new Date() } });
+
+  if (n.lifecycleEvent) {
+    if (n.lifecycleEvent === 'missed') return queueCalendarSync(user);
+    if (n.lifecycleEvent === 'reauthorizationRequired') {
+      return enqueueJob(
+        JOB_REAUTHORIZE,
+        { userId: String(sub.userId), subscriptionId: sub.subscriptionId },
+        { key: `${JOB_REAUTHORIZE}:${sub.subscriptionId}`, maxAttempts: 3 }
+      );
+    }
+    if (n.lifecycleEvent === 'subscriptionRemoved') {
+      await GraphSubscription.updateOne({ _id: sub._id }, { $set: { status: 'error', lastError: 'Removed by Graph' } });
+    }
+    return queueSubscriptionEnsure(user);
+  }
+
+  if (sub.kind === 'events') return queueCalendarSync(user);
+
+  const { meetingId, transcriptId } = parseTranscriptResource(n.resource, n.resourceData);
+  if (!meetingId || !transcriptId) {
+    console.log('[graph-notifications] transcript notification without ids:', n.resource);
+    return null;
+  }
+  return enqueueJob(
+    JOB_TRANSCRIPT,
+    { userId: String(sub.userId), meetingId, transcriptId },
+    { key: `${JOB_TRANSCRIPT}:${transcriptId}`, maxAttempts: 3 }
+  );
+}
+
+const escapeRegExp = s => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * EventCache entries of the meeting across the org: the latest occurrence that has started, per user
+ * (a recurring series shares one online meeting and join link).
+ */
+async function eventsForMeeting({ graph, orgId, meetingId, now }) {
+  const or = [{ 'transcripts.meetingId': meetingId }];
+
+  const meeting = await getOnlineMeeting(graph, meetingId).catch(e => {
+    if (!isUnavailable(e)) throw e;
+    return null;
+  });
+  const joinUrl = String(meeting?.joinWebUrl || '').trim().replace(/^http:\/\//i, 'https://').split('?')[0];
+  if (joinUrl) or.push({ joinUrl: { $regex: `^${escapeRegExp(joinUrl)}` } });
+
+  const entries = await EventCache.find({ orgId, $or: or, startDateTime: { $lte: now.toISOString() } })
+    .sort({ startDateTime: -1 })
+    .lean();
+
+  const latest = new Map();
+  for (const e of entries) if (!latest.has(e.userEmail)) latest.set(e.userEmail, e);
+  return [...latest.values()];
+}
+
+registerJobHandler(JOB_SWEEP, async () => {
+  try {
+    if (!notificationsEnabled()) return;
+
+    const orgIds = await Org.find({ status: 'active' }).distinct('_id');
+    const users = await User.find({
+      org: { $in: orgIds },
+      status: 'active',
+      liveUpdates: { $ne: false },
+      'graphTokens.savedAt': { $ne: null },
+      'graphTokens.invalidAt': null,
+    })
+      .select({ _id: 1 })
+      .lean();
+
+    for (const user of users) await queueSubscriptionEnsure(user);
+    console.log('[graph-subscriptions] sweep queued', users.length, 'users');
+  } finally {
+    // the sweep key is unique per run, so the next one is not deduped into this (still running) job
+    if (notificationsEnabled() && sweepEveryMs()) {
+      const runAt = new Date(Date.now() + sweepEveryMs());
+      await enqueueJob(JOB_SWEEP, {}, { key: `${JOB_SWEEP}:${runAt.getTime()}`, maxAttempts: 1, runAt });
+    }
+  }
+});
+
+registerJobHandler(JOB_ENSURE, async ({ userId }) => {
+  const user = await User.findById(userId).select({ org: 1, email: 1, status: 1, liveUpdates: 1, o365: 1 }).lean();
+  if (!user || user.status !== 'active' || user.liveUpdates === false) return;
+
+  const graph = await graphClientForUser(user);
+  if (!graph) return; // sign-in expired: the sweep picks the user up after the next login
+
+  const r = await ensureUserSubscriptions(user, graph);
+  console.log('[graph-subscriptions]', user.email, `${r.created} created, ${r.renewed} renewed, ${r.failed} failed`);
+});
+
+registerJobHandler(JOB_REAUTHORIZE, async ({ userId, subscriptionId }) => {
+  const user = await User.findById(userId).select({ org: 1, email: 1, status: 1, liveUpdates: 1, o365: 1 }).lean();
+  if (!user || user.status !== 'active' || user.liveUpdates === false) return;
+
+  const graph = await graphClientForUser(user);
+  if (!graph) return; // sign-in expired: the subscription lapses; the sweep recreates it after the next login
+
+  const r = await reauthorizeUserSubscription(user, graph, subscriptionId);
+  console.log('[graph-subscriptions]', user.email, subscriptionId, r);
+});
+
+registerJobHandler(JOB_REMOVE, async ({ userId }) => {
+  const user = await User.findById(userId).select({ org: 1, email: 1 }).lean();
+  const graph = user ? await graphClientForUser(user).catch(() => null) : null;
+  await removeUserSubscriptions(userId, graph);
+});
+
+registerJobHandler(JOB_TRANSCRIPT, async ({ userId, meetingId, transcriptId }) => {
+  const user = await User.findById(userId).select({ org: 1, email: 1, status: 1 }).lean();
+  if (!user || user.status !== 'active') return;
+
+  const org = await Org.findById(user.org).lean();
+  if (!org || org.status !== 'active') return;
+
+  const graph = await graphClientForUser(user);
+  if (!graph) return;
+
+  const orgId = org._id;
+  const userEmail = String(user.email || '').toLowerCase().trim();
+  const now = new Date();
+
+  let entries = await eventsForMeeting({ graph, orgId, meetingId, now });
+  if (!entries.some(e => e.userEmail === userEmail)) {
+    // the organizer's event is not cached yet (created right before the meeting): sync first
+    await syncUserCalendar({ graph, orgId, userEmail, now, maxChecks: MAXCHECKS });
+    entries = await eventsForMeeting({ graph, orgId, meetingId, now });
+  }
+
+  const own = entries.find(e => e.userEmail === userEmail);
+  if (!own) {
+    console.log('[graph-notifications] no calendar event for meeting', meetingId, 'of', userEmail);
+    return;
+  }
+
+  await EventCache.updateMany({ _id: { $in: entries.map(e => e._id) } }, { $set: { transcriptCheckDue: now } });
+
+  // attendees' copies are checked by their own calendar sync
+  const others = [...new Set(entries.map(e => e.userEmail).filter(em => em !== userEmail))];
+  if (others.length) {
+    const attendees = await User.find({ org: orgId, email: { $in: others }, status: 'active' }).select({ _id: 1 }).lean();
+    for (const a of attendees) await queueCalendarSync(a);
+  }
+
+  await runTranscriptChecks({ graph, orgId, userEmail, now, maxChecks: MAXCHECKS });
+
+  // the notification itself says the transcript exists; keep it even when the lookup missed it
+  let ev = await EventCache.findById(own._id).lean();
+  if (ev && !(ev.transcripts || []).some(t => t.transcriptId === transcriptId)) {
+    await EventCache.updateOne(
+      { _id: ev._id },
+      {
+        $set: { hasTranscript: true },
+        $push: { transcripts: { meetingId, transcriptId, createdDateTime: now.toISOString() } },
+      }
+    );
+    ev = await EventCache.findById(own._id).lean();
+  }
+
+  if (!ev || !org.features?.autoSummarizeTranscripts) return;
+
+  const { doc, restitched } = await saveGraphTranscript({
+    graph,
+    org,
+    userEmail,
+    eventId: ev.eventId,
+    meetingId,
+    transcriptId,
+    subject: ev.subject,
+    start: ev.startDateTime,
+    end: ev.endDateTime,
+  });
+  if (!doc) return;
+
+  await queueTranscriptAi(doc, { force: restitched, requestedBy: userEmail });
+  await queueTranscriptIndex(doc, org).catch(e => console.log('Search index queue failed:', e.message || e));
+  console.log('[graph-notifications] saved transcript', String(doc._id), 'for', userEmail);
+});
+
+module.exports = {
+  scheduleGraphSubscriptions,
+  queueSubscriptionEnsure,
+  queueSubscriptionRemove,
+  queueNotification,
+};
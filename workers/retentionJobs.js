@@ -0,0 +1,53 @@
+// workers/retentionJobs.js
+// Scheduled enforcement of Org.retention (utils/retention.js).
+// A daily sweep enqueues one purge job per active org; each purge writes a RetentionReport.
+const Org = require('../models/Org');
+const Job = require('../models/Job');
+const { registerJobHandler, enqueueJob } = require('../utils/jobQueue');
+const { applyRetention } = require('../utils/retention');
+
+const JOB_SWEEP = 'retention.sweep';
+const JOB_PURGE = 'retention.purge';
+
+const sweepEveryMs = () => Number(process.env.RETENTION_SWEEP_HOURS || 24) * 60 * 60 * 1000;
+
+/**
+ * Make sure a sweep is scheduled (called once the job worker runs).
+ * The sweep reschedules itself; this only fills the gap on first start or after a failed sweep.
+ */
+async function scheduleRetentionSweep() {
+  const pending = await Job.findOne({ type: JOB_SWEEP, status: { $in: ['queued', 'running'] } }).lean();
+  if (pending) return pending;
+  return enqueueJob(JOB_SWEEP, {}, { key: `${JOB_SWEEP}:${Date.now()}`, maxAttempts: 1 });
+}
+
+// Purge one org now (dashboard "Run now"); deduped while one is queued or running
+async function queueRetentionPurge(orgId, { requestedBy = '' } = {}) {
+  return enqueueJob(
+    JOB_PURGE,
+    { orgId: String(orgId), trigger: requestedBy ? 'manual' : 'schedule', requestedBy },
+    { key: `${JOB_PURGE}:${orgId}`, maxAttempts: 2 }
+  );
+}
+
+registerJobHandler(JOB_SWEEP, async () => {
+  try {
+    const orgs = await Org.find({ status: 'active' }).select({ _id: 1 }).lean();
+    for (const org of orgs) await queueRetentionPurge(org._id);
+    console.log('[retention] sweep queued purges for', orgs.length, 'orgs');
+  } finally {
+    // the sweep key is unique per run, so the next one is not deduped into this (still running) job
+    const runAt = new Date(Date.now() + sweepEveryMs());
+    await enqueueJob(JOB_SWEEP, {}, { key: `${JOB_SWEEP}:${runAt.getTime()}`, maxAttempts: 1, runAt });
+  }
+});
+
+registerJobHandler(JOB_PURGE, async ({ orgId, trigger, requestedBy }, ctx) => {
+  const org = await Org.findById(orgId).lean();
+  if (!org) return; // deleted meanwhile
+
+  const report = await applyRetention(org, { trigger, requestedBy, onBatch: () => ctx.touch() });
+  console.log('[retention]', org.slug || String(org._id), JSON.stringify(report.counts));
+});
+
+module.exports = { scheduleRetentionSweep, queueRetentionPurge };
@@ -0,0 +1,46 @@
+// workers/searchJobs.js
+// Background indexing of transcripts for semantic search (utils/searchIndex.js).
+// Status lives on Transcript.search, the retry bookkeeping lives on Job.
+const Org = require('../models/Org');
+const Transcript = require('../models/Transcript');
+const { registerJobHandler, enqueueJob } = require('../utils/jobQueue');
+const { resolveEmbedder } = require('../utils/embeddings');
+const { indexTranscript, isIndexed } = require('../utils/searchIndex');
+const { segmentsForAi } = require('../utils/redaction');
+
+const JOB_INDEX = 'search.index';
+
+/**
+ * Mark a transcript as queued for indexing and enqueue the job.
+ * Skipped when it is already indexed with the org's current embedder; jobs are deduped by key.
+ */
+async function queueTranscriptIndex(doc, org) {
+  if (isIndexed(doc, resolveEmbedder(org))) return null;
+
+  await Transcript.updateOne({ _id: doc._id }, { $set: { 'search.status': 'queued', 'search.error': '' } });
+  return enqueueJob(JOB_INDEX, { transcriptId: String(doc._id) }, { key: `${JOB_INDEX}:${doc._id}` });
+}
+
+registerJobHandler(JOB_INDEX, async ({ transcriptId }, ctx) => {
+  const doc = await Transcript.findById(transcriptId);
+  if (!doc) return; // deleted meanwhile
+
+  const org = await Org.findById(doc.orgId).lean();
+  const embedder = resolveEmbedder(org);
+  if (isIndexed(doc, embedder)) return;
+
+  try {
+    // passages are sent to the embedding provider and stored: same redaction as LLM calls
+    await indexTranscript(doc, embedder, { onBatch: () => ctx.touch(), segments: await segmentsForAi(doc, org) });
+  } catch (err) {
+    console.log('Search indexing failed:', err.message || err);
+
+    await Transcript.updateOne(
+      { _id: doc._id },
+      { $set: { 'search.status': ctx.isLastAttempt ? 'error' : 'queued', 'search.error': err.message || String(err) } }
+    );
+    throw err;
+  }
+});
+
+module.exports = { queueTranscriptIndex };